@@ -0,0 +1,115 @@
+// scripts/bol-cancel-orders.js - Confirm BOL.com order item cancellations
+require('dotenv').config();
+const bolClient = require('./bol-client.js');
+
+// Reason codes accepted by the BOL.com cancellation endpoint
+const CANCELLATION_REASONS = [
+  'OUT_OF_STOCK',
+  'REQUESTED_BY_CUSTOMER',
+  'BAD_CONDITION',
+  'HIGHER_SHIPCOST',
+  'INCORRECT_PRICE',
+  'NOT_AVAIL_IN_TIME',
+  'NO_BOL_GUARANTEE',
+  'ORDERED_TWICE',
+  'RETAIN_ITEM',
+  'TECH_ISSUE',
+  'UNFINDABLE_ITEM',
+  'OTHER'
+];
+
+// Confirm the cancellation of one or more order items with BOL.com
+async function cancelOrderItems(orderItems = []) {
+  try {
+    if (!bolClient.hasCredentials()) {
+      throw new Error('BOL.com API credentials not configured');
+    }
+
+    if (!Array.isArray(orderItems) || orderItems.length === 0) {
+      throw new Error('No order items provided for cancellation');
+    }
+
+    const payloadItems = orderItems.map(item => {
+      const reasonCode = item.reasonCode || 'REQUESTED_BY_CUSTOMER';
+      if (!CANCELLATION_REASONS.includes(reasonCode)) {
+        throw new Error(`Invalid cancellation reason: ${reasonCode}`);
+      }
+      return { orderItemId: item.orderItemId, reasonCode };
+    });
+
+    console.log(`🚫 Confirming cancellation for ${payloadItems.length} order items...`);
+
+    const response = await bolClient.put('/retailer/orders/cancellation', { orderItems: payloadItems });
+
+    console.log(`✅ Cancellation accepted by BOL.com (psId=${response.data.processStatusId})`);
+
+    return {
+      success: true,
+      message: `Cancellation confirmed for ${payloadItems.length} order items`,
+      processStatusId: response.data.processStatusId,
+      orderItems: payloadItems,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    const message = error.response?.data?.detail || error.response?.data?.title || error.message;
+    console.error('❌ Error confirming cancellation:', message);
+
+    return {
+      success: false,
+      message: `Failed to confirm cancellation: ${message}`,
+      orderItems: [],
+      timestamp: new Date().toISOString(),
+      error: message
+    };
+  }
+}
+
+// Whether BOL.com cancelled the order item, from the order itself. Used when
+// the process status of the cancellation has expired.
+async function isItemCancelled(orderId, orderItemId) {
+  const response = await bolClient.get(`/retailer/orders/${orderId}`, { timeout: 10000 });
+  const orderItem = (response.data.orderItems || []).find(item => item.orderItemId === orderItemId);
+  return !!orderItem && orderItem.quantityCancelled >= orderItem.quantity;
+}
+
+// Check cancellations confirmed with cancelOrderItems. Each cancellation is
+// { processStatusId, orderId, orderItemId } and gets a result with status
+// 'pending', 'confirmed' or 'failed' (with the error). Cancellations that
+// could not be checked stay pending and are tried again on the next check.
+async function checkCancellations(cancellations) {
+  if (!bolClient.hasCredentials()) {
+    throw new Error('BOL.com API credentials not configured');
+  }
+
+  const results = [];
+  for (const cancellation of cancellations) {
+    try {
+      let processStatus = null;
+      try {
+        processStatus = await bolClient.getProcessStatus(cancellation.processStatusId, { timeout: 10000 });
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+
+      if (!processStatus) {
+        const cancelled = await isItemCancelled(cancellation.orderId, cancellation.orderItemId);
+        results.push(cancelled
+          ? { ...cancellation, status: 'confirmed' }
+          : { ...cancellation, status: 'failed', error: 'Process status not found at BOL.com and the item was not cancelled' });
+      } else if (processStatus.status === 'SUCCESS') {
+        results.push({ ...cancellation, status: 'confirmed' });
+      } else if (processStatus.status === 'FAILURE' || processStatus.status === 'TIMEOUT') {
+        results.push({ ...cancellation, status: 'failed', error: processStatus.errorMessage || `Process ${processStatus.status.toLowerCase()}` });
+      } else {
+        results.push({ ...cancellation, status: 'pending' });
+      }
+    } catch (error) {
+      console.warn(`⚠️ Cancellation ${cancellation.processStatusId} could not be checked: ${error.message}`);
+      results.push({ ...cancellation, status: 'pending' });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { cancelOrderItems, checkCancellations, CANCELLATION_REASONS };
@@ -0,0 +1,217 @@
+// scripts/bol-client.js - Shared BOL.com API client: one access token, retries and rate limiting for all BOL scripts
+require('dotenv').config();
+const axios = require('axios');
+
+const CONTENT_TYPE = 'application/vnd.retailer.v10+json';
+
+// Base URLs can be pointed at a proxy or a mock server for testing.
+// BOL_REQUESTS_PER_SECOND is shared by every request of the server, so
+// concurrent jobs (order fetches, shipments, price updates) do not add up to
+// more than BOL.com allows.
+const BOL_CONFIG = {
+  baseUrl: (process.env.BOL_API_URL || 'https://api.bol.com').replace(/\/+$/, ''),
+  tokenUrl: process.env.BOL_TOKEN_URL || 'https://login.bol.com/token',
+  requestsPerSecond: parseFloat(process.env.BOL_REQUESTS_PER_SECOND) || 10,
+  maxRetries: 3,
+  timeout: 15000
+};
+
+console.log(`🔍 BOL API - CLIENT_ID: ${process.env.CLIENT_ID ? 'loaded' : 'missing'}`);
+console.log(`🔍 BOL API - CLIENT_SECRET: ${process.env.CLIENT_SECRET ? 'loaded' : 'missing'}`);
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function hasCredentials() {
+  return !!(process.env.CLIENT_ID && process.env.CLIENT_SECRET);
+}
+
+// ===== Access token =====
+
+let token = null;
+let tokenExpiresAt = 0;
+let tokenRequest = null;
+
+// Access token, renewed a minute before it expires. Concurrent callers share
+// a single login request. force skips the cached token, e.g. to check the
+// credentials.
+async function getAccessToken({ force = false } = {}) {
+  if (force) invalidateToken();
+  if (token && Date.now() < tokenExpiresAt) return token;
+  if (tokenRequest) return tokenRequest;
+
+  tokenRequest = (async () => {
+    try {
+      if (!hasCredentials()) {
+        throw new Error('BOL.com API credentials not configured');
+      }
+
+      const credentials = Buffer.from(`${process.env.CLIENT_ID}:${process.env.CLIENT_SECRET}`).toString('base64');
+      const response = await axios.post(
+        BOL_CONFIG.tokenUrl,
+        null,
+        {
+          params: { grant_type: 'client_credentials' },
+          headers: {
+            Authorization: `Basic ${credentials}`,
+            Accept: 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      if (!response.data.access_token) {
+        throw new Error('No access token received from BOL.com');
+      }
+
+      const expiresIn = parseInt(response.data.expires_in) || 300;
+      token = response.data.access_token;
+      tokenExpiresAt = Date.now() + Math.max(expiresIn - 60, 30) * 1000;
+      console.log('🔑 BOL.com token obtained');
+      return token;
+    } catch (error) {
+      throw new Error(`BOL.com authentication failed: ${error.response?.data?.error_description || error.message}`);
+    } finally {
+      tokenRequest = null;
+    }
+  })();
+
+  return tokenRequest;
+}
+
+function invalidateToken() {
+  token = null;
+  tokenExpiresAt = 0;
+}
+
+// ===== Rate limiting =====
+
+let nextSlot = 0;
+let pausedUntil = 0;
+
+// Wait for the next free request slot. A 429 from BOL.com pauses all
+// requests until its Retry-After has passed.
+async function waitForSlot() {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlot, pausedUntil);
+  nextSlot = slot + 1000 / BOL_CONFIG.requestsPerSecond;
+  if (slot > now) {
+    await delay(slot - now);
+  }
+}
+
+// Seconds to wait after a 429: BOL.com's Retry-After, or 2, 4, 8... seconds
+function retryAfterSeconds(response, retry) {
+  const retryAfter = parseInt(response?.headers?.['retry-after']);
+  return Number.isFinite(retryAfter) && retryAfter >= 0 ? retryAfter : 2 ** (retry + 1);
+}
+
+// ===== Logging hooks =====
+
+// Listeners for every request ({ method, url, attempt }) and response
+// ({ method, url, status, duration, attempt, error }), e.g. for logging
+const hooks = { request: [], response: [] };
+
+function addHook(event, listener) {
+  if (!hooks[event]) {
+    throw new Error(`Unknown BOL client hook: ${event}. Use one of: ${Object.keys(hooks).join(', ')}`);
+  }
+  hooks[event].push(listener);
+}
+
+function runHooks(event, data) {
+  hooks[event].forEach(listener => {
+    try {
+      listener(data);
+    } catch (error) {
+      console.warn(`⚠️ BOL client ${event} hook failed:`, error.message);
+    }
+  });
+}
+
+// ===== Requests =====
+
+// Send a request to the BOL.com API. path is relative to the base URL
+// (e.g. /retailer/orders). Expired tokens (401) are renewed once and rate
+// limited requests (429) retried after Retry-After, up to maxRetries times.
+// Other errors are thrown as axios errors, so error.response is available.
+async function request(method, path, { data, params, accept = CONTENT_TYPE, responseType, timeout = BOL_CONFIG.timeout } = {}) {
+  const url = `${BOL_CONFIG.baseUrl}${path}`;
+  let renewedToken = false;
+  let rateLimitRetries = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const accessToken = await getAccessToken();
+    await waitForSlot();
+
+    runHooks('request', { method, url, attempt });
+    const startTime = Date.now();
+
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        data,
+        params,
+        responseType,
+        timeout,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          Accept: accept,
+          ...(data !== undefined ? { 'Content-Type': CONTENT_TYPE } : {})
+        }
+      });
+
+      runHooks('response', { method, url, status: response.status, duration: Date.now() - startTime, attempt });
+      return response;
+    } catch (error) {
+      const status = error.response?.status;
+      runHooks('response', { method, url, status: status || null, duration: Date.now() - startTime, attempt, error: error.message });
+
+      if (status === 401 && !renewedToken) {
+        renewedToken = true;
+        invalidateToken();
+        continue;
+      }
+
+      if (status === 429 && rateLimitRetries < BOL_CONFIG.maxRetries) {
+        const seconds = retryAfterSeconds(error.response, rateLimitRetries);
+        rateLimitRetries++;
+        pausedUntil = Math.max(pausedUntil, Date.now() + seconds * 1000);
+        console.warn(`🔃 BOL.com rate limit on ${method.toUpperCase()} ${path}, retrying in ${seconds}s (retry ${rateLimitRetries} of ${BOL_CONFIG.maxRetries})`);
+        continue;
+      }
+
+      throw error;
+    }
+  }
+}
+
+function get(path, options = {}) {
+  return request('get', path, options);
+}
+
+function post(path, data, options = {}) {
+  return request('post', path, { ...options, data });
+}
+
+function put(path, data, options = {}) {
+  return request('put', path, { ...options, data });
+}
+
+// Status of an asynchronous process (PENDING, SUCCESS, FAILURE or TIMEOUT)
+async function getProcessStatus(processStatusId, options = {}) {
+  const response = await get(`/shared/process-status/${processStatusId}`, options);
+  return response.data;
+}
+
+module.exports = {
+  BOL_CONFIG,
+  hasCredentials,
+  getAccessToken,
+  addHook,
+  request,
+  get,
+  post,
+  put,
+  getProcessStatus
+};
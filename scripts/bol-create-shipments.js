@@ -1,71 +1,28 @@
 // scripts/bol-create-shipments.js - Simplified BOL.com shipment creation
 require('dotenv').config();
-const axios = require('axios');
-
-// Access environment variables directly
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-console.log(`🔍 BOL Shipments - CLIENT_ID: ${CLIENT_ID ? 'loaded' : 'missing'}`);
-console.log(`🔍 BOL Shipments - CLIENT_SECRET: ${CLIENT_SECRET ? 'loaded' : 'missing'}`);
+const bolClient = require('./bol-client.js');
+const { assertValidBarcode } = require('./postnl-barcodes.js');
 
 // PostNL configuration for BOL.com API (PostNL uses TNT transporter code in BOL)
 const POSTNL_CONFIG = {
   bolTransporterCode: 'TNT', // BOL.com requires "TNT" code for PostNL shipments
   actualCarrier: 'PostNL',
-  trackingUrlPattern: 'https://postnl.nl/tracktrace/?B=',
-  trackingCodeFormat: /^3S[0-9A-Z]{13}NL$/
+  trackingUrlPattern: 'https://postnl.nl/tracktrace/?B='
 };
 
-// Get BOL.com access token
-async function getAccessToken() {
-  try {
-    const credentials = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
-    const response = await axios.post(
-      'https://login.bol.com/token?grant_type=client_credentials',
-      null,
-      { 
-        headers: { 
-          Authorization: `Basic ${credentials}`, 
-          Accept: 'application/json' 
-        },
-        timeout: 10000
-      }
-    );
-    return response.data.access_token;
-  } catch (error) {
-    throw new Error(`Authentication failed: ${error.response?.data?.error_description || error.message}`);
-  }
-}
-
-// Generate PostNL tracking code if not provided
-function generatePostNLTrackingCode() {
-  const characters = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  let trackingCode = '3S';
-  
-  for (let i = 0; i < 13; i++) {
-    trackingCode += characters.charAt(Math.floor(Math.random() * characters.length));
-  }
-  
-  return trackingCode + 'NL';
-}
-
-// Create shipment in BOL.com
-async function createShipment(token, orderItemId, shipmentData) {
+// Create shipment in BOL.com. All order items in one shipment share the
+// parcel's tracking code; each is shipped with its full quantity.
+async function createShipment(parcelItems, shipmentData) {
   try {
-    // Always use TNT as transporter code for BOL.com, even though we're using PostNL
-    const trackAndTrace = shipmentData.trackAndTrace || generatePostNLTrackingCode();
-    
-    // Validate tracking code format
-    if (!POSTNL_CONFIG.trackingCodeFormat.test(trackAndTrace)) {
-      console.warn(`Invalid PostNL tracking code format: ${trackAndTrace}. Expected format: 3S[13chars]NL`);
-    }
+    // Only barcodes from a real PostNL label may be registered with BOL.com
+    const trackAndTrace = assertValidBarcode(shipmentData.trackAndTrace);
     
+    // Always use TNT as transporter code for BOL.com, even though we're using PostNL
     const shipmentPayload = {
-      orderItems: [{
-        orderItemId: orderItemId,
-        quantity: shipmentData.quantity || 1
-      }],
+      orderItems: parcelItems.map(parcelItem => ({
+        orderItemId: parcelItem.orderItemId,
+        quantity: parcelItem.quantity || 1
+      })),
       shipmentReference: shipmentData.reference || `POSTNL_${Date.now()}`,
       shippingLabelId: shipmentData.shippingLabelId || `PNL_${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
       transport: {
@@ -74,22 +31,11 @@ async function createShipment(token, orderItemId, shipmentData) {
       }
     };
 
-    console.log(`📮 Creating PostNL shipment (BOL transporter code: ${POSTNL_CONFIG.bolTransporterCode}) for order item ${orderItemId}`);
+    console.log(`📮 Creating PostNL shipment (BOL transporter code: ${POSTNL_CONFIG.bolTransporterCode}) for order items ${parcelItems.map(parcelItem => `${parcelItem.orderItemId} (x${parcelItem.quantity || 1})`).join(', ')}`);
     console.log(`📦 Tracking code: ${trackAndTrace}`);
     console.log(`🔗 Track at: ${POSTNL_CONFIG.trackingUrlPattern}${trackAndTrace}`);
 
-    const response = await axios.post(
-      'https://api.bol.com/retailer/shipments',
-      shipmentPayload,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/vnd.retailer.v10+json',
-          'Content-Type': 'application/vnd.retailer.v10+json'
-        },
-        timeout: 15000
-      }
-    );
+    const response = await bolClient.post('/retailer/shipments', shipmentPayload);
     
     return {
       ...response.data,
@@ -99,7 +45,13 @@ async function createShipment(token, orderItemId, shipmentData) {
       trackingUrl: `${POSTNL_CONFIG.trackingUrlPattern}${trackAndTrace}`
     };
   } catch (error) {
-    throw new Error(`Failed to create PostNL shipment: ${error.response?.data?.title || error.message}`);
+    const failure = new Error(`Failed to create PostNL shipment: ${error.response?.data?.title || error.message}`);
+    // Still rate limited after the client's retries: BOL.com says how many
+    // seconds to wait
+    if (error.response?.status === 429) {
+      failure.retryAfter = parseInt(error.response.headers['retry-after']) || 0;
+    }
+    throw failure;
   }
 }
 
@@ -109,12 +61,12 @@ async function createShipments(orderItems = null) {
     console.log('🚀 Starting PostNL shipment creation process...');
     console.log(`📮 Using ${POSTNL_CONFIG.actualCarrier} with BOL.com transporter code: ${POSTNL_CONFIG.bolTransporterCode}`);
     
-    if (!CLIENT_ID || !CLIENT_SECRET) {
+    if (!bolClient.hasCredentials()) {
       throw new Error('CLIENT_ID and CLIENT_SECRET must be set in environment variables');
     }
 
-    console.log('🔑 Getting access token...');
-    const token = await getAccessToken();
+    // Fail the whole batch when BOL.com does not accept the credentials
+    await bolClient.getAccessToken();
     
     let shipments = [];
     let successCount = 0;
@@ -122,58 +74,70 @@ async function createShipments(orderItems = null) {
 
     // Process provided order items
     if (orderItems && Array.isArray(orderItems)) {
-      console.log(`📦 Creating shipments for ${orderItems.length} order items...`);
+      // One BOL.com shipment per parcel: items sharing a tracking code go together
+      const parcels = new Map();
+      orderItems.forEach(orderItem => {
+        const key = orderItem.trackAndTrace || `untracked_${orderItem.orderItemId}`;
+        if (!parcels.has(key)) parcels.set(key, []);
+        parcels.get(key).push(orderItem);
+      });
+      
+      console.log(`📦 Creating shipments for ${orderItems.length} order items in ${parcels.size} parcels...`);
       
-      for (const orderItem of orderItems) {
+      for (const parcelItems of parcels.values()) {
+        const orderItemIds = parcelItems.map(orderItem => orderItem.orderItemId);
+        
         try {
-          // Use provided tracking code or generate one
-          const trackAndTrace = orderItem.trackAndTrace || generatePostNLTrackingCode();
+          // The tracking code must come from the PostNL label created for this parcel
+          const trackAndTrace = assertValidBarcode(parcelItems[0].trackAndTrace);
           const shippingLabelId = `PNL_${Math.random().toString(36).substring(2, 10).toUpperCase()}`;
           
           const shipmentData = {
-            reference: `POSTNL_${orderItem.orderItemId}_${Date.now()}`,
+            reference: `POSTNL_${orderItemIds[0]}_${Date.now()}`,
             shippingLabelId: shippingLabelId,
-            trackAndTrace: trackAndTrace,
-            quantity: 1
+            trackAndTrace: trackAndTrace
           };
 
-          const result = await createShipment(token, orderItem.orderItemId, shipmentData);
+          const result = await createShipment(parcelItems, shipmentData);
           
-          shipments.push({
-            orderItemId: orderItem.orderItemId,
-            orderId: orderItem.orderId,
-            shipmentId: result.shipmentId || `SHIP_${Date.now()}_${successCount}`,
-            trackAndTrace: trackAndTrace,
-            trackingUrl: `${POSTNL_CONFIG.trackingUrlPattern}${trackAndTrace}`,
-            shippingLabelId: shippingLabelId,
-            transporterCode: POSTNL_CONFIG.bolTransporterCode, // "TNT" for BOL.com
-            actualCarrier: POSTNL_CONFIG.actualCarrier, // "PostNL" for display
-            status: 'created',
-            createdAt: new Date().toISOString(),
-            customerName: `${orderItem.firstName || ''} ${orderItem.lastName || ''}`.trim(),
-            address: orderItem.address || `${orderItem.street || ''} ${orderItem.houseNumber || ''}, ${orderItem.zipCode || ''} ${orderItem.city || ''}`,
-            processStatusId: result.processStatusId,
-            productCode: orderItem.productCode || '3085'
-          });
-          
-          successCount++;
-          console.log(`✅ Created PostNL shipment for order item ${orderItem.orderItemId} (tracking: ${trackAndTrace})`);
+          for (const orderItem of parcelItems) {
+            shipments.push({
+              orderItemId: orderItem.orderItemId,
+              orderId: orderItem.orderId,
+              // BOL.com's shipment ID is only known once the process status succeeds
+              shipmentId: result.shipmentId || null,
+              trackAndTrace: trackAndTrace,
+              trackingUrl: `${POSTNL_CONFIG.trackingUrlPattern}${trackAndTrace}`,
+              shippingLabelId: shippingLabelId,
+              transporterCode: POSTNL_CONFIG.bolTransporterCode, // "TNT" for BOL.com
+              actualCarrier: POSTNL_CONFIG.actualCarrier, // "PostNL" for display
+              status: 'pending',
+              createdAt: new Date().toISOString(),
+              customerName: `${orderItem.firstName || ''} ${orderItem.lastName || ''}`.trim(),
+              address: orderItem.address || `${orderItem.street || ''} ${orderItem.houseNumber || ''}, ${orderItem.zipCode || ''} ${orderItem.city || ''}`,
+              processStatusId: result.processStatusId,
+              productCode: orderItem.productCode || '3085'
+            });
+            successCount++;
+          }
           
-          // Rate limiting
-          await new Promise(resolve => setTimeout(resolve, 500));
+          console.log(`✅ Created PostNL shipment for order items ${orderItemIds.join(', ')} (tracking: ${trackAndTrace})`);
           
         } catch (error) {
-          errorCount++;
-          console.error(`❌ Failed to create shipment for ${orderItem.orderItemId}:`, error.message);
+          console.error(`❌ Failed to create shipment for ${orderItemIds.join(', ')}:`, error.message);
           
-          shipments.push({
-            orderItemId: orderItem.orderItemId,
-            orderId: orderItem.orderId,
-            status: 'failed',
-            error: error.message,
-            createdAt: new Date().toISOString(),
-            customerName: `${orderItem.firstName || ''} ${orderItem.lastName || ''}`.trim()
-          });
+          for (const orderItem of parcelItems) {
+            errorCount++;
+            shipments.push({
+              orderItemId: orderItem.orderItemId,
+              orderId: orderItem.orderId,
+              status: 'failed',
+              error: error.message,
+              retryAfter: error.retryAfter || 0,
+              createdAt: new Date().toISOString(),
+              customerName: `${orderItem.firstName || ''} ${orderItem.lastName || ''}`.trim()
+            });
+          }
         }
       }
     } else {
@@ -223,7 +187,114 @@ async function createShipments(orderItems = null) {
   }
 }
 
+// Status of an asynchronous BOL.com process (PENDING, SUCCESS, FAILURE or
+// TIMEOUT), or null when BOL.com no longer knows the process: it only keeps
+// process statuses for a limited time
+async function getProcessStatus(processStatusId) {
+  try {
+    return await bolClient.getProcessStatus(processStatusId, { timeout: 10000 });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw new Error(`Failed to get process status ${processStatusId}: ${error.response?.data?.title || error.message}`);
+  }
+}
+
+// BOL.com's shipment IDs for the given order items, from the order's shipments
+async function findShipmentIds(orderId, orderItemIds) {
+  const response = await bolClient.get('/retailer/shipments', {
+    params: { 'order-id': orderId },
+    timeout: 10000
+  });
+  
+  const shipmentIds = {};
+  (response.data.shipments || []).forEach(shipment => {
+    (shipment.shipmentItems || []).forEach(shipmentItem => {
+      if (orderItemIds.includes(shipmentItem.orderItemId)) {
+        shipmentIds[shipmentItem.orderItemId] = String(shipment.shipmentId);
+      }
+    });
+  });
+  return shipmentIds;
+}
+
+// Check shipment registrations started by createShipments. Each registration
+// is { processStatusId, orderId, orderItemIds } and gets a result with status
+// 'pending', 'confirmed' (with BOL.com's shipment ID per order item, as far as
+// it could be looked up) or 'failed' (with the error). Registrations that
+// could not be checked stay pending and are tried again on the next check.
+async function checkShipmentRegistrations(registrations) {
+  if (!bolClient.hasCredentials()) {
+    throw new Error('CLIENT_ID and CLIENT_SECRET must be set in environment variables');
+  }
+  
+  await bolClient.getAccessToken();
+  const results = [];
+  
+  for (const registration of registrations) {
+    try {
+      const processStatus = await getProcessStatus(registration.processStatusId);
+      
+      if (!processStatus) {
+        // The process status expired: the order's shipments tell whether
+        // BOL.com accepted the registration
+        const shipmentIds = await findShipmentIds(registration.orderId, registration.orderItemIds);
+        if (registration.orderItemIds.every(orderItemId => shipmentIds[orderItemId])) {
+          results.push({ ...registration, status: 'confirmed', shipmentIds });
+          console.log(`✅ BOL.com has shipments for order items ${registration.orderItemIds.join(', ')} (process status expired)`);
+        } else {
+          const error = 'Process status not found at BOL.com and no shipment was registered';
+          results.push({ ...registration, status: 'failed', error });
+          console.error(`❌ ${error} for order items ${registration.orderItemIds.join(', ')}`);
+        }
+      } else if (processStatus.status === 'SUCCESS') {
+        let shipmentIds = {};
+        try {
+          shipmentIds = await findShipmentIds(registration.orderId, registration.orderItemIds);
+        } catch (error) {
+          console.warn(`⚠️ Shipment ${registration.processStatusId} confirmed, but its shipment ID could not be looked up yet: ${error.message}`);
+        }
+        results.push({ ...registration, status: 'confirmed', shipmentIds });
+        console.log(`✅ BOL.com confirmed shipment of order items ${registration.orderItemIds.join(', ')}`);
+      } else if (processStatus.status === 'FAILURE' || processStatus.status === 'TIMEOUT') {
+        const error = processStatus.errorMessage || `Process ${processStatus.status.toLowerCase()}`;
+        results.push({ ...registration, status: 'failed', error });
+        console.error(`❌ BOL.com rejected shipment of order items ${registration.orderItemIds.join(', ')}: ${error}`);
+      } else {
+        results.push({ ...registration, status: 'pending' });
+      }
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}`);
+      results.push({ ...registration, status: 'pending' });
+    }
+  }
+  
+  return results;
+}
+
+// Look up BOL.com's shipment IDs of confirmed shipments that did not get one
+// yet. Each lookup is { orderId, orderItemIds } and gets the shipment IDs that
+// were found; an order that could not be looked up gets none and is tried
+// again on the next check.
+async function lookupShipmentIds(lookups) {
+  if (!bolClient.hasCredentials()) {
+    throw new Error('CLIENT_ID and CLIENT_SECRET must be set in environment variables');
+  }
+  
+  const results = [];
+  for (const lookup of lookups) {
+    try {
+      results.push({ ...lookup, shipmentIds: await findShipmentIds(lookup.orderId, lookup.orderItemIds) });
+    } catch (error) {
+      console.warn(`⚠️ Shipment IDs of order ${lookup.orderId} could not be looked up: ${error.message}`);
+      results.push({ ...lookup, shipmentIds: {} });
+    }
+  }
+  return results;
+}
+
 // Export configuration for use in other modules
 const transporterConfig = POSTNL_CONFIG;
 
-module.exports = { createShipments, transporterConfig };
+module.exports = { createShipments, checkShipmentRegistrations, lookupShipmentIds, transporterConfig };
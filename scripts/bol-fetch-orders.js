@@ -1,59 +1,12 @@
 // scripts/bol-fetch-orders.js - Simplified BOL.com order fetching
 require('dotenv').config();
-const axios = require('axios');
-
-// Access environment variables directly
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-// Debug logging
-console.log(`🔍 BOL Fetch Orders - CLIENT_ID: ${CLIENT_ID ? 'loaded' : 'missing'}`);
-console.log(`🔍 BOL Fetch Orders - CLIENT_SECRET: ${CLIENT_SECRET ? 'loaded' : 'missing'}`);
-
-let token = null;
-let tokenTimestamp = 0;
-
-// Get BOL.com access token
-async function getAccessToken() {
-  const maxAge = 4 * 60 * 1000; // 4 minutes
-  if (!token || Date.now() - tokenTimestamp > maxAge) {
-    try {
-      if (!CLIENT_ID || !CLIENT_SECRET) {
-        throw new Error('BOL.com API credentials not configured');
-      }
-
-      const credentials = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
-      const response = await axios.post(
-        'https://login.bol.com/token?grant_type=client_credentials',
-        null,
-        {
-          headers: {
-            Authorization: `Basic ${credentials}`,
-            Accept: 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-
-      if (!response.data.access_token) {
-        throw new Error('No access token received from BOL.com');
-      }
-
-      token = response.data.access_token;
-      tokenTimestamp = Date.now();
-      console.log('🔑 BOL.com token obtained');
-      return token;
-    } catch (error) {
-      throw new Error(`BOL.com authentication failed: ${error.response?.data?.error_description || error.message}`);
-    }
-  }
-  return token;
-}
+const bolClient = require('./bol-client.js');
 
 // Fetch all open FBR orders
 async function fetchAllOrders() {
   try {
-    const accessToken = await getAccessToken();
+    // Fail early when BOL.com does not accept the credentials
+    await bolClient.getAccessToken();
     let allOrders = [];
     let page = 1;
     const maxPages = 10; // Safety limit
@@ -64,21 +17,13 @@ async function fetchAllOrders() {
       try {
         console.log(`📄 Fetching page ${page}...`);
         
-        const response = await axios.get(
-          'https://api.bol.com/retailer/orders',
-          {
-            headers: {
-              Authorization: `Bearer ${accessToken}`,
-              Accept: 'application/vnd.retailer.v10+json'
-            },
-            params: {
-              status: 'OPEN',
-              'fulfilment-method': 'FBR', // Only FBR orders
-              page: page
-            },
-            timeout: 15000
+        const response = await bolClient.get('/retailer/orders', {
+          params: {
+            status: 'OPEN',
+            'fulfilment-method': 'FBR', // Only FBR orders
+            page: page
           }
-        );
+        });
         
         const orders = response.data.orders || [];
         
@@ -91,27 +36,11 @@ async function fetchAllOrders() {
         console.log(`📄 Page ${page}: ${orders.length} orders (total: ${allOrders.length})`);
         page++;
         
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
       } catch (pageError) {
+        // Expired tokens and rate limits are retried by the client; skip
+        // the page on anything else
         console.error(`❌ Error fetching page ${page}:`, pageError.message);
-        
-        if (pageError.response?.status === 401) {
-          // Token expired, refresh and retry
-          token = null;
-          const newToken = await getAccessToken();
-          continue;
-        } else if (pageError.response?.status === 429) {
-          // Rate limited
-          console.log('⏳ Rate limited, waiting 30 seconds...');
-          await new Promise(resolve => setTimeout(resolve, 30000));
-          continue;
-        } else {
-          // Other error, skip this page
-          page++;
-          continue;
-        }
+        page++;
       }
     }
     
@@ -132,7 +61,7 @@ async function fetchOrders() {
     console.log('🚀 Starting BOL.com order fetch...');
     
     // Validate credentials
-    if (!CLIENT_ID || !CLIENT_SECRET) {
+    if (!bolClient.hasCredentials()) {
       throw new Error('BOL.com API credentials not configured. Please set CLIENT_ID and CLIENT_SECRET environment variables.');
     }
 
@@ -157,9 +86,19 @@ async function fetchOrders() {
       orderItems: order.orderItems || [],
       shipmentDetails: order.shipmentDetails || {},
       billingDetails: order.billingDetails || {},
+      cancellationRequested: (order.orderItems || []).some(item => item.cancellationRequest === true),
       status: 'OPEN'
     }));
 
+    // Customers can request a cancellation until the item is shipped
+    const cancellationRequests = processedOrders.reduce(
+      (count, order) => count + order.orderItems.filter(item => item.cancellationRequest === true).length,
+      0
+    );
+    if (cancellationRequests > 0) {
+      console.warn(`⚠️ ${cancellationRequests} order items have a cancellation request`);
+    }
+
     const duration = Math.round((Date.now() - startTime) / 1000);
     console.log(`✅ Order fetch completed in ${duration}s`);
 
@@ -168,6 +107,7 @@ async function fetchOrders() {
       message: `Successfully fetched ${orders.length} orders from BOL.com`,
       ordersData: processedOrders,
       ordersCount: orders.length,
+      cancellationRequests: cancellationRequests,
       duration: `${duration}s`,
       timestamp: new Date().toISOString()
     };
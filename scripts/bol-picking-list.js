@@ -1,65 +1,12 @@
 // scripts/bol-picking-list.js - Simplified picking list generation
 require('dotenv').config();
-const axios = require('axios');
-
-// Access environment variables directly
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-console.log(`🔍 BOL Picking List - CLIENT_ID: ${CLIENT_ID ? 'loaded' : 'missing'}`);
-console.log(`🔍 BOL Picking List - CLIENT_SECRET: ${CLIENT_SECRET ? 'loaded' : 'missing'}`);
-
-let token = null;
-let tokenTimestamp = 0;
-
-// Get BOL.com access token
-async function getAccessToken() {
-  const maxAge = 4 * 60 * 1000; // 4 minutes
-  if (!token || Date.now() - tokenTimestamp > maxAge) {
-    try {
-      if (!CLIENT_ID || !CLIENT_SECRET) {
-        throw new Error('BOL.com API credentials not configured');
-      }
-
-      const credentials = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
-      const response = await axios.post(
-        'https://login.bol.com/token?grant_type=client_credentials',
-        null,
-        {
-          headers: {
-            Authorization: `Basic ${credentials}`,
-            Accept: 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-
-      token = response.data.access_token;
-      tokenTimestamp = Date.now();
-      console.log('🔑 BOL.com token obtained for picking list');
-      return token;
-    } catch (error) {
-      throw new Error(`BOL.com authentication failed: ${error.response?.data?.error_description || error.message}`);
-    }
-  }
-  return token;
-}
+const bolClient = require('./bol-client.js');
+const catalog = require('./catalog.js');
 
 // Fetch order details
 async function fetchOrderDetails(orderId) {
   try {
-    const accessToken = await getAccessToken();
-    
-    const response = await axios.get(
-      `https://api.bol.com/retailer/orders/${orderId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          Accept: 'application/vnd.retailer.v10+json'
-        },
-        timeout: 10000
-      }
-    );
+    const response = await bolClient.get(`/retailer/orders/${orderId}`, { timeout: 10000 });
     
     return response.data;
   } catch (error) {
@@ -68,67 +15,74 @@ async function fetchOrderDetails(orderId) {
   }
 }
 
-// Fetch all open orders for picking list
+// Most pages of open orders fetched for one picking list
+const MAX_ORDER_PAGES = 5;
+
+// Fetch all open orders for picking list. complete is false when there were
+// more pages than MAX_ORDER_PAGES, so not every open order was fetched.
 async function fetchOrdersForPicking() {
   try {
-    const accessToken = await getAccessToken();
     let allOrders = [];
     let page = 1;
+    let complete = false;
     
     console.log('📋 Fetching orders for picking list...');
     
-    while (page <= 5) { // Limit to 5 pages for simplicity
-      const response = await axios.get(
-        'https://api.bol.com/retailer/orders',
-        {
-          headers: {
-            Authorization: `Bearer ${accessToken}`,
-            Accept: 'application/vnd.retailer.v10+json'
-          },
-          params: {
-            status: 'OPEN',
-            'fulfilment-method': 'FBR',
-            page: page
-          },
-          timeout: 15000
+    while (page <= MAX_ORDER_PAGES) {
+      const response = await bolClient.get('/retailer/orders', {
+        params: {
+          status: 'OPEN',
+          'fulfilment-method': 'FBR',
+          page: page
         }
-      );
+      });
       
       const orders = response.data.orders || [];
       
       if (orders.length === 0) {
+        complete = true;
         break;
       }
       
       allOrders = allOrders.concat(orders);
       console.log(`📄 Page ${page}: ${orders.length} orders`);
       page++;
-      
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
     
-    return allOrders;
+    if (!complete) {
+      console.warn(`⚠️ Stopped after ${MAX_ORDER_PAGES} pages of orders, the picking list may be incomplete`);
+    }
+    
+    return { orders: allOrders, complete };
   } catch (error) {
     throw new Error(`Failed to fetch orders: ${error.message}`);
   }
 }
 
-// Generate warehouse location based on product info
-function generateLocation(product) {
-  if (!product) return 'UNKNOWN';
-  
-  // Simple location generation based on EAN or product type
-  const ean = product.ean || '';
-  if (ean.length >= 4) {
-    const section = ean.substring(0, 1);
-    const aisle = ean.substring(1, 3);
-    const shelf = ean.substring(3, 4);
-    return `${String.fromCharCode(65 + parseInt(section) % 26)}-${aisle}-${shelf}`;
-  }
-  
-  // Fallback location
-  return `A-${Math.floor(Math.random() * 99) + 1}-${Math.floor(Math.random() * 9) + 1}`;
+// Warehouse location from the product catalog, falling back to the offer
+// reference some sellers keep their bin location in. Products that are not in
+// the catalog yet are added to it so they can be given a location.
+function lookupLocation(item) {
+  const ean = item.product?.ean;
+  catalog.addMissingProduct(ean, item.product?.title);
+  return catalog.getLocation(ean) || item.offer?.reference || '';
+}
+
+// Placeholder for an order whose details could not be fetched, so the merge
+// keeps the items it already knows of that order
+function failedOrderEntry(orderId, message) {
+  return {
+    MessageID: orderId,
+    OrderItemID: '',
+    FirstName: '',
+    LastName: '',
+    ProductTitle: 'ERROR: Failed to fetch details',
+    EAN: '',
+    location: '',
+    picked: false,
+    error: message,
+    processedAt: new Date().toISOString()
+  };
 }
 
 // Main picking list generation function
@@ -138,18 +92,19 @@ async function generatePickingList() {
   try {
     console.log('🚀 Generating picking list...');
     
-    if (!CLIENT_ID || !CLIENT_SECRET) {
+    if (!bolClient.hasCredentials()) {
       throw new Error('BOL.com API credentials not configured');
     }
 
     // Fetch all open orders
-    const orders = await fetchOrdersForPicking();
+    const { orders, complete } = await fetchOrdersForPicking();
     
     if (orders.length === 0) {
       return {
         success: true,
         message: 'No open orders found for picking',
         pickingList: [],
+        complete,
         totalOrders: 0,
         totalItems: 0
       };
@@ -169,17 +124,24 @@ async function generatePickingList() {
         if (!orderDetails || !orderDetails.orderItems) {
           console.warn(`⚠️ No order items found for ${order.orderId}`);
           errorCount++;
+          pickingList.push(failedOrderEntry(order.orderId, 'No order details received from BOL.com'));
           continue;
         }
         
         // Process each order item
         for (const item of orderDetails.orderItems) {
+          // Items are tracked by their ID; one without can't be picked or shipped
+          if (!item.orderItemId) {
+            console.warn(`⚠️ Skipping an item without orderItemId in order ${order.orderId}`);
+            continue;
+          }
+          
           const shipment = orderDetails.shipmentDetails || {};
           
           const pickingEntry = {
             // Order identification
             MessageID: order.orderId,
-            OrderItemID: item.orderItemId || `item_${Date.now()}`,
+            OrderItemID: item.orderItemId,
             
             // Customer information
             FirstName: shipment.firstName || '',
@@ -191,20 +153,25 @@ async function generatePickingList() {
             ShipHouseNrExt: shipment.houseNumberExtension || '',
             ShipZipcode: shipment.zipCode || '',
             ShipCity: shipment.city || '',
-            ShipCountrycode: shipment.countryCode || 'NL',
+            ShipCountrycode: (shipment.countryCode || 'NL').toUpperCase(),
+            ShipCompany: shipment.company || '',
+            ShipAddressExtra: shipment.extraAddressInformation || '',
             
             // Contact information
             ReceiverEmail: shipment.email || '',
-            ReceiverSMS: shipment.phoneNumber || '',
+            ReceiverSMS: shipment.deliveryPhoneNumber || shipment.phoneNumber || '',
             
             // Product information
             ProductTitle: item.product?.title || 'Unknown Product',
             EAN: item.product?.ean || '',
             
-            // Warehouse location (generated)
-            location: item.offer?.reference || generateLocation(item.product),
+            // Warehouse location from the product catalog
+            location: lookupLocation(item),
             originalReference: item.offer?.reference || '',
             
+            // Cancellation requested by the customer on BOL.com
+            cancellationRequested: item.cancellationRequest === true,
+            
             // Picking status
             picked: false,
             pickTimestamp: null,
@@ -227,26 +194,12 @@ async function generatePickingList() {
         
         processedCount++;
         
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
       } catch (error) {
         console.error(`❌ Error processing order ${order.orderId}:`, error.message);
         errorCount++;
         
         // Add error entry to maintain order tracking
-        pickingList.push({
-          MessageID: order.orderId,
-          OrderItemID: '',
-          FirstName: '',
-          LastName: '',
-          ProductTitle: 'ERROR: Failed to fetch details',
-          EAN: '',
-          location: '',
-          picked: false,
-          error: error.message,
-          processedAt: new Date().toISOString()
-        });
+        pickingList.push(failedOrderEntry(order.orderId, error.message));
       }
     }
     
@@ -257,8 +210,9 @@ async function generatePickingList() {
 
     return {
       success: true,
-      message: `Generated picking list with ${pickingList.length} items from ${processedCount} orders${errorCount > 0 ? ` (${errorCount} errors)` : ''}`,
+      message: `Generated picking list with ${pickingList.length} items from ${processedCount} orders${errorCount > 0 ? ` (${errorCount} errors)` : ''}${complete ? '' : ` (only the first ${MAX_ORDER_PAGES} pages of orders)`}`,
       pickingList: pickingList,
+      complete,
       totalOrders: processedCount,
       totalItems: pickingList.length,
       errorCount: errorCount,
@@ -304,6 +258,125 @@ function updatePickingStatus(pickingList, orderId, itemId, picked = true, locati
   return false;
 }
 
+// Local picking state that must survive a re-fetch from BOL.com
+const LOCAL_STATE_FIELDS = [
+  'picked',
+  'pickedQuantity',
+  'pickTimestamp',
+  'pickedBy',
+  'locationConfirmed',
+  'parcelCount',
+  'weight',
+  'waveId',
+  'productCode',
+  'trackingNumber',
+  'labelFilename',
+  'labelCreated',
+  'labelCreatedAt',
+  'labelCreatedBy',
+  'shipped',
+  'shippedAt',
+  'shippedBy',
+  'bolShipmentRegistered',
+  'bolShipmentStatus',
+  'bolShipmentId',
+  'bolShipmentError',
+  'cancellationConfirmed',
+  'cancellationConfirmedAt',
+  'cancellationStatus',
+  'cancellationProcessStatusId',
+  'cancellationError'
+];
+
+function pickingItemKey(item) {
+  return `${item.MessageID}::${item.OrderItemID}`;
+}
+
+// Merge a freshly generated picking list into the existing one.
+// Known items (same MessageID + OrderItemID) keep their local picking state,
+// new items are added, and unshipped items that are no longer in BOL's open
+// list are flagged with removedFromBol instead of being dropped. Items we
+// shipped (and BOL.com confirmed) or cancelled ourselves leave the list once
+// BOL.com no longer reports them. When the fresh list is not complete (not every page of open
+// orders was fetched) missing items are kept as they are.
+function mergePickingList(existingList, freshList, { complete = true } = {}) {
+  const now = new Date().toISOString();
+  const existingByKey = new Map(
+    existingList.filter(item => !item.error).map(item => [pickingItemKey(item), item])
+  );
+  const freshKeys = new Set();
+  const failedOrders = new Set(freshList.filter(item => item.error).map(item => item.MessageID));
+  const knownOrders = new Set(Array.from(existingByKey.values()).map(item => item.MessageID));
+  
+  const pickingList = [];
+  const stats = { added: 0, updated: 0, removed: 0, restored: 0, completed: 0, cancelled: 0, cancellationRequests: 0 };
+  
+  for (const freshItem of freshList) {
+    // Details could not be fetched: keep what we already know about the order
+    if (freshItem.error) {
+      if (!knownOrders.has(freshItem.MessageID)) {
+        pickingList.push(freshItem);
+      }
+      continue;
+    }
+    
+    const key = pickingItemKey(freshItem);
+    freshKeys.add(key);
+    if (freshItem.cancellationRequested) {
+      stats.cancellationRequests++;
+    }
+    const existing = existingByKey.get(key);
+    
+    if (!existing) {
+      pickingList.push({ ...freshItem, removedFromBol: false, removedAt: null });
+      stats.added++;
+      continue;
+    }
+    
+    const merged = { ...freshItem };
+    LOCAL_STATE_FIELDS.forEach(field => {
+      merged[field] = existing[field];
+    });
+    if (existing.locationConfirmed && existing.location) {
+      merged.location = existing.location;
+    }
+    if (existing.removedFromBol) {
+      stats.restored++;
+    }
+    merged.removedFromBol = false;
+    merged.removedAt = null;
+    
+    pickingList.push(merged);
+    stats.updated++;
+  }
+  
+  for (const [key, existing] of existingByKey) {
+    if (freshKeys.has(key)) continue;
+    
+    if (failedOrders.has(existing.MessageID) || !complete) {
+      pickingList.push(existing);
+    } else if (existing.shipped && existing.bolShipmentRegistered && existing.bolShipmentStatus === 'confirmed') {
+      stats.completed++;
+    } else if (existing.shipped || ['pending', 'failed'].includes(existing.bolShipmentStatus)) {
+      // Not confirmed by BOL.com yet, or rejected: keep the label and the
+      // shipment error so it can still be retried or looked into
+      pickingList.push(existing);
+    } else if (existing.cancellationConfirmed) {
+      stats.cancelled++;
+    } else {
+      if (!existing.removedFromBol) {
+        stats.removed++;
+        console.warn(`⚠️ Order item ${existing.MessageID}/${existing.OrderItemID} is no longer open on BOL.com`);
+      }
+      pickingList.push({ ...existing, removedFromBol: true, removedAt: existing.removedAt || now });
+    }
+  }
+  
+  console.log(`🔀 Merged picking list: ${stats.added} new, ${stats.updated} known, ${stats.removed} no longer open, ${stats.completed} shipped and completed`);
+  
+  return { pickingList, stats };
+}
+
 // Get picking statistics
 function getPickingStats(pickingList) {
   if (!pickingList || pickingList.length === 0) {
@@ -330,6 +403,7 @@ function getPickingStats(pickingList) {
 
 module.exports = { 
   generatePickingList, 
+  mergePickingList,
   updatePickingStatus, 
   getPickingStats 
 };
@@ -1,17 +1,10 @@
 // scripts/bol-update-prices.js - BOL.com price update functionality
 require('dotenv').config();
-const axios = require('axios');
+const bolClient = require('./bol-client.js');
 const fs = require('fs').promises;
 const path = require('path');
 const ExcelJS = require('exceljs');
 
-// Access environment variables directly
-const CLIENT_ID = process.env.CLIENT_ID;
-const CLIENT_SECRET = process.env.CLIENT_SECRET;
-
-console.log(`🔍 BOL Price Updates - CLIENT_ID: ${CLIENT_ID ? 'loaded' : 'missing'}`);
-console.log(`🔍 BOL Price Updates - CLIENT_SECRET: ${CLIENT_SECRET ? 'loaded' : 'missing'}`);
-
 // Config & helpers
 const REQUEST_TIMEOUT = 10000;
 const POLL_TIMEOUT = 5000;
@@ -19,9 +12,6 @@ const MAX_POLL_REQUESTS = 29;
 const POLL_INTERVAL = 1000;
 const delay = ms => new Promise(r => setTimeout(r, ms));
 
-let token = null;
-let tokenTimestamp = 0;
-
 // Progress tracking
 let currentProgress = {
   stage: 'idle',
@@ -37,43 +27,6 @@ let currentProgress = {
   endTime: null
 };
 
-// Get BOL.com access token
-async function getToken() {
-  const maxAge = 4 * 60 * 1000; // 4 minutes
-  if (!token || Date.now() - tokenTimestamp > maxAge) {
-    try {
-      if (!CLIENT_ID || !CLIENT_SECRET) {
-        throw new Error('BOL.com API credentials not configured');
-      }
-
-      const credentials = Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64');
-      const response = await axios.post(
-        'https://login.bol.com/token?grant_type=client_credentials',
-        null,
-        {
-          headers: {
-            Authorization: `Basic ${credentials}`,
-            Accept: 'application/json'
-          },
-          timeout: REQUEST_TIMEOUT
-        }
-      );
-
-      if (!response.data.access_token) {
-        throw new Error('No access token received from BOL.com');
-      }
-
-      token = response.data.access_token;
-      tokenTimestamp = Date.now();
-      console.log('🔑 BOL.com token obtained for price updates');
-      return token;
-    } catch (error) {
-      throw new Error(`BOL.com authentication failed: ${error.response?.data?.error_description || error.message}`);
-    }
-  }
-  return token;
-}
-
 // Update progress
 function updateProgress(stage, message, progress = null, additionalData = {}) {
   currentProgress.stage = stage;
@@ -87,19 +40,7 @@ function updateProgress(stage, message, progress = null, additionalData = {}) {
 
 // Export offers from BOL.com
 async function requestExport() {
-  await getToken();
-  const response = await axios.post(
-    'https://api.bol.com/retailer/offers/export',
-    { format: 'CSV' },
-    {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/vnd.retailer.v10+json',
-        Accept: 'application/vnd.retailer.v10+json'
-      },
-      timeout: REQUEST_TIMEOUT
-    }
-  );
+  const response = await bolClient.post('/retailer/offers/export', { format: 'CSV' }, { timeout: REQUEST_TIMEOUT });
   
   console.log('✅ Export gestart, psId =', response.data.processStatusId);
   return response.data.processStatusId;
@@ -108,23 +49,13 @@ async function requestExport() {
 // Poll export status
 async function pollExportStatus(psId) {
   while (true) {
-    await getToken();
-    const response = await axios.get(
-      `https://api.bol.com/shared/process-status/${psId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/vnd.retailer.v10+json'
-        },
-        timeout: POLL_TIMEOUT
-      }
-    );
+    const processStatus = await bolClient.getProcessStatus(psId, { timeout: POLL_TIMEOUT });
     
-    console.log(`🔄 Export-status: ${response.data.status}`);
+    console.log(`🔄 Export-status: ${processStatus.status}`);
     
-    if (response.data.status === 'SUCCESS') return response.data.entityId;
-    if (response.data.status === 'FAILURE') {
-      throw new Error(`Export mislukt: ${response.data.errorMessage}`);
+    if (processStatus.status === 'SUCCESS') return processStatus.entityId;
+    if (processStatus.status === 'FAILURE') {
+      throw new Error(`Export mislukt: ${processStatus.errorMessage}`);
     }
     
     await delay(5000);
@@ -133,18 +64,11 @@ async function pollExportStatus(psId) {
 
 // Download CSV from BOL.com
 async function downloadCsv(reportId) {
-  await getToken();
-  const response = await axios.get(
-    `https://api.bol.com/retailer/offers/export/${reportId}`,
-    {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: 'application/vnd.retailer.v10+csv'
-      },
-      responseType: 'text',
-      timeout: REQUEST_TIMEOUT
-    }
-  );
+  const response = await bolClient.get(`/retailer/offers/export/${reportId}`, {
+    accept: 'application/vnd.retailer.v10+csv',
+    responseType: 'text',
+    timeout: REQUEST_TIMEOUT
+  });
   
   return response.data;
 }
@@ -183,42 +107,17 @@ function filterOffers(offers) {
 
 // Fetch competitor offers for EAN
 async function fetchOffers(ean) {
-  await getToken();
-  let attempt = 0;
+  const response = await bolClient.get(`/retailer/products/${ean}/offers`, {
+    params: {
+      'country-code': 'NL',
+      'best-offer-only': 'false',
+      condition: 'ALL',
+      page: 1
+    },
+    timeout: REQUEST_TIMEOUT
+  });
   
-  while (true) {
-    try {
-      const response = await axios.get(
-        `https://api.bol.com/retailer/products/${ean}/offers`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            Accept: 'application/vnd.retailer.v10+json'
-          },
-          params: {
-            'country-code': 'NL',
-            'best-offer-only': 'false',
-            condition: 'ALL',
-            page: 1
-          },
-          timeout: REQUEST_TIMEOUT
-        }
-      );
-      
-      return response.data.offers || [];
-    } catch (err) {
-      if (err.response?.status === 429 && attempt < 3) {
-        const sec = err.response.headers['retry-after']
-          ? +err.response.headers['retry-after']
-          : Math.pow(2, attempt + 1);
-        console.warn(`🔃 429 ontvangen, retry in ${sec}s (attempt ${attempt + 1})`);
-        await delay(sec * 1000);
-        attempt++;
-        continue;
-      }
-      throw err;
-    }
-  }
+  return response.data.offers || [];
 }
 
 // Calculate lowest prices per condition
@@ -307,18 +206,10 @@ function advisePrice(myPrice, myCond, competitors) {
 
 // Update offer price
 async function updateOfferPrice(offerId, price) {
-  await getToken();
-  const response = await axios.put(
-    `https://api.bol.com/retailer/offers/${offerId}/price`,
+  const response = await bolClient.put(
+    `/retailer/offers/${offerId}/price`,
     { pricing: { bundlePrices: [{ quantity: 1, unitPrice: price }] } },
-    {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: 'application/vnd.retailer.v10+json',
-        'Content-Type': 'application/vnd.retailer.v10+json'
-      },
-      timeout: REQUEST_TIMEOUT
-    }
+    { timeout: REQUEST_TIMEOUT }
   );
   
   console.log(`🔃 Update gestart voor ${offerId} (psId=${response.data.processStatusId})`);
@@ -332,7 +223,7 @@ async function updatePrices() {
   try {
     console.log('🚀 Starting BOL.com price update process...');
     
-    if (!CLIENT_ID || !CLIENT_SECRET) {
+    if (!bolClient.hasCredentials()) {
       throw new Error('BOL.com API credentials not configured');
     }
 
@@ -416,9 +307,6 @@ async function updatePrices() {
           currentProgress.successCount++;
         }
         
-        // Rate limiting
-        await delay(200);
-        
       } catch (error) {
         console.error(`❌ Error processing ${offer.ean}:`, error.message);
         currentProgress.errorCount++;
@@ -446,28 +334,18 @@ async function updatePrices() {
       
       await Promise.all(batch.map(async psId => {
         try {
-          await getToken();
-          const response = await axios.get(
-            `https://api.bol.com/shared/process-status/${psId}`,
-            {
-              headers: {
-                Authorization: `Bearer ${token}`,
-                Accept: 'application/vnd.retailer.v10+json'
-              },
-              timeout: POLL_TIMEOUT
-            }
-          );
+          const processStatus = await bolClient.getProcessStatus(psId, { timeout: POLL_TIMEOUT });
           
-          if (response.data.status === 'SUCCESS') {
+          if (processStatus.status === 'SUCCESS') {
             pending.delete(psId);
             const result = results.find(r => r.processStatusId === psId);
             if (result) result.status = 'completed';
-          } else if (response.data.status === 'FAILURE') {
+          } else if (processStatus.status === 'FAILURE') {
             pending.delete(psId);
             const result = results.find(r => r.processStatusId === psId);
             if (result) {
               result.status = 'failed';
-              result.explanation += ` (Update failed: ${response.data.errorMessage})`;
+              result.explanation += ` (Update failed: ${processStatus.errorMessage})`;
             }
           }
         } catch {
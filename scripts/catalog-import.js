@@ -0,0 +1,304 @@
+// scripts/catalog-import.js - Import and export the product catalog as CSV or XLSX
+const ExcelJS = require('exceljs');
+const db = require('./database.js');
+const catalog = require('./catalog.js');
+
+// Catalog fields that can be imported, with the column headers recognised
+// automatically (lowercase). The export uses the first header of each field.
+const IMPORT_FIELDS = {
+  ean: ['ean', 'barcode', 'gtin', 'ean13'],
+  title: ['title', 'titel', 'name', 'naam', 'product'],
+  location: ['location', 'locatie', 'bin', 'bin location', 'vak', 'plaats'],
+  weight: ['weight', 'gewicht', 'weight (g)', 'gewicht (g)'],
+  length: ['length', 'lengte', 'length (mm)', 'lengte (mm)'],
+  width: ['width', 'breedte', 'width (mm)', 'breedte (mm)'],
+  height: ['height', 'hoogte', 'height (mm)', 'hoogte (mm)'],
+  imageUrl: ['image url', 'image', 'afbeelding', 'imageurl']
+};
+
+const EXPORT_COLUMNS = [
+  { field: 'ean', header: 'EAN', width: 16 },
+  { field: 'title', header: 'Title', width: 50 },
+  { field: 'location', header: 'Location', width: 12 },
+  { field: 'weight', header: 'Weight (g)', width: 12 },
+  { field: 'length', header: 'Length (mm)', width: 12 },
+  { field: 'width', header: 'Width (mm)', width: 12 },
+  { field: 'height', header: 'Height (mm)', width: 12 },
+  { field: 'imageUrl', header: 'Image URL', width: 50 }
+];
+
+const FORMATS = ['csv', 'xlsx'];
+
+function detectFormat(filename) {
+  const extension = String(filename || '').split('.').pop().toLowerCase();
+  if (!FORMATS.includes(extension)) {
+    throw new Error(`Unsupported file type: ${filename || '(no file name)'}. Use a .csv or .xlsx file`);
+  }
+  return extension;
+}
+
+// Split CSV text into rows of cells. Handles quoted cells (with "" escapes and
+// line breaks) and picks the delimiter from the header line, since spreadsheets
+// with Dutch settings export with semicolons.
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Cell value as text. Numbers are written out in full, so EANs stored as
+// numbers in Excel do not turn into 8.71234E+12.
+function cellText(cell) {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isInteger(value) ? value.toFixed(0) : String(value);
+  if (value.result !== undefined) return String(value.result);
+  if (value.text !== undefined) return String(value.text);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  return cell.text || String(value);
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('The workbook has no worksheets');
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      cells.push(cellText(row.getCell(column)));
+    }
+    rows[rowNumber - 1] = cells;
+  });
+
+  return Array.from(rows, row => row || []);
+}
+
+// Read an uploaded file (base64 content) into headers and data rows
+async function parseCatalogFile({ filename, content }) {
+  if (!content) {
+    throw new Error('No file content received');
+  }
+
+  const format = detectFormat(filename);
+  const buffer = Buffer.from(content, 'base64');
+  const rows = format === 'csv' ? parseCsv(buffer.toString('utf8')) : await parseXlsx(buffer);
+
+  const headers = (rows[0] || []).map(header => String(header).trim());
+  if (headers.filter(Boolean).length === 0) {
+    throw new Error('The file has no header row');
+  }
+
+  return { format, headers, rows: rows.slice(1) };
+}
+
+// Column per catalog field: the given mapping (field -> column header) where
+// set, otherwise a recognised header
+function resolveMapping(headers, mapping = {}) {
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    const header = mapping[field] !== undefined
+      ? mapping[field]
+      : headers.find(candidate => aliases.includes(candidate.toLowerCase()));
+
+    if (!header) continue;
+
+    const index = headers.indexOf(header);
+    if (index === -1) {
+      throw new Error(`Column "${header}" mapped to ${field} is not in the file`);
+    }
+    columns[field] = { header, index };
+  }
+
+  if (!columns.ean) {
+    throw new Error(`No EAN column found. Map one of the columns (${headers.join(', ')}) to ean`);
+  }
+
+  return columns;
+}
+
+// Differences between a catalog product and the imported values
+function diffProduct(existing, changes) {
+  const diff = {};
+  for (const [field, value] of Object.entries(changes)) {
+    const current = existing ? existing[field] : null;
+    if ((current ?? null) !== value) {
+      diff[field] = { from: current ?? null, to: value };
+    }
+  }
+  return diff;
+}
+
+// Import products from a CSV or XLSX file. Empty cells leave the catalog value
+// unchanged. With dryRun nothing is saved and the result is a preview of the
+// adds, changes and errors per row.
+async function importCatalog({ filename, content, mapping = {}, dryRun = true, username = null }) {
+  const { format, headers, rows } = await parseCatalogFile({ filename, content });
+  const columns = resolveMapping(headers, mapping);
+
+  const results = [];
+  const seen = new Map();
+
+  rows.forEach((cells, index) => {
+    const rowNumber = index + 2; // Spreadsheet row, after the header
+    if (cells.every(cell => String(cell).trim() === '')) return;
+
+    const ean = String(cells[columns.ean.index] || '').trim();
+
+    try {
+      if (!/^\d{8,14}$/.test(ean)) {
+        throw new Error(`Invalid EAN: ${ean || '(empty)'}`);
+      }
+      if (seen.has(ean)) {
+        throw new Error(`Duplicate EAN, already on row ${seen.get(ean)}`);
+      }
+      seen.set(ean, rowNumber);
+
+      const input = {};
+      for (const [field, { index: column }] of Object.entries(columns)) {
+        if (field === 'ean') continue;
+        const value = String(cells[column] ?? '').trim();
+        if (value !== '') input[field] = value;
+      }
+
+      const changes = catalog.parseProductInput(input);
+      const existing = db.getProduct(ean);
+      const diff = diffProduct(existing, changes);
+
+      results.push({
+        row: rowNumber,
+        ean,
+        action: !existing ? 'add' : Object.keys(diff).length > 0 ? 'change' : 'unchanged',
+        changes: diff,
+        input: changes
+      });
+    } catch (error) {
+      results.push({ row: rowNumber, ean, action: 'error', error: error.message });
+    }
+  });
+
+  const count = action => results.filter(result => result.action === action).length;
+  const summary = {
+    format,
+    dryRun,
+    headers,
+    mapping: Object.fromEntries(Object.entries(columns).map(([field, { header }]) => [field, header])),
+    totalRows: results.length,
+    added: count('add'),
+    changed: count('change'),
+    unchanged: count('unchanged'),
+    errors: count('error')
+  };
+
+  if (!dryRun) {
+    db.transaction(() => {
+      results
+        .filter(result => result.action === 'add' || result.action === 'change')
+        .forEach(result => catalog.saveProduct(result.ean, result.input, username));
+    });
+    console.log(`📇 Catalog import: ${summary.added} added, ${summary.changed} changed, ${summary.errors} errors`);
+  }
+
+  return {
+    ...summary,
+    rows: results.map(({ input, ...result }) => result)
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The whole catalog as a CSV or XLSX file, with headers the import recognises
+async function exportCatalog(format = 'csv') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Use one of: ${FORMATS.join(', ')}`);
+  }
+
+  const products = catalog.listProducts();
+  const date = new Date().toISOString().split('T')[0];
+
+  if (format === 'csv') {
+    const lines = [
+      EXPORT_COLUMNS.map(column => csvCell(column.header)).join(','),
+      ...products.map(product => EXPORT_COLUMNS.map(column => csvCell(product[column.field])).join(','))
+    ];
+
+    return {
+      buffer: Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8'),
+      contentType: 'text/csv; charset=utf-8',
+      filename: `catalog-${date}.csv`,
+      count: products.length
+    };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Catalog');
+  worksheet.columns = EXPORT_COLUMNS.map(({ field, header, width }) => ({ key: field, header, width }));
+  // Keep EANs as text so Excel does not round them
+  worksheet.getColumn('ean').numFmt = '@';
+  products.forEach(product => worksheet.addRow(product));
+
+  return {
+    buffer: Buffer.from(await workbook.xlsx.writeBuffer()),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    filename: `catalog-${date}.xlsx`,
+    count: products.length
+  };
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  FORMATS,
+  parseCatalogFile,
+  importCatalog,
+  exportCatalog
+};
@@ -0,0 +1,131 @@
+// scripts/catalog.js - Product catalog: titles, bin locations, weights and dimensions by EAN
+const db = require('./database.js');
+
+// Upper limits for the numeric fields: weight in grams per unit (PostNL's
+// maximum parcel weight), dimensions in mm
+const NUMBER_LIMITS = {
+  weight: 31500,
+  length: 2000,
+  width: 2000,
+  height: 2000
+};
+
+// Maximum lengths of the text fields
+const TEXT_LIMITS = {
+  title: 500,
+  location: 50,
+  imageUrl: 2000
+};
+
+function validateEan(ean) {
+  if (typeof ean !== 'string' || !/^\d{8,14}$/.test(ean)) {
+    throw new Error('EAN must be 8 to 14 digits');
+  }
+}
+
+// Parse product fields from user input. Fields that are not given are left
+// out; an empty value clears the field.
+function parseProductInput(input) {
+  const changes = {};
+
+  for (const [field, max] of Object.entries(NUMBER_LIMITS)) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      changes[field] = null;
+      continue;
+    }
+
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+      throw new Error(`${field} must be a whole number between 1 and ${max}`);
+    }
+    changes[field] = parsed;
+  }
+
+  for (const [field, max] of Object.entries(TEXT_LIMITS)) {
+    const value = input[field];
+    if (value === undefined) continue;
+
+    const text = value === null ? '' : String(value).trim();
+    if (text.length > max) {
+      throw new Error(`${field} must be at most ${max} characters`);
+    }
+    changes[field] = text || null;
+  }
+
+  if (changes.location) {
+    changes.location = changes.location.toUpperCase();
+  }
+  if (changes.imageUrl && !/^https?:\/\//i.test(changes.imageUrl)) {
+    throw new Error('imageUrl must be an http(s) URL');
+  }
+
+  return changes;
+}
+
+function listProducts() {
+  return db.getProducts();
+}
+
+function getProduct(ean) {
+  return db.getProduct(ean);
+}
+
+function createProduct(input, username) {
+  const ean = String(input.ean || '').trim();
+  validateEan(ean);
+
+  if (db.getProduct(ean)) {
+    throw new Error(`Product ${ean} already exists`);
+  }
+
+  return saveProduct(ean, input, username);
+}
+
+// Update a product, creating it when the EAN is not in the catalog yet
+function saveProduct(ean, input, username) {
+  validateEan(ean);
+  const changes = parseProductInput(input);
+
+  if (!db.getProduct(ean)) {
+    db.saveProduct({ ean, updatedBy: username });
+  }
+
+  return db.updateProduct(ean, { ...changes, updatedAt: new Date().toISOString(), updatedBy: username });
+}
+
+function deleteProduct(ean) {
+  if (!db.deleteProduct(ean)) {
+    throw new Error(`Product ${ean} not found`);
+  }
+  console.log(`🗑️ Removed product ${ean} from the catalog`);
+}
+
+// Add a product seen in an order to the catalog, so it shows up in the
+// catalog screen to get a location. Known products are left alone.
+function addMissingProduct(ean, title) {
+  if (!ean || db.getProduct(ean)) return false;
+  db.saveProduct({ ean, title: title || null });
+  console.log(`📇 Added ${ean} to the catalog (no location yet)`);
+  return true;
+}
+
+// Bin location of a product, or null when it is not in the catalog
+function getLocation(ean) {
+  const product = ean ? db.getProduct(ean) : null;
+  return product ? product.location : null;
+}
+
+module.exports = {
+  NUMBER_LIMITS,
+  TEXT_LIMITS,
+  parseProductInput,
+  listProducts,
+  getProduct,
+  createProduct,
+  saveProduct,
+  deleteProduct,
+  addMissingProduct,
+  getLocation
+};
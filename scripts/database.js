@@ -0,0 +1,1208 @@
+// scripts/database.js - SQLite storage for orders, picking items, labels, shipments, sessions and activities
+require('dotenv').config();
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const DB_PATH = process.env.DATABASE_PATH || path.join(DATA_DIR, 'picking.db');
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version
+const MIGRATIONS = [
+  `
+  CREATE TABLE orders (
+    order_id TEXT PRIMARY KEY,
+    order_placed_at TEXT,
+    latest_ship_date TEXT,
+    status TEXT NOT NULL DEFAULT 'OPEN',
+    order_items TEXT NOT NULL DEFAULT '[]',
+    shipment_details TEXT NOT NULL DEFAULT '{}',
+    billing_details TEXT NOT NULL DEFAULT '{}',
+    fetched_at TEXT NOT NULL
+  );
+
+  CREATE TABLE order_items (
+    order_id TEXT NOT NULL,
+    order_item_id TEXT NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    ship_street TEXT,
+    ship_house_nr TEXT,
+    ship_house_nr_ext TEXT,
+    ship_zipcode TEXT,
+    ship_city TEXT,
+    ship_countrycode TEXT,
+    receiver_email TEXT,
+    receiver_sms TEXT,
+    product_title TEXT,
+    ean TEXT,
+    location TEXT,
+    original_reference TEXT,
+    picked INTEGER NOT NULL DEFAULT 0,
+    pick_timestamp TEXT,
+    location_confirmed INTEGER NOT NULL DEFAULT 0,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    price REAL NOT NULL DEFAULT 0,
+    order_date TEXT,
+    latest_ship_date TEXT,
+    processed_at TEXT,
+    error TEXT,
+    product_code TEXT,
+    tracking_number TEXT,
+    label_filename TEXT,
+    label_created INTEGER NOT NULL DEFAULT 0,
+    label_created_at TEXT,
+    shipped INTEGER NOT NULL DEFAULT 0,
+    shipped_at TEXT,
+    bol_shipment_registered INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (order_id, order_item_id)
+  );
+
+  CREATE TABLE labels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    order_item_id TEXT,
+    tracking_number TEXT NOT NULL,
+    label_filename TEXT,
+    product_code TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_labels_tracking_number ON labels (tracking_number);
+
+  CREATE TABLE shipments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    order_item_id TEXT NOT NULL,
+    tracking_number TEXT,
+    shipment_id TEXT,
+    process_status_id TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_shipments_order_id ON shipments (order_id);
+
+  CREATE TABLE sessions (
+    session_id TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    created INTEGER NOT NULL,
+    last_accessed INTEGER NOT NULL
+  );
+
+  CREATE TABLE activities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL,
+    timestamp TEXT NOT NULL
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN removed_from_bol INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE order_items ADD COLUMN removed_at TEXT;
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN cancellation_requested INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE order_items ADD COLUMN cancellation_confirmed INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE order_items ADD COLUMN cancellation_confirmed_at TEXT;
+  `,
+  `
+  CREATE TABLE users (
+    username TEXT PRIMARY KEY,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    disabled INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    last_login_at TEXT
+  );
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN picked_by TEXT;
+  ALTER TABLE order_items ADD COLUMN label_created_by TEXT;
+  ALTER TABLE order_items ADD COLUMN shipped_by TEXT;
+  ALTER TABLE labels ADD COLUMN created_by TEXT;
+  ALTER TABLE shipments ADD COLUMN created_by TEXT;
+  ALTER TABLE activities ADD COLUMN username TEXT;
+
+  CREATE TABLE picks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    order_item_id TEXT NOT NULL,
+    ean TEXT,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    picked_by TEXT,
+    picked_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_picks_picked_at ON picks (picked_at);
+  CREATE INDEX idx_activities_username ON activities (username);
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN parcel_count INTEGER;
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN ship_company TEXT;
+  ALTER TABLE order_items ADD COLUMN ship_address_extra TEXT;
+  `,
+  `
+  CREATE TABLE products (
+    ean TEXT PRIMARY KEY,
+    weight INTEGER,
+    length INTEGER,
+    width INTEGER,
+    height INTEGER,
+    updated_at TEXT NOT NULL,
+    updated_by TEXT
+  );
+  ALTER TABLE order_items ADD COLUMN weight INTEGER;
+  `,
+  `
+  ALTER TABLE products ADD COLUMN last_product_code TEXT;
+  `,
+  `
+  ALTER TABLE products ADD COLUMN title TEXT;
+  ALTER TABLE products ADD COLUMN location TEXT;
+  ALTER TABLE products ADD COLUMN image_url TEXT;
+  CREATE INDEX idx_products_location ON products (location);
+  `,
+  `
+  CREATE TABLE waves (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    assigned_to TEXT,
+    latest_ship_date TEXT,
+    max_items INTEGER,
+    created_at TEXT NOT NULL,
+    created_by TEXT
+  );
+  ALTER TABLE order_items ADD COLUMN wave_id INTEGER;
+  CREATE INDEX idx_order_items_wave_id ON order_items (wave_id);
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN picked_quantity INTEGER;
+  UPDATE order_items SET picked_quantity = quantity WHERE picked = 1;
+  `,
+  `
+  CREATE TABLE voided_barcodes (
+    tracking_number TEXT PRIMARY KEY,
+    order_id TEXT NOT NULL,
+    reason TEXT,
+    voided_at TEXT NOT NULL,
+    voided_by TEXT
+  );
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN bol_shipment_status TEXT;
+  ALTER TABLE order_items ADD COLUMN bol_shipment_id TEXT;
+  ALTER TABLE order_items ADD COLUMN bol_shipment_error TEXT;
+  UPDATE order_items SET bol_shipment_status = 'confirmed' WHERE bol_shipment_registered = 1;
+  ALTER TABLE shipments ADD COLUMN checked_at TEXT;
+  CREATE INDEX idx_shipments_status ON shipments (status);
+  `,
+  `
+  CREATE TABLE shipment_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    created_by TEXT,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_shipment_jobs_status ON shipment_jobs (status, next_attempt_at);
+  CREATE INDEX idx_shipment_jobs_order_id ON shipment_jobs (order_id);
+  `,
+  `
+  ALTER TABLE users ADD COLUMN auto_ship INTEGER;
+  `,
+  `
+  ALTER TABLE labels ADD COLUMN group_tracking_number TEXT;
+  UPDATE labels SET group_tracking_number = tracking_number WHERE order_item_id IS NOT NULL;
+  UPDATE labels SET group_tracking_number = (
+    SELECT first.tracking_number FROM labels first
+    WHERE first.order_id = labels.order_id AND first.created_at = labels.created_at AND first.order_item_id IS NULL
+    ORDER BY first.id LIMIT 1
+  ) WHERE order_item_id IS NULL;
+  CREATE INDEX idx_labels_group_tracking_number ON labels (group_tracking_number);
+  `,
+  `
+  ALTER TABLE order_items ADD COLUMN cancellation_status TEXT;
+  ALTER TABLE order_items ADD COLUMN cancellation_process_status_id TEXT;
+  ALTER TABLE order_items ADD COLUMN cancellation_error TEXT;
+  UPDATE order_items SET cancellation_status = 'confirmed' WHERE cancellation_confirmed = 1;
+  `
+];
+
+// Picking item field -> order_items column. The picking item objects keep the
+// shape produced by bol-picking-list.js so routes can work with them unchanged.
+const ITEM_FIELDS = [
+  ['MessageID', 'order_id', 'text'],
+  ['OrderItemID', 'order_item_id', 'text'],
+  ['FirstName', 'first_name', 'text'],
+  ['LastName', 'last_name', 'text'],
+  ['ShipStreet', 'ship_street', 'text'],
+  ['ShipHouseNr', 'ship_house_nr', 'text'],
+  ['ShipHouseNrExt', 'ship_house_nr_ext', 'text'],
+  ['ShipZipcode', 'ship_zipcode', 'text'],
+  ['ShipCity', 'ship_city', 'text'],
+  ['ShipCountrycode', 'ship_countrycode', 'text'],
+  ['ShipCompany', 'ship_company', 'text'],
+  ['ShipAddressExtra', 'ship_address_extra', 'text'],
+  ['ReceiverEmail', 'receiver_email', 'text'],
+  ['ReceiverSMS', 'receiver_sms', 'text'],
+  ['ProductTitle', 'product_title', 'text'],
+  ['EAN', 'ean', 'text'],
+  ['location', 'location', 'text'],
+  ['originalReference', 'original_reference', 'text'],
+  ['picked', 'picked', 'bool'],
+  ['pickTimestamp', 'pick_timestamp', 'text'],
+  ['pickedBy', 'picked_by', 'text'],
+  ['locationConfirmed', 'location_confirmed', 'bool'],
+  ['parcelCount', 'parcel_count', 'int'],
+  ['weight', 'weight', 'int'],
+  ['waveId', 'wave_id', 'int'],
+  ['quantity', 'quantity', 'int'],
+  ['pickedQuantity', 'picked_quantity', 'int'],
+  ['price', 'price', 'real'],
+  ['orderDate', 'order_date', 'text'],
+  ['latestShipDate', 'latest_ship_date', 'text'],
+  ['processedAt', 'processed_at', 'text'],
+  ['error', 'error', 'text'],
+  ['productCode', 'product_code', 'text'],
+  ['trackingNumber', 'tracking_number', 'text'],
+  ['labelFilename', 'label_filename', 'text'],
+  ['labelCreated', 'label_created', 'bool'],
+  ['labelCreatedAt', 'label_created_at', 'text'],
+  ['labelCreatedBy', 'label_created_by', 'text'],
+  ['shipped', 'shipped', 'bool'],
+  ['shippedAt', 'shipped_at', 'text'],
+  ['shippedBy', 'shipped_by', 'text'],
+  ['bolShipmentRegistered', 'bol_shipment_registered', 'bool'],
+  ['bolShipmentStatus', 'bol_shipment_status', 'text'],
+  ['bolShipmentId', 'bol_shipment_id', 'text'],
+  ['bolShipmentError', 'bol_shipment_error', 'text'],
+  ['removedFromBol', 'removed_from_bol', 'bool'],
+  ['removedAt', 'removed_at', 'text'],
+  ['cancellationRequested', 'cancellation_requested', 'bool'],
+  ['cancellationConfirmed', 'cancellation_confirmed', 'bool'],
+  ['cancellationConfirmedAt', 'cancellation_confirmed_at', 'text'],
+  ['cancellationStatus', 'cancellation_status', 'text'],
+  ['cancellationProcessStatusId', 'cancellation_process_status_id', 'text'],
+  ['cancellationError', 'cancellation_error', 'text']
+];
+
+const FIELD_TO_COLUMN = new Map(ITEM_FIELDS.map(([field, column, kind]) => [field, { column, kind }]));
+
+let db = null;
+
+// Open the database on first use and bring the schema up to date
+function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  const connection = new Database(DB_PATH);
+  connection.pragma('journal_mode = WAL');
+
+  const migrate = connection.transaction(version => {
+    connection.exec(MIGRATIONS[version]);
+    connection.pragma(`user_version = ${version + 1}`);
+  });
+
+  const currentVersion = connection.pragma('user_version', { simple: true });
+  for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+    migrate(version);
+    console.log(`🗄️ Database migrated to schema version ${version + 1}`);
+  }
+
+  console.log(`🗄️ Database ready: ${DB_PATH}`);
+  db = connection;
+  return db;
+}
+
+// Run fn inside a single SQLite transaction
+function transaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+// Convert a picking item field value to its column representation
+function toColumnValue(kind, value) {
+  if (value === undefined || value === null) {
+    return kind === 'bool' ? 0 : null;
+  }
+  switch (kind) {
+    case 'bool':
+      return value ? 1 : 0;
+    case 'int':
+      return parseInt(value) || 0;
+    case 'real':
+      return parseFloat(value) || 0;
+    default:
+      return String(value);
+  }
+}
+
+// Convert an order_items row back to a picking item object
+function rowToItem(row) {
+  const item = {};
+  for (const [field, column, kind] of ITEM_FIELDS) {
+    const value = row[column];
+    item[field] = kind === 'bool' ? !!value : value;
+  }
+  return item;
+}
+
+// Insert or replace a full picking item
+function saveItem(item) {
+  const row = { ...item, OrderItemID: item.OrderItemID || '' };
+  const columns = ITEM_FIELDS.map(([, column]) => column);
+  const values = ITEM_FIELDS.map(([field, , kind]) => toColumnValue(kind, row[field]));
+
+  getDb()
+    .prepare(`INSERT OR REPLACE INTO order_items (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+    .run(values);
+}
+
+// ===== Orders =====
+
+function getOrders() {
+  return getDb()
+    .prepare('SELECT * FROM orders ORDER BY rowid')
+    .all()
+    .map(row => ({
+      orderId: row.order_id,
+      orderPlacedDateTime: row.order_placed_at,
+      latestShipDate: row.latest_ship_date,
+      orderItems: JSON.parse(row.order_items),
+      shipmentDetails: JSON.parse(row.shipment_details),
+      billingDetails: JSON.parse(row.billing_details),
+      status: row.status
+    }));
+}
+
+function replaceOrders(orders) {
+  const fetchedAt = new Date().toISOString();
+  const insert = getDb().prepare(`
+    INSERT INTO orders (order_id, order_placed_at, latest_ship_date, status, order_items, shipment_details, billing_details, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  transaction(() => {
+    getDb().prepare('DELETE FROM orders').run();
+    for (const order of orders) {
+      insert.run(
+        order.orderId,
+        order.orderPlacedDateTime || null,
+        order.latestShipDate || null,
+        order.status || 'OPEN',
+        JSON.stringify(order.orderItems || []),
+        JSON.stringify(order.shipmentDetails || {}),
+        JSON.stringify(order.billingDetails || {}),
+        fetchedAt
+      );
+    }
+  });
+}
+
+function countOrders() {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM orders').get().count;
+}
+
+// ===== Picking items =====
+
+function getPickingList() {
+  return getDb().prepare('SELECT * FROM order_items ORDER BY rowid').all().map(rowToItem);
+}
+
+function getOrderItems(orderId) {
+  return getDb()
+    .prepare('SELECT * FROM order_items WHERE order_id = ? ORDER BY rowid')
+    .all(orderId)
+    .map(rowToItem);
+}
+
+// Items whose cancellation BOL.com has accepted but not yet confirmed or rejected
+function getPendingCancellations() {
+  return getDb()
+    .prepare("SELECT * FROM order_items WHERE cancellation_status = 'pending' AND cancellation_process_status_id IS NOT NULL ORDER BY rowid")
+    .all()
+    .map(rowToItem);
+}
+
+// Find an item by order item ID, falling back to EAN like the original in-memory lookup
+function findPickingItem(orderId, itemId) {
+  const row = getDb()
+    .prepare('SELECT * FROM order_items WHERE order_id = ? AND (order_item_id = ? OR ean = ?) ORDER BY order_item_id = ? DESC, rowid LIMIT 1')
+    .get(orderId, itemId, itemId, itemId);
+  return row ? rowToItem(row) : null;
+}
+
+function replacePickingList(items) {
+  transaction(() => {
+    getDb().prepare('DELETE FROM order_items').run();
+    items.forEach(saveItem);
+  });
+}
+
+// Update only the given fields of a picking item; returns the updated item
+function updatePickingItem(orderId, orderItemId, changes) {
+  const assignments = [];
+  const values = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    const mapping = FIELD_TO_COLUMN.get(field);
+    if (!mapping) {
+      throw new Error(`Unknown picking item field: ${field}`);
+    }
+    assignments.push(`${mapping.column} = ?`);
+    values.push(toColumnValue(mapping.kind, value));
+  }
+
+  if (assignments.length > 0) {
+    getDb()
+      .prepare(`UPDATE order_items SET ${assignments.join(', ')} WHERE order_id = ? AND order_item_id = ?`)
+      .run(...values, orderId, orderItemId);
+  }
+
+  const row = getDb()
+    .prepare('SELECT * FROM order_items WHERE order_id = ? AND order_item_id = ?')
+    .get(orderId, orderItemId);
+  return row ? rowToItem(row) : null;
+}
+
+// Update the given fields of a picking item only while the fields in expected
+// still have those values, in one statement. Returns the updated item, or
+// null when the item changed in the meantime (e.g. another picker claimed it).
+function updatePickingItemIf(orderId, orderItemId, expected, changes) {
+  const columnsOf = fields => Object.entries(fields).map(([field, value]) => {
+    const mapping = FIELD_TO_COLUMN.get(field);
+    if (!mapping) {
+      throw new Error(`Unknown picking item field: ${field}`);
+    }
+    return { column: mapping.column, value: toColumnValue(mapping.kind, value) };
+  });
+
+  const assignments = columnsOf(changes);
+  const conditions = columnsOf(expected);
+  const result = getDb()
+    .prepare(`
+      UPDATE order_items SET ${assignments.map(({ column }) => `${column} = ?`).join(', ')}
+      WHERE order_id = ? AND order_item_id = ?${conditions.map(({ column }) => ` AND ${column} IS ?`).join('')}
+    `)
+    .run(...assignments.map(({ value }) => value), orderId, orderItemId, ...conditions.map(({ value }) => value));
+
+  if (result.changes === 0) return null;
+  return findPickingItem(orderId, orderItemId);
+}
+
+function countPickingItems() {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM order_items').get().count;
+}
+
+// ===== Labels and shipments =====
+
+// groupTrackingNumber is the barcode stored on the items of the label; the
+// colli of a multi-collo label share it.
+function addLabel(label) {
+  getDb().prepare(`
+    INSERT INTO labels (order_id, order_item_id, tracking_number, group_tracking_number, label_filename, product_code, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    label.orderId,
+    label.orderItemId || null,
+    label.trackingNumber,
+    label.groupTrackingNumber || label.trackingNumber,
+    label.labelFilename || null,
+    label.productCode || null,
+    label.createdAt || new Date().toISOString(),
+    label.createdBy || null
+  );
+}
+
+// Labels for the given orders and/or created since an ISO timestamp, oldest
+// first. Voided labels are left out.
+function getLabels({ orderIds = null, since = null } = {}) {
+  if (orderIds && orderIds.length === 0) return [];
+
+  const conditions = ['tracking_number NOT IN (SELECT tracking_number FROM voided_barcodes)'];
+  const params = [];
+
+  if (orderIds) {
+    conditions.push(`order_id IN (${orderIds.map(() => '?').join(', ')})`);
+    params.push(...orderIds);
+  }
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(since);
+  }
+
+  return getDb()
+    .prepare(`SELECT * FROM labels WHERE ${conditions.join(' AND ')} ORDER BY order_id, id`)
+    .all(...params)
+    .map(row => ({
+      id: row.id,
+      orderId: row.order_id,
+      orderItemId: row.order_item_id,
+      trackingNumber: row.tracking_number,
+      groupTrackingNumber: row.group_tracking_number,
+      labelFilename: row.label_filename,
+      productCode: row.product_code,
+      createdAt: row.created_at,
+      createdBy: row.created_by
+    }));
+}
+
+function addShipment(shipment) {
+  getDb().prepare(`
+    INSERT INTO shipments (order_id, order_item_id, tracking_number, shipment_id, process_status_id, status, error, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    shipment.orderId,
+    shipment.orderItemId,
+    shipment.trackingNumber || null,
+    shipment.shipmentId || null,
+    shipment.processStatusId || null,
+    shipment.status,
+    shipment.error || null,
+    shipment.createdAt || new Date().toISOString(),
+    shipment.createdBy || null
+  );
+}
+
+function rowToShipment(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    orderItemId: row.order_item_id,
+    trackingNumber: row.tracking_number,
+    shipmentId: row.shipment_id,
+    processStatusId: row.process_status_id,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    checkedAt: row.checked_at
+  };
+}
+
+function getShipments(orderId) {
+  return getDb()
+    .prepare('SELECT * FROM shipments WHERE order_id = ? ORDER BY id')
+    .all(orderId)
+    .map(rowToShipment);
+}
+
+// Shipments BOL.com has accepted but not yet confirmed or rejected
+function getPendingShipments() {
+  return getDb()
+    .prepare("SELECT * FROM shipments WHERE status = 'pending' AND process_status_id IS NOT NULL ORDER BY id")
+    .all()
+    .map(rowToShipment);
+}
+
+// Shipments BOL.com confirmed whose shipment ID could not be looked up yet,
+// confirmed since the given time
+function getShipmentsWithoutId(since) {
+  return getDb()
+    .prepare("SELECT * FROM shipments WHERE status = 'confirmed' AND shipment_id IS NULL AND created_at >= ? ORDER BY id")
+    .all(since)
+    .map(rowToShipment);
+}
+
+// Record the outcome of a process status check
+function updateShipmentStatus(id, { status, shipmentId = null, error = null, checkedAt = new Date().toISOString() }) {
+  getDb().prepare(`
+    UPDATE shipments SET status = ?, shipment_id = COALESCE(?, shipment_id), error = ?, checked_at = ? WHERE id = ?
+  `).run(status, shipmentId, error, checkedAt, id);
+}
+
+// Barcodes of labels voided by undoing a pick; these must never be
+// registered with BOL.com
+function addVoidedBarcode(voided) {
+  getDb().prepare(`
+    INSERT OR IGNORE INTO voided_barcodes (tracking_number, order_id, reason, voided_at, voided_by)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    voided.trackingNumber,
+    voided.orderId,
+    voided.reason || null,
+    voided.voidedAt || new Date().toISOString(),
+    voided.voidedBy || null
+  );
+}
+
+function isBarcodeVoided(trackingNumber) {
+  return !!getDb().prepare('SELECT 1 FROM voided_barcodes WHERE tracking_number = ?').get(trackingNumber);
+}
+
+// ===== Picks =====
+
+// Picks are kept after their order item leaves the picking list, so they
+// can be used for productivity reporting.
+function addPick(pick) {
+  getDb().prepare(`
+    INSERT INTO picks (order_id, order_item_id, ean, quantity, picked_by, picked_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    pick.orderId,
+    pick.orderItemId,
+    pick.ean || null,
+    pick.quantity || 1,
+    pick.pickedBy || null,
+    pick.pickedAt || new Date().toISOString()
+  );
+}
+
+// Remove the picks of an item whose pick was undone, so they no longer count
+function removePicks(orderId, orderItemId) {
+  return getDb().prepare('DELETE FROM picks WHERE order_id = ? AND order_item_id = ?').run(orderId, orderItemId).changes;
+}
+
+// Per-user picks, labels, shipments and errors since the given ISO timestamp.
+// Active hours are the distinct clock hours in which the user picked something.
+// Errors are the failed picking actions, one 'picking' error activity each;
+// failed shipments are counted separately from the shipments table.
+function getUserProductivity(since) {
+  const database = getDb();
+  const stats = new Map();
+  const statsFor = username => {
+    if (!stats.has(username)) {
+      stats.set(username, {
+        username,
+        itemsPicked: 0,
+        activeHours: 0,
+        itemsPerHour: 0,
+        labelsCreated: 0,
+        itemsShipped: 0,
+        shipmentErrors: 0,
+        errors: 0,
+        firstPickAt: null,
+        lastPickAt: null
+      });
+    }
+    return stats.get(username);
+  };
+
+  database.prepare(`
+    SELECT picked_by, SUM(quantity) AS items, COUNT(DISTINCT substr(picked_at, 1, 13)) AS hours,
+           MIN(picked_at) AS first_pick, MAX(picked_at) AS last_pick
+    FROM picks WHERE picked_by IS NOT NULL AND picked_at >= ? GROUP BY picked_by
+  `).all(since).forEach(row => {
+    const entry = statsFor(row.picked_by);
+    entry.itemsPicked = row.items;
+    entry.activeHours = row.hours;
+    entry.itemsPerHour = row.hours > 0 ? Math.round((row.items / row.hours) * 10) / 10 : 0;
+    entry.firstPickAt = row.first_pick;
+    entry.lastPickAt = row.last_pick;
+  });
+
+  database.prepare(`
+    SELECT created_by, COUNT(*) AS count FROM labels
+    WHERE created_by IS NOT NULL AND created_at >= ? GROUP BY created_by
+  `).all(since).forEach(row => {
+    statsFor(row.created_by).labelsCreated = row.count;
+  });
+
+  database.prepare(`
+    SELECT created_by, SUM(status IN ('created', 'pending', 'confirmed')) AS shipped, SUM(status = 'failed') AS failed FROM shipments
+    WHERE created_by IS NOT NULL AND created_at >= ? GROUP BY created_by
+  `).all(since).forEach(row => {
+    const entry = statsFor(row.created_by);
+    entry.itemsShipped = row.shipped;
+    entry.shipmentErrors = row.failed;
+  });
+
+  database.prepare(`
+    SELECT username, COUNT(*) AS count FROM activities
+    WHERE username IS NOT NULL AND type = 'picking' AND status = 'error' AND timestamp >= ? GROUP BY username
+  `).all(since).forEach(row => {
+    statsFor(row.username).errors = row.count;
+  });
+
+  return [...stats.values()].sort((a, b) => b.itemsPicked - a.itemsPicked || a.username.localeCompare(b.username));
+}
+
+// ===== Sessions =====
+
+function createSession(sessionId, session) {
+  getDb()
+    .prepare('INSERT INTO sessions (session_id, username, created, last_accessed) VALUES (?, ?, ?, ?)')
+    .run(sessionId, session.username, session.created, session.lastAccessed);
+}
+
+function getSession(sessionId) {
+  if (!sessionId) return null;
+  const row = getDb().prepare('SELECT * FROM sessions WHERE session_id = ?').get(sessionId);
+  return row ? {
+    username: row.username,
+    created: row.created,
+    lastAccessed: row.last_accessed
+  } : null;
+}
+
+function touchSession(sessionId) {
+  getDb().prepare('UPDATE sessions SET last_accessed = ? WHERE session_id = ?').run(Date.now(), sessionId);
+}
+
+function deleteSession(sessionId) {
+  getDb().prepare('DELETE FROM sessions WHERE session_id = ?').run(sessionId);
+}
+
+// Remove sessions not accessed within maxAge milliseconds
+function deleteExpiredSessions(maxAge) {
+  return getDb().prepare('DELETE FROM sessions WHERE last_accessed < ?').run(Date.now() - maxAge).changes;
+}
+
+function countSessions() {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM sessions').get().count;
+}
+
+function deleteUserSessions(username) {
+  return getDb().prepare('DELETE FROM sessions WHERE username = ?').run(username).changes;
+}
+
+// ===== Users =====
+
+const USER_COLUMNS = {
+  passwordHash: 'password_hash',
+  role: 'role',
+  disabled: 'disabled',
+  lastLoginAt: 'last_login_at',
+  autoShip: 'auto_ship'
+};
+
+function rowToUser(row) {
+  return {
+    username: row.username,
+    passwordHash: row.password_hash,
+    role: row.role,
+    disabled: !!row.disabled,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at,
+    // null follows the AUTO_SHIP setting
+    autoShip: row.auto_ship === null || row.auto_ship === undefined ? null : !!row.auto_ship
+  };
+}
+
+function getUser(username) {
+  if (!username) return null;
+  const row = getDb().prepare('SELECT * FROM users WHERE username = ?').get(username);
+  return row ? rowToUser(row) : null;
+}
+
+function getUsers() {
+  return getDb().prepare('SELECT * FROM users ORDER BY username').all().map(rowToUser);
+}
+
+function insertUser(user) {
+  getDb()
+    .prepare('INSERT INTO users (username, password_hash, role, disabled, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(user.username, user.passwordHash, user.role, user.disabled ? 1 : 0, user.createdAt);
+}
+
+function updateUser(username, changes) {
+  const assignments = [];
+  const values = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    const column = USER_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Unknown user field: ${field}`);
+    }
+    assignments.push(`${column} = ?`);
+    values.push(typeof value === 'boolean' ? (value ? 1 : 0) : value);
+  }
+
+  if (assignments.length > 0) {
+    getDb()
+      .prepare(`UPDATE users SET ${assignments.join(', ')} WHERE username = ?`)
+      .run(...values, username);
+  }
+}
+
+// ===== Products =====
+
+// Product catalog keyed by EAN. Weight is in grams per unit, dimensions in mm.
+const PRODUCT_COLUMNS = {
+  title: 'title',
+  location: 'location',
+  imageUrl: 'image_url',
+  weight: 'weight',
+  length: 'length',
+  width: 'width',
+  height: 'height',
+  lastProductCode: 'last_product_code',
+  updatedAt: 'updated_at',
+  updatedBy: 'updated_by'
+};
+
+function rowToProduct(row) {
+  return {
+    ean: row.ean,
+    title: row.title,
+    location: row.location,
+    imageUrl: row.image_url,
+    weight: row.weight,
+    length: row.length,
+    width: row.width,
+    height: row.height,
+    lastProductCode: row.last_product_code,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by
+  };
+}
+
+function getProduct(ean) {
+  if (!ean) return null;
+  const row = getDb().prepare('SELECT * FROM products WHERE ean = ?').get(ean);
+  return row ? rowToProduct(row) : null;
+}
+
+function getProducts() {
+  return getDb().prepare('SELECT * FROM products ORDER BY ean').all().map(rowToProduct);
+}
+
+// Insert or update a product; fields that are not given keep their value
+function saveProduct(product) {
+  getDb()
+    .prepare(`
+      INSERT INTO products (ean, title, location, image_url, weight, length, width, height, last_product_code, updated_at, updated_by)
+      VALUES (@ean, @title, @location, @imageUrl, @weight, @length, @width, @height, @lastProductCode, @updatedAt, @updatedBy)
+      ON CONFLICT (ean) DO UPDATE SET
+        title = COALESCE(excluded.title, title),
+        location = COALESCE(excluded.location, location),
+        image_url = COALESCE(excluded.image_url, image_url),
+        weight = COALESCE(excluded.weight, weight),
+        length = COALESCE(excluded.length, length),
+        width = COALESCE(excluded.width, width),
+        height = COALESCE(excluded.height, height),
+        last_product_code = COALESCE(excluded.last_product_code, last_product_code),
+        updated_at = excluded.updated_at,
+        updated_by = excluded.updated_by
+    `)
+    .run({
+      ean: product.ean,
+      title: product.title ?? null,
+      location: product.location ?? null,
+      imageUrl: product.imageUrl ?? null,
+      weight: product.weight ?? null,
+      length: product.length ?? null,
+      width: product.width ?? null,
+      height: product.height ?? null,
+      lastProductCode: product.lastProductCode ?? null,
+      updatedAt: product.updatedAt || new Date().toISOString(),
+      updatedBy: product.updatedBy || null
+    });
+  return getProduct(product.ean);
+}
+
+// Set product fields, including clearing them with null
+function updateProduct(ean, changes) {
+  const assignments = [];
+  const values = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    const column = PRODUCT_COLUMNS[field];
+    if (!column) {
+      throw new Error(`Unknown product field: ${field}`);
+    }
+    assignments.push(`${column} = ?`);
+    values.push(value);
+  }
+
+  if (assignments.length > 0) {
+    getDb()
+      .prepare(`UPDATE products SET ${assignments.join(', ')} WHERE ean = ?`)
+      .run(...values, ean);
+  }
+  return getProduct(ean);
+}
+
+function deleteProduct(ean) {
+  return getDb().prepare('DELETE FROM products WHERE ean = ?').run(ean).changes > 0;
+}
+
+// ===== Waves =====
+
+// Pick batches of whole orders, assigned to one user. Items belong to a wave
+// through order_items.wave_id.
+function rowToWave(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    assignedTo: row.assigned_to,
+    latestShipDate: row.latest_ship_date,
+    maxItems: row.max_items,
+    createdAt: row.created_at,
+    createdBy: row.created_by
+  };
+}
+
+function getWave(id) {
+  const row = getDb().prepare('SELECT * FROM waves WHERE id = ?').get(id);
+  return row ? rowToWave(row) : null;
+}
+
+function getWaves() {
+  return getDb().prepare('SELECT * FROM waves ORDER BY id').all().map(rowToWave);
+}
+
+// Insert a wave and return it with its new ID
+function insertWave(wave) {
+  const result = getDb()
+    .prepare('INSERT INTO waves (name, assigned_to, latest_ship_date, max_items, created_at, created_by) VALUES (?, ?, ?, ?, ?, ?)')
+    .run(wave.name, wave.assignedTo || null, wave.latestShipDate || null, wave.maxItems || null, wave.createdAt, wave.createdBy || null);
+  return getWave(result.lastInsertRowid);
+}
+
+function setWaveAssignee(id, assignedTo) {
+  getDb().prepare('UPDATE waves SET assigned_to = ? WHERE id = ?').run(assignedTo || null, id);
+  return getWave(id);
+}
+
+// Delete a wave; its items are released back to the general order list
+function deleteWave(id) {
+  getDb().prepare('UPDATE order_items SET wave_id = NULL WHERE wave_id = ?').run(id);
+  return getDb().prepare('DELETE FROM waves WHERE id = ?').run(id).changes > 0;
+}
+
+// ===== Shipment jobs =====
+
+// Orders whose BOL.com registration failed and is retried in the background
+// (see shipment-queue.js)
+function rowToShipmentJob(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    updatedAt: row.updated_at
+  };
+}
+
+function getShipmentJob(id) {
+  const row = getDb().prepare('SELECT * FROM shipment_jobs WHERE id = ?').get(id);
+  return row ? rowToShipmentJob(row) : null;
+}
+
+// Jobs with the given status (all when null), newest first
+function getShipmentJobs(status = null, limit = 500) {
+  const rows = status
+    ? getDb().prepare('SELECT * FROM shipment_jobs WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+    : getDb().prepare('SELECT * FROM shipment_jobs ORDER BY id DESC LIMIT ?').all(limit);
+  return rows.map(rowToShipmentJob);
+}
+
+function getQueuedShipmentJob(orderId) {
+  const row = getDb()
+    .prepare("SELECT * FROM shipment_jobs WHERE order_id = ? AND status = 'queued' ORDER BY id DESC LIMIT 1")
+    .get(orderId);
+  return row ? rowToShipmentJob(row) : null;
+}
+
+// Queued jobs whose next attempt is due at the given ISO timestamp
+function getDueShipmentJobs(now) {
+  return getDb()
+    .prepare("SELECT * FROM shipment_jobs WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY next_attempt_at, id")
+    .all(now)
+    .map(rowToShipmentJob);
+}
+
+// Insert a job and return it with its new ID
+function insertShipmentJob(job) {
+  const result = getDb().prepare(`
+    INSERT INTO shipment_jobs (order_id, status, attempts, next_attempt_at, last_error, created_at, created_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    job.orderId,
+    job.status,
+    job.attempts || 0,
+    job.nextAttemptAt || null,
+    job.lastError || null,
+    job.createdAt,
+    job.createdBy || null,
+    job.updatedAt || job.createdAt
+  );
+  return getShipmentJob(result.lastInsertRowid);
+}
+
+function updateShipmentJob(id, job) {
+  getDb().prepare(`
+    UPDATE shipment_jobs SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = ? WHERE id = ?
+  `).run(job.status, job.attempts, job.nextAttemptAt || null, job.lastError || null, job.updatedAt, id);
+  return getShipmentJob(id);
+}
+
+// ===== Activities =====
+
+function addActivity(activity) {
+  const result = getDb()
+    .prepare('INSERT INTO activities (type, message, status, timestamp, username) VALUES (?, ?, ?, ?, ?)')
+    .run(activity.type, activity.message, activity.status, activity.timestamp, activity.username || null);
+  return { id: String(result.lastInsertRowid), ...activity };
+}
+
+function getActivities(limit = 20) {
+  return getDb()
+    .prepare('SELECT * FROM activities ORDER BY id DESC LIMIT ?')
+    .all(limit)
+    .map(row => ({
+      id: String(row.id),
+      type: row.type,
+      message: row.message,
+      status: row.status,
+      timestamp: row.timestamp,
+      username: row.username
+    }));
+}
+
+// Keep only the most recent activities
+function pruneActivities(keep = 10000) {
+  return getDb()
+    .prepare('DELETE FROM activities WHERE id <= (SELECT id FROM activities ORDER BY id DESC LIMIT 1 OFFSET ?)')
+    .run(keep).changes;
+}
+
+// ===== Meta =====
+
+function getMeta(key) {
+  const row = getDb().prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(key, value) {
+  getDb().prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value);
+}
+
+// One-time import of the data/orders.json and data/picking-list.json files
+// written by earlier versions. The files are renamed afterwards so they stay
+// around as a backup without being imported again.
+async function importLegacyJson(dataDir = DATA_DIR) {
+  if (getMeta('legacy_json_imported')) {
+    return { imported: false, orders: 0, pickingItems: 0 };
+  }
+
+  const readJson = async (filename) => {
+    const filePath = path.join(dataDir, filename);
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return { filePath, data: JSON.parse(content) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read ${filePath}: ${error.message}`);
+      }
+      return { filePath, data: null };
+    }
+  };
+
+  const orders = await readJson('orders.json');
+  const pickingList = await readJson('picking-list.json');
+
+  transaction(() => {
+    if (Array.isArray(orders.data) && countOrders() === 0) {
+      replaceOrders(orders.data);
+    }
+    if (Array.isArray(pickingList.data) && countPickingItems() === 0) {
+      replacePickingList(pickingList.data);
+      for (const item of pickingList.data) {
+        if (item.trackingNumber) {
+          addLabel({
+            orderId: item.MessageID,
+            orderItemId: item.OrderItemID,
+            trackingNumber: item.trackingNumber,
+            labelFilename: item.labelFilename,
+            productCode: item.productCode,
+            createdAt: item.labelCreatedAt || item.pickTimestamp
+          });
+        }
+      }
+    }
+    setMeta('legacy_json_imported', new Date().toISOString());
+  });
+
+  for (const { filePath, data } of [orders, pickingList]) {
+    if (data) {
+      await fs.promises.rename(filePath, `${filePath}.imported`);
+    }
+  }
+
+  const result = {
+    imported: !!(orders.data || pickingList.data),
+    orders: Array.isArray(orders.data) ? orders.data.length : 0,
+    pickingItems: Array.isArray(pickingList.data) ? pickingList.data.length : 0
+  };
+
+  if (result.imported) {
+    console.log(`🗄️ Imported ${result.orders} orders and ${result.pickingItems} picking items from JSON files`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  getDb,
+  transaction,
+  getOrders,
+  replaceOrders,
+  countOrders,
+  getPickingList,
+  getOrderItems,
+  getPendingCancellations,
+  findPickingItem,
+  replacePickingList,
+  updatePickingItem,
+  updatePickingItemIf,
+  countPickingItems,
+  addLabel,
+  getLabels,
+  addShipment,
+  getShipments,
+  getPendingShipments,
+  getShipmentsWithoutId,
+  updateShipmentStatus,
+  addVoidedBarcode,
+  isBarcodeVoided,
+  addPick,
+  removePicks,
+  getUserProductivity,
+  createSession,
+  getSession,
+  touchSession,
+  deleteSession,
+  deleteExpiredSessions,
+  countSessions,
+  deleteUserSessions,
+  getUser,
+  getUsers,
+  insertUser,
+  updateUser,
+  getProduct,
+  getProducts,
+  saveProduct,
+  updateProduct,
+  deleteProduct,
+  getWave,
+  getWaves,
+  insertWave,
+  setWaveAssignee,
+  deleteWave,
+  getShipmentJob,
+  getShipmentJobs,
+  getQueuedShipmentJob,
+  getDueShipmentJobs,
+  insertShipmentJob,
+  updateShipmentJob,
+  addActivity,
+  getActivities,
+  pruneActivities,
+  importLegacyJson
+};
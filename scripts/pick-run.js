@@ -0,0 +1,124 @@
+// scripts/pick-run.js - Pick runs: open items of all orders, grouped by EAN in warehouse walk order
+require('dotenv').config();
+
+// Walk sequence through the warehouse. Location codes look like A-12-3
+// (zone, aisle, shelf); WALK_SEQUENCE lists zones or aisles in the order they
+// are walked (e.g. "C,A,B-02,B-01"), anything not listed comes after them in
+// alphabetical order. With WALK_SERPENTINE the shelves of every other aisle are
+// walked in reverse, for routes that go up one aisle and down the next.
+const WALK_CONFIG = {
+  sequence: (process.env.WALK_SEQUENCE || '')
+    .split(',')
+    .map(entry => entry.trim().toUpperCase())
+    .filter(Boolean),
+  serpentine: process.env.WALK_SERPENTINE === 'true'
+};
+
+// Split a location code into its parts; numbers compare as numbers, so A-9
+// comes before A-10
+function parseLocation(location) {
+  return String(location || '')
+    .trim()
+    .toUpperCase()
+    .split(/[-.\s/]+/)
+    .filter(Boolean)
+    .map(part => (/^\d+$/.test(part) ? parseInt(part, 10) : part));
+}
+
+// Position of a location in the walk sequence: the longest matching entry,
+// or the end of the sequence when none matches
+function sequenceIndex(parts) {
+  let best = { index: WALK_CONFIG.sequence.length, length: 0 };
+
+  WALK_CONFIG.sequence.forEach((entry, index) => {
+    const prefix = parseLocation(entry);
+    const matches = prefix.length <= parts.length && prefix.every((part, i) => part === parts[i]);
+    if (matches && prefix.length > best.length) {
+      best = { index, length: prefix.length };
+    }
+  });
+
+  return best.index;
+}
+
+function compareParts(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+// Sort order of two location codes along the walk. Items without a
+// location come last.
+function compareLocations(a, b) {
+  const partsA = parseLocation(a);
+  const partsB = parseLocation(b);
+
+  if (partsA.length === 0 || partsB.length === 0) {
+    return partsB.length - partsA.length;
+  }
+
+  const sequenceDiff = sequenceIndex(partsA) - sequenceIndex(partsB);
+  if (sequenceDiff !== 0) return sequenceDiff;
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if (partsA[i] === undefined) return -1;
+    if (partsB[i] === undefined) return 1;
+
+    let diff = compareParts(partsA[i], partsB[i]);
+    // Shelves (third part) of even aisles are walked back to front
+    if (i === 2 && WALK_CONFIG.serpentine && typeof partsA[1] === 'number' && partsA[1] % 2 === 0) {
+      diff = -diff;
+    }
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+// Group open picking items by EAN, with the total quantity and the order
+// items each group has to be sorted back into, in walk order.
+// getProduct(ean) returns the catalog product for the location and title.
+function buildPickRun(items, getProduct) {
+  const groups = new Map();
+
+  items.forEach(item => {
+    // Items without EAN cannot be combined with others
+    const key = item.EAN || `${item.MessageID}_${item.OrderItemID}`;
+    const product = item.EAN ? getProduct(item.EAN) : null;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        ean: item.EAN || null,
+        title: (product && product.title) || item.ProductTitle,
+        location: (product && product.location) || item.location || '',
+        imageUrl: product ? product.imageUrl : null,
+        totalQuantity: 0,
+        items: []
+      });
+    }
+
+    // Units already picked one by one are not picked again
+    const quantity = (item.quantity || 1) - (item.pickedQuantity || 0);
+    const group = groups.get(key);
+    group.totalQuantity += quantity;
+    group.items.push({
+      orderId: item.MessageID,
+      orderItemId: item.OrderItemID,
+      quantity,
+      customer: `${item.FirstName || ''} ${item.LastName || ''}`.trim(),
+      latestShipDate: item.latestShipDate || null
+    });
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      items: group.items.sort((a, b) => String(a.orderId).localeCompare(String(b.orderId)))
+    }))
+    .sort((a, b) => compareLocations(a.location, b.location) || String(a.ean).localeCompare(String(b.ean)));
+}
+
+module.exports = {
+  WALK_CONFIG,
+  compareLocations,
+  buildPickRun
+};
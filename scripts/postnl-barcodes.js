@@ -0,0 +1,120 @@
+// scripts/postnl-barcodes.js - PostNL barcode generation (Barcode API) and validation
+require('dotenv').config();
+const axios = require('axios');
+
+const CUSTOMER_CODE = process.env.CUSTOMER_CODE;
+const CUSTOMER_NUMBER = process.env.CUSTOMER_NUMBER;
+
+// The barcode endpoint lives on the same host as the label endpoint, so a
+// sandbox API_URL automatically uses the sandbox barcode service.
+function defaultBarcodeUrl() {
+  try {
+    const labelUrl = new URL(process.env.API_URL || 'https://api.postnl.nl/shipment/v2_2/label');
+    return `${labelUrl.origin}/shipment/v1_1/barcode`;
+  } catch (error) {
+    return 'https://api.postnl.nl/shipment/v1_1/barcode';
+  }
+}
+
+const BARCODE_CONFIG = {
+  url: process.env.BARCODE_API_URL || defaultBarcodeUrl(),
+  type: process.env.BARCODE_TYPE || '3S',
+  serie: process.env.BARCODE_SERIE || '000000000-999999999',
+  // Generate barcodes locally instead of calling PostNL (sandbox/development only)
+  useStub: process.env.POSTNL_BARCODE_STUB === 'true'
+};
+
+// Stub barcodes are never scanned by PostNL, so they must not end up on real
+// labels: refuse them in production unless the labels come from the sandbox
+function isSandboxLabelUrl() {
+  try {
+    return new URL(process.env.API_URL || 'https://api.postnl.nl/shipment/v2_2/label').hostname === 'api-sandbox.postnl.nl';
+  } catch (error) {
+    return false;
+  }
+}
+
+if (BARCODE_CONFIG.useStub && process.env.NODE_ENV === 'production' && !isSandboxLabelUrl()) {
+  const error = new Error('POSTNL_BARCODE_STUB=true is only allowed with the PostNL sandbox API_URL or outside production');
+  error.code = 'POSTNL_BARCODE_STUB_NOT_ALLOWED';
+  throw error;
+}
+
+console.log(`🔍 PostNL Barcodes - ${BARCODE_CONFIG.useStub ? 'using local stub' : `using ${BARCODE_CONFIG.url}`}`);
+
+// Number of digits after the customer code, taken from the serie range
+const SERIAL_LENGTH = BARCODE_CONFIG.serie.split('-')[0].length;
+
+let stubSequence = Math.floor(Date.now() / 1000) % Math.pow(10, SERIAL_LENGTH);
+
+// A valid barcode is <type><customer code><serial>, e.g. 3SABCD123456789
+function isValidBarcode(barcode) {
+  if (typeof barcode !== 'string' || !CUSTOMER_CODE) return false;
+
+  const prefix = `${BARCODE_CONFIG.type}${CUSTOMER_CODE}`;
+  if (!barcode.startsWith(prefix)) return false;
+
+  const serial = barcode.slice(prefix.length);
+  return serial.length === SERIAL_LENGTH && /^\d+$/.test(serial);
+}
+
+function assertValidBarcode(barcode) {
+  if (!isValidBarcode(barcode)) {
+    throw new Error(`Invalid PostNL barcode: ${barcode || '(empty)'}. Expected ${BARCODE_CONFIG.type}${CUSTOMER_CODE || '<customer code>'} followed by ${SERIAL_LENGTH} digits`);
+  }
+  return barcode;
+}
+
+function generateStubBarcode() {
+  stubSequence = (stubSequence + 1) % Math.pow(10, SERIAL_LENGTH);
+  return `${BARCODE_CONFIG.type}${CUSTOMER_CODE}${String(stubSequence).padStart(SERIAL_LENGTH, '0')}`;
+}
+
+// Get a new barcode within our customer code range
+async function generateBarcode() {
+  if (!CUSTOMER_CODE || !CUSTOMER_NUMBER) {
+    throw new Error('CUSTOMER_CODE and CUSTOMER_NUMBER must be set to generate PostNL barcodes');
+  }
+
+  if (BARCODE_CONFIG.useStub) {
+    const barcode = generateStubBarcode();
+    console.log(`🧪 Generated stub PostNL barcode: ${barcode}`);
+    return barcode;
+  }
+
+  if (!process.env.API_KEY) {
+    throw new Error('API_KEY must be set to generate PostNL barcodes');
+  }
+
+  try {
+    const response = await axios.get(BARCODE_CONFIG.url, {
+      params: {
+        CustomerCode: CUSTOMER_CODE,
+        CustomerNumber: CUSTOMER_NUMBER,
+        Type: BARCODE_CONFIG.type,
+        Serie: BARCODE_CONFIG.serie
+      },
+      headers: {
+        apikey: process.env.API_KEY,
+        Accept: 'application/json'
+      },
+      timeout: 10000
+    });
+
+    const barcode = assertValidBarcode(response.data?.Barcode);
+    console.log(`🎯 PostNL barcode obtained: ${barcode}`);
+    return barcode;
+  } catch (error) {
+    const fault = error.response?.data?.fault?.faultstring ||
+      error.response?.data?.Errors?.[0]?.Description ||
+      error.message;
+    throw new Error(`PostNL barcode request failed: ${fault}`);
+  }
+}
+
+module.exports = {
+  generateBarcode,
+  isValidBarcode,
+  assertValidBarcode,
+  BARCODE_CONFIG
+};
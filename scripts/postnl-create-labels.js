@@ -3,6 +3,8 @@ require('dotenv').config();
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { generateBarcode, isValidBarcode, assertValidBarcode } = require('./postnl-barcodes.js');
+const { normalizeCountryCode, assertValidPostalCode, resolveProductCode } = require('./postnl-destinations.js');
 
 // ===== ENVIRONMENT VARIABLE DEBUGGING =====
 console.log('\n🔍 ===== ENVIRONMENT VARIABLES DEBUG =====');
@@ -120,18 +122,18 @@ function validatePostNLConfig() {
   console.log('===== END CONFIGURATION VALIDATION =====\n');
 }
 
-// Generate PostNL tracking code
-function generatePostNLTrackingCode() {
-  const characters = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-  let trackingCode = '3S';
-  
-  for (let i = 0; i < 13; i++) {
-    trackingCode += characters.charAt(Math.floor(Math.random() * characters.length));
+// PostNL Dimension block. Weight is in grams and split over the colli; the
+// parcel's length, width and height (mm) are only known for a single collo.
+function buildDimension(weight, dimensions, colloCount) {
+  const dimension = { Weight: Math.max(1, Math.round(weight / colloCount)) };
+
+  if (colloCount === 1 && dimensions && dimensions.length && dimensions.width && dimensions.height) {
+    dimension.Length = dimensions.length;
+    dimension.Width = dimensions.width;
+    dimension.Height = dimensions.height;
   }
-  
-  const finalCode = trackingCode + 'NL';
-  console.log(`🎯 Generated tracking code: ${finalCode}`);
-  return finalCode;
+
+  return dimension;
 }
 
 // Build payload exactly like working script
@@ -141,12 +143,14 @@ function buildPayload(shipmentData) {
   
   const weight = parseInt(shipmentData.weight) || parseInt(process.env.DEFAULT_WEIGHT) || 1000;
   const messageId = shipmentData.messageId || `MSG_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-  const trackingCode = shipmentData.trackingCode || generatePostNLTrackingCode();
+  const trackingCode = assertValidBarcode(shipmentData.trackingCode);
+  const colloBarcodes = shipmentData.colloBarcodes || [trackingCode];
 
   console.log('Calculated values:');
   console.log(`  - Weight: ${weight}`);
   console.log(`  - MessageID: ${messageId}`);
   console.log(`  - TrackingCode: ${trackingCode}`);
+  console.log(`  - Colli: ${colloBarcodes.length}`);
 
   // Build contact object
   const contact = { ContactType: '01' };
@@ -156,6 +160,44 @@ function buildPayload(shipmentData) {
   
   console.log('Contact object:', JSON.stringify(contact, null, 2));
 
+  // Receiver address, with the optional fields BE/EU products print on the label
+  const receiverAddress = {
+    AddressType: '01',
+    FirstName: shipmentData.receiver.firstName || 'Customer',
+    Name: shipmentData.receiver.lastName || 'Customer',
+    Street: shipmentData.receiver.street || 'Unknown Street',
+    HouseNr: shipmentData.receiver.houseNumber || '1',
+    HouseNrExt: shipmentData.receiver.houseNumberExt || '',
+    Zipcode: shipmentData.receiver.zipcode || '1000AA',
+    City: shipmentData.receiver.city || 'Amsterdam',
+    Countrycode: shipmentData.receiver.countryCode || 'NL'
+  };
+  if (shipmentData.receiver.companyName) receiverAddress.CompanyName = shipmentData.receiver.companyName;
+  if (shipmentData.receiver.addressExtra) receiverAddress.Remark = shipmentData.receiver.addressExtra;
+
+  // A multi-collo shipment sends one shipment per collo, linked to the main
+  // (first) barcode with a group of type 03
+  const shipments = colloBarcodes.map((barcode, index) => {
+    const shipment = {
+      Addresses: [receiverAddress],
+      Barcode: barcode,
+      Contacts: [contact],
+      Dimension: buildDimension(weight, shipmentData.dimensions, colloBarcodes.length),
+      ProductCodeDelivery: shipmentData.productCode || '3085'
+    };
+
+    if (colloBarcodes.length > 1) {
+      shipment.Groups = [{
+        GroupType: '03',
+        GroupSequence: index + 1,
+        GroupCount: colloBarcodes.length,
+        MainBarcode: colloBarcodes[0]
+      }];
+    }
+
+    return shipment;
+  });
+
   // Build full payload
   const payload = {
     Customer: {
@@ -181,26 +223,7 @@ function buildPayload(shipmentData) {
       MessageTimeStamp: new Date().toISOString(),
       Printertype: 'PDF'
     },
-    Shipments: [
-      {
-        Addresses: [
-          {
-            AddressType: '01',
-            FirstName: shipmentData.receiver.firstName || 'Customer',
-            Name: shipmentData.receiver.lastName || 'Customer',
-            Street: shipmentData.receiver.street || 'Unknown Street',
-            HouseNr: shipmentData.receiver.houseNumber || '1',
-            HouseNrExt: shipmentData.receiver.houseNumberExt || '',
-            Zipcode: shipmentData.receiver.zipcode || '1000AA',
-            City: shipmentData.receiver.city || 'Amsterdam',
-            Countrycode: shipmentData.receiver.countryCode || 'NL'
-          }
-        ],
-        Contacts: [contact],
-        Dimension: { Weight: weight },
-        ProductCodeDelivery: shipmentData.productCode || '3085'
-      }
-    ]
+    Shipments: shipments
   };
 
   console.log('COMPLETE PAYLOAD:');
@@ -223,8 +246,22 @@ async function createPostNLLabel(shipmentData) {
       throw new Error('Receiver information is required');
     }
     
+    // Get a barcode from PostNL's Barcode API unless one was reserved already,
+    // plus one extra barcode for every additional collo
+    const parcelCount = Math.max(1, parseInt(shipmentData.parcelCount) || 1);
+    if (parcelCount > 1 && normalizeCountryCode(shipmentData.receiver.countryCode) !== 'NL') {
+      throw new Error('Multi-collo shipments are only available within the Netherlands');
+    }
+    const barcode = shipmentData.trackingCode
+      ? assertValidBarcode(shipmentData.trackingCode)
+      : await generateBarcode();
+    const colloBarcodes = [barcode];
+    while (colloBarcodes.length < parcelCount) {
+      colloBarcodes.push(await generateBarcode());
+    }
+    
     // Build payload
-    const payload = buildPayload(shipmentData);
+    const payload = buildPayload({ ...shipmentData, trackingCode: barcode, colloBarcodes });
     
     // Prepare request details
     const requestConfig = {
@@ -290,21 +327,29 @@ async function createPostNLLabel(shipmentData) {
     console.log(JSON.stringify(response.data, null, 2));
     console.log('===== END SUCCESSFUL RESPONSE =====\n');
     
-    // Extract tracking code from response
-    let finalTrackingCode = payload.Message.MessageID;
-    if (response.data.ResponseShipments && response.data.ResponseShipments.length > 0) {
-      const responseShipment = response.data.ResponseShipments[0];
+    // Extract the tracking code of every collo from the response, falling back
+    // to the barcodes we sent. The first one is the main barcode.
+    const responseShipments = response.data.ResponseShipments || [];
+    const finalColloBarcodes = colloBarcodes.map((sentBarcode, index) => {
+      const responseShipment = responseShipments[index];
+      if (!responseShipment) return sentBarcode;
       console.log('ResponseShipment found:', JSON.stringify(responseShipment, null, 2));
       
-      if (responseShipment.Barcode) {
-        finalTrackingCode = responseShipment.Barcode;
-        console.log(`🎯 Updated tracking code from response: ${finalTrackingCode}`);
+      if (responseShipment.Barcode && responseShipment.Barcode !== sentBarcode) {
+        if (!isValidBarcode(responseShipment.Barcode)) {
+          throw new Error(`PostNL returned an invalid barcode: ${responseShipment.Barcode}`);
+        }
+        console.log(`🎯 Updated tracking code from response: ${responseShipment.Barcode}`);
+        return responseShipment.Barcode;
       }
-    }
+      return sentBarcode;
+    });
+    const finalTrackingCode = finalColloBarcodes[0];
 
     const result = {
       ...response.data,
       trackingCode: finalTrackingCode,
+      colloBarcodes: finalColloBarcodes,
       messageId: payload.Message.MessageID,
       success: true
     };
@@ -370,21 +415,22 @@ async function createPostNLLabel(shipmentData) {
 }
 
 // Save label PDF with maximum debugging
-async function saveLabelPDF(labelData, orderId, trackingCode) {
+async function saveLabelPDF(labelData, orderId, trackingCode, shipmentIndex = 0) {
   try {
     console.log('\n💾 ===== STARTING PDF SAVE PROCESS =====');
     console.log('Order ID:', orderId);
     console.log('Tracking Code:', trackingCode);
+    console.log('Collo:', shipmentIndex + 1);
     console.log('Label data keys:', Object.keys(labelData));
     
     console.log('Checking for ResponseShipments...');
-    if (!labelData.ResponseShipments || labelData.ResponseShipments.length === 0) {
+    if (!labelData.ResponseShipments || labelData.ResponseShipments.length <= shipmentIndex) {
       console.log('❌ No ResponseShipments found in labelData');
       console.log('Available labelData:', JSON.stringify(labelData, null, 2));
       return null;
     }
     
-    const responseShipment = labelData.ResponseShipments[0];
+    const responseShipment = labelData.ResponseShipments[shipmentIndex];
     console.log('ResponseShipment found:', JSON.stringify(responseShipment, null, 2));
     
     console.log('Checking for Labels in ResponseShipment...');
@@ -480,6 +526,7 @@ async function createLabels(shipments = null) {
           
           // Prepare shipment data
           const messageId = `MSG_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+          const countryCode = normalizeCountryCode(shipment.countryCode);
           
           const shipmentData = {
             messageId: messageId,
@@ -489,16 +536,21 @@ async function createLabels(shipments = null) {
               street: shipment.street || 'Unknown Street',
               houseNumber: shipment.houseNumber || '1',
               houseNumberExt: shipment.houseNumberExt || '',
-              zipcode: shipment.zipcode || '1000AA',
+              zipcode: assertValidPostalCode(shipment.zipcode || (countryCode === 'NL' ? '1000AA' : ''), countryCode),
               city: shipment.city || 'Amsterdam',
-              countryCode: shipment.countryCode || 'NL',
+              countryCode: countryCode,
+              companyName: shipment.companyName || '',
+              addressExtra: shipment.addressExtra || '',
               email: shipment.email || '',
               sms: shipment.sms || '',
               phone: shipment.phone || ''
             },
-            productCode: shipment.productCode || '3085',
+            productCode: resolveProductCode(shipment.productCode || '3085', countryCode),
+            trackingCode: shipment.trackingCode,
+            parcelCount: shipment.parcelCount || 1,
             reference: shipment.orderId,
-            weight: parseInt(shipment.weight) || 1000
+            weight: parseInt(shipment.weight) || parseInt(process.env.DEFAULT_WEIGHT) || 1000,
+            dimensions: shipment.dimensions || null
           };
 
           console.log('Prepared shipment data:', JSON.stringify(shipmentData, null, 2));
@@ -510,9 +562,19 @@ async function createLabels(shipments = null) {
             throw new Error('PostNL API returned error response');
           }
           
-          // Save PDF label
-          const labelPath = await saveLabelPDF(result, shipment.orderId, result.trackingCode);
-          const labelFilename = labelPath ? path.basename(labelPath) : null;
+          // Save one PDF label per collo; the first is the main label
+          const colli = [];
+          for (let colloIndex = 0; colloIndex < result.colloBarcodes.length; colloIndex++) {
+            const colloBarcode = result.colloBarcodes[colloIndex];
+            const colloPath = await saveLabelPDF(result, shipment.orderId, colloBarcode, colloIndex);
+            colli.push({
+              trackAndTrace: colloBarcode,
+              labelPath: colloPath,
+              labelFilename: colloPath ? path.basename(colloPath) : null
+            });
+          }
+          const labelPath = colli[0].labelPath;
+          const labelFilename = colli[0].labelFilename;
           
           // Get file size if label was saved
           let fileSize = 0;
@@ -533,6 +595,8 @@ async function createLabels(shipments = null) {
             trackAndTrace: result.trackingCode,
             labelPath: labelPath,
             labelFilename: labelFilename,
+            parcelCount: colli.length,
+            colli: colli,
             status: 'created',
             createdAt: new Date().toISOString(),
             customerName: `${shipment.firstName || ''} ${shipment.lastName || ''}`.trim(),
@@ -0,0 +1,137 @@
+// scripts/postnl-destinations.js - PostNL product codes and address rules per destination country
+require('dotenv').config();
+
+// PostNL products used per destination. Mailbox parcels (2928) only exist
+// within the Netherlands; everywhere else a standard product is used.
+const PRODUCT_CODES = {
+  NL_STANDARD: '3085',
+  NL_MAILBOX: '2928',
+  BE_STANDARD: process.env.POSTNL_PRODUCT_CODE_BE || '4946',
+  EU_STANDARD: process.env.POSTNL_PRODUCT_CODE_EU || '4952'
+};
+
+// Heaviest parcel PostNL accepts as mailbox package (2928), in grams, and
+// its largest size in mm (38 x 26.5 x 3.2 cm)
+const MAILBOX_MAX_WEIGHT = 2000;
+const MAILBOX_MAX_DIMENSIONS = [380, 265, 32];
+
+// Postal code formats of the countries we ship to (after normalization)
+const POSTAL_CODE_FORMATS = {
+  AT: { pattern: /^\d{4}$/, example: '1010' },
+  BE: { pattern: /^\d{4}$/, example: '2000' },
+  BG: { pattern: /^\d{4}$/, example: '1000' },
+  CY: { pattern: /^\d{4}$/, example: '1010' },
+  CZ: { pattern: /^\d{3} ?\d{2}$/, example: '110 00' },
+  DE: { pattern: /^\d{5}$/, example: '10115' },
+  DK: { pattern: /^\d{4}$/, example: '1050' },
+  EE: { pattern: /^\d{5}$/, example: '10111' },
+  ES: { pattern: /^\d{5}$/, example: '28001' },
+  FI: { pattern: /^\d{5}$/, example: '00100' },
+  FR: { pattern: /^\d{5}$/, example: '75001' },
+  GR: { pattern: /^\d{3} ?\d{2}$/, example: '105 57' },
+  HR: { pattern: /^\d{5}$/, example: '10000' },
+  HU: { pattern: /^\d{4}$/, example: '1011' },
+  IE: { pattern: /^[A-Z]\d[\dW] ?[A-Z\d]{4}$/, example: 'D02 X285' },
+  IT: { pattern: /^\d{5}$/, example: '00118' },
+  LT: { pattern: /^\d{5}$/, example: '01100' },
+  LU: { pattern: /^\d{4}$/, example: '1009' },
+  LV: { pattern: /^\d{4}$/, example: '1050' },
+  MT: { pattern: /^[A-Z]{3} ?\d{2,4}$/, example: 'VLT 1117' },
+  NL: { pattern: /^\d{4}[A-Z]{2}$/, example: '1234AB' },
+  PL: { pattern: /^\d{2}-\d{3}$/, example: '00-001' },
+  PT: { pattern: /^\d{4}-\d{3}$/, example: '1000-001' },
+  RO: { pattern: /^\d{6}$/, example: '010011' },
+  SE: { pattern: /^\d{3} ?\d{2}$/, example: '111 22' },
+  SI: { pattern: /^\d{4}$/, example: '1000' },
+  SK: { pattern: /^\d{3} ?\d{2}$/, example: '811 01' }
+};
+
+function normalizeCountryCode(countryCode) {
+  return String(countryCode || 'NL').trim().toUpperCase();
+}
+
+function isSupportedCountry(countryCode) {
+  return Object.prototype.hasOwnProperty.call(POSTAL_CODE_FORMATS, normalizeCountryCode(countryCode));
+}
+
+// Uppercase and tidy a postal code; Dutch codes lose their space and
+// country prefixes like "B-2000" or "LT-01100" are dropped
+function normalizePostalCode(postalCode, countryCode) {
+  const country = normalizeCountryCode(countryCode);
+  let normalized = String(postalCode || '').trim().toUpperCase().replace(/\s+/g, ' ');
+
+  normalized = normalized.replace(/^[A-Z]{1,2}-(?=\d)/, '');
+  if (country === 'NL') {
+    normalized = normalized.replace(/ /g, '');
+  }
+
+  return normalized;
+}
+
+// Normalize and check a postal code; throws with the expected format when invalid
+function assertValidPostalCode(postalCode, countryCode) {
+  const country = normalizeCountryCode(countryCode);
+  const format = POSTAL_CODE_FORMATS[country];
+
+  if (!format) {
+    throw new Error(`Shipping to ${country} is not supported. Supported countries: ${Object.keys(POSTAL_CODE_FORMATS).join(', ')}`);
+  }
+
+  const normalized = normalizePostalCode(postalCode, country);
+  if (!format.pattern.test(normalized)) {
+    throw new Error(`Invalid postal code for ${country}: ${postalCode || '(empty)'}. Expected a code like ${format.example}`);
+  }
+
+  return normalized;
+}
+
+// The PostNL product for a destination. The requested code (normal or
+// mailbox package, as chosen while picking) only applies within NL.
+function resolveProductCode(requestedCode, countryCode) {
+  const country = normalizeCountryCode(countryCode);
+
+  if (country === 'NL') {
+    return requestedCode || PRODUCT_CODES.NL_STANDARD;
+  }
+  if (!isSupportedCountry(country)) {
+    throw new Error(`Shipping to ${country} is not supported`);
+  }
+  return country === 'BE' ? PRODUCT_CODES.BE_STANDARD : PRODUCT_CODES.EU_STANDARD;
+}
+
+// Whether a parcel fits the mailbox product, in any orientation
+function fitsMailbox({ weight, length, width, height }) {
+  const sizes = [length, width, height].sort((a, b) => b - a);
+  return weight <= MAILBOX_MAX_WEIGHT && sizes.every((size, index) => size <= MAILBOX_MAX_DIMENSIONS[index]);
+}
+
+// Warning text when a parcel is too heavy for the mailbox product, or null
+function mailboxWeightWarning(productCode, weight) {
+  if (productCode !== PRODUCT_CODES.NL_MAILBOX || !(weight > MAILBOX_MAX_WEIGHT)) return null;
+  return `Parcel weighs ${weight} g, over the ${MAILBOX_MAX_WEIGHT} g limit for mailbox packages`;
+}
+
+// Human readable package type for logs and messages
+function describeProductCode(productCode) {
+  switch (productCode) {
+    case PRODUCT_CODES.NL_MAILBOX: return 'mailbox package';
+    case PRODUCT_CODES.BE_STANDARD: return 'Belgium package';
+    case PRODUCT_CODES.EU_STANDARD: return 'EU package';
+    default: return 'normal package';
+  }
+}
+
+module.exports = {
+  PRODUCT_CODES,
+  MAILBOX_MAX_WEIGHT,
+  MAILBOX_MAX_DIMENSIONS,
+  POSTAL_CODE_FORMATS,
+  normalizeCountryCode,
+  isSupportedCountry,
+  normalizePostalCode,
+  assertValidPostalCode,
+  resolveProductCode,
+  fitsMailbox,
+  mailboxWeightWarning,
+  describeProductCode
+};
@@ -0,0 +1,100 @@
+// scripts/postnl-merge-labels.js - Combine PostNL label PDFs into one printable document
+const fs = require('fs').promises;
+const { PDFDocument, PageSizes, degrees } = require('pdf-lib');
+
+const LAYOUTS = ['single', 'a4-4up'];
+
+// Margin around each quarter of the A4 sheet, in PDF points
+const CELL_MARGIN = 10;
+
+// Load every page of the given PDF files. Missing or unreadable files are
+// reported back instead of failing the whole document.
+async function loadLabelPages(targetDoc, filePaths) {
+  const pages = [];
+  const missing = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const sourceDoc = await PDFDocument.load(await fs.readFile(filePath));
+      const embedded = await targetDoc.embedPages(sourceDoc.getPages());
+      pages.push(...embedded);
+    } catch (error) {
+      console.warn(`⚠️ Skipping label ${filePath}: ${error.message}`);
+      missing.push(filePath);
+    }
+  }
+
+  return { pages, missing };
+}
+
+// Draw a label into a cell, scaled to fit and rotated when that makes it larger
+function drawInCell(page, label, cell) {
+  const width = cell.width - CELL_MARGIN * 2;
+  const height = cell.height - CELL_MARGIN * 2;
+
+  const uprightScale = Math.min(width / label.width, height / label.height);
+  const rotatedScale = Math.min(width / label.height, height / label.width);
+  const rotate = rotatedScale > uprightScale;
+  const scale = rotate ? rotatedScale : uprightScale;
+
+  const drawnWidth = (rotate ? label.height : label.width) * scale;
+  const drawnHeight = (rotate ? label.width : label.height) * scale;
+  const x = cell.x + CELL_MARGIN + (width - drawnWidth) / 2;
+  const y = cell.y + CELL_MARGIN + (height - drawnHeight) / 2;
+
+  page.drawPage(label, {
+    // A page rotated 90° around its origin extends to the left, so shift it right
+    x: rotate ? x + drawnWidth : x,
+    y,
+    xScale: scale,
+    yScale: scale,
+    rotate: degrees(rotate ? 90 : 0)
+  });
+}
+
+// Merge label PDFs into one document. "single" keeps one label per page,
+// "a4-4up" places four labels on each A4 sheet (left to right, top to bottom).
+async function mergeLabelPdfs(filePaths, { layout = 'single' } = {}) {
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Invalid layout: ${layout}. Use one of: ${LAYOUTS.join(', ')}`);
+  }
+
+  const mergedDoc = await PDFDocument.create();
+  const { pages, missing } = await loadLabelPages(mergedDoc, filePaths);
+
+  if (layout === 'single') {
+    pages.forEach(label => {
+      const page = mergedDoc.addPage([label.width, label.height]);
+      page.drawPage(label, { x: 0, y: 0 });
+    });
+  } else {
+    const [sheetWidth, sheetHeight] = PageSizes.A4;
+    const cellWidth = sheetWidth / 2;
+    const cellHeight = sheetHeight / 2;
+    let sheet = null;
+
+    pages.forEach((label, index) => {
+      const position = index % 4;
+      if (position === 0) {
+        sheet = mergedDoc.addPage([sheetWidth, sheetHeight]);
+      }
+
+      drawInCell(sheet, label, {
+        x: (position % 2) * cellWidth,
+        y: position < 2 ? cellHeight : 0,
+        width: cellWidth,
+        height: cellHeight
+      });
+    });
+  }
+
+  console.log(`🖨️ Merged ${pages.length} label pages (${layout})${missing.length > 0 ? `, ${missing.length} files skipped` : ''}`);
+
+  return {
+    pdf: Buffer.from(await mergedDoc.save()),
+    labelPages: pages.length,
+    missing
+  };
+}
+
+module.exports = { mergeLabelPdfs, LAYOUTS };
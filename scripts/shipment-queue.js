@@ -0,0 +1,148 @@
+// scripts/shipment-queue.js - Retry queue for BOL.com shipment registrations that failed
+require('dotenv').config();
+const db = require('./database.js');
+
+// Attempts before a job goes to the dead-letter list, and the delay before
+// the first retry; every next retry waits twice as long, up to maxDelay
+const QUEUE_CONFIG = {
+  maxAttempts: parseInt(process.env.SHIPMENT_QUEUE_MAX_ATTEMPTS) || 8,
+  baseDelay: (parseInt(process.env.SHIPMENT_QUEUE_BASE_DELAY) || 60) * 1000,
+  maxDelay: 6 * 60 * 60 * 1000
+};
+
+// queued: waiting for its next attempt, done: the order is registered,
+// dead: gave up after maxAttempts, discarded: removed by an admin
+const JOB_STATUSES = ['queued', 'done', 'dead', 'discarded'];
+
+// Delay before the next attempt after the given number of failed attempts.
+// BOL.com's Retry-After (in seconds) is honoured when it is longer.
+function backoffDelay(attempts, retryAfter = 0) {
+  const delay = Math.min(QUEUE_CONFIG.baseDelay * 2 ** Math.max(attempts - 1, 0), QUEUE_CONFIG.maxDelay);
+  return Math.max(delay, retryAfter * 1000);
+}
+
+function getJob(id) {
+  const job = db.getShipmentJob(id);
+  if (!job) {
+    throw new Error(`Shipment job ${id} not found`);
+  }
+  return job;
+}
+
+// Queue an order whose registration failed. An order has at most one queued
+// job: a new failure only updates its error, the schedule is kept.
+function enqueue(orderId, { error, retryAfter = 0, username = null }) {
+  const now = new Date();
+  const existing = db.getQueuedShipmentJob(orderId);
+
+  if (existing) {
+    return db.updateShipmentJob(existing.id, { ...existing, lastError: error, updatedAt: now.toISOString() });
+  }
+
+  // The failed attempt that queued the order counts as the first
+  const job = db.insertShipmentJob({
+    orderId,
+    status: 'queued',
+    attempts: 1,
+    nextAttemptAt: new Date(now.getTime() + backoffDelay(1, retryAfter)).toISOString(),
+    lastError: error,
+    createdAt: now.toISOString(),
+    createdBy: username
+  });
+  console.log(`📬 Queued order ${orderId} for another BOL.com registration attempt at ${job.nextAttemptAt}`);
+  return job;
+}
+
+// Mark the queued job of an order done, after it was registered some other way
+function resolve(orderId) {
+  const job = db.getQueuedShipmentJob(orderId);
+  if (!job) return null;
+  return db.updateShipmentJob(job.id, { ...job, status: 'done', lastError: null, updatedAt: new Date().toISOString() });
+}
+
+// Run the jobs that are due. ship(job) retries the registration and returns
+// { done, error, retryAfter }, or { skipped: true } when the order cannot be
+// tried right now; a skipped job does not use up an attempt. Returns the
+// updated jobs.
+async function processDueJobs(ship) {
+  const jobs = db.getDueShipmentJobs(new Date().toISOString());
+  const results = [];
+
+  for (const job of jobs) {
+    const attempts = job.attempts + 1;
+
+    let outcome;
+    try {
+      outcome = await ship({ ...job, attempts });
+    } catch (error) {
+      outcome = { done: false, error: error.message };
+    }
+
+    if (outcome.skipped) continue;
+
+    const now = new Date();
+    let update;
+    if (outcome.done) {
+      update = { status: 'done', lastError: null };
+    } else if (attempts >= QUEUE_CONFIG.maxAttempts) {
+      update = { status: 'dead', lastError: outcome.error };
+      console.error(`❌ Giving up on BOL.com registration of order ${job.orderId} after ${attempts} attempts: ${outcome.error}`);
+    } else {
+      update = {
+        status: 'queued',
+        lastError: outcome.error,
+        nextAttemptAt: new Date(now.getTime() + backoffDelay(attempts, outcome.retryAfter)).toISOString()
+      };
+    }
+
+    results.push(db.updateShipmentJob(job.id, { ...job, ...update, attempts, updatedAt: now.toISOString() }));
+  }
+
+  return results;
+}
+
+function listJobs(status = null) {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: ${status}. Use one of: ${JOB_STATUSES.join(', ')}`);
+  }
+  return db.getShipmentJobs(status);
+}
+
+// Try a queued or dead job again right away. A dead job gets a fresh set of
+// attempts.
+function retryJob(id) {
+  const job = getJob(id);
+  if (!['queued', 'dead'].includes(job.status)) {
+    throw new Error(`Shipment job ${id} is ${job.status}`);
+  }
+
+  const now = new Date().toISOString();
+  return db.updateShipmentJob(id, {
+    ...job,
+    status: 'queued',
+    attempts: job.status === 'dead' ? 0 : job.attempts,
+    nextAttemptAt: now,
+    updatedAt: now
+  });
+}
+
+function discardJob(id) {
+  const job = getJob(id);
+  if (!['queued', 'dead'].includes(job.status)) {
+    throw new Error(`Shipment job ${id} is ${job.status}`);
+  }
+
+  console.log(`🗑️ Discarded shipment job ${id} for order ${job.orderId}`);
+  return db.updateShipmentJob(id, { ...job, status: 'discarded', updatedAt: new Date().toISOString() });
+}
+
+module.exports = {
+  QUEUE_CONFIG,
+  JOB_STATUSES,
+  enqueue,
+  resolve,
+  processDueJobs,
+  listJobs,
+  retryJob,
+  discardJob
+};
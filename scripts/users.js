@@ -0,0 +1,174 @@
+// scripts/users.js - User accounts with hashed passwords and roles
+require('dotenv').config();
+const crypto = require('crypto');
+const db = require('./database.js');
+
+// Available roles. Admins can do everything, pickers work the orders and
+// shipping flow, pricing managers run the BOL.com price updates.
+const ROLES = {
+  ADMIN: 'admin',
+  PICKER: 'picker',
+  PRICING_MANAGER: 'pricing_manager'
+};
+
+// Register orders with BOL.com as soon as their last item is picked and
+// labeled. Users can be set to always or never auto-ship; everyone else
+// follows AUTO_SHIP.
+const AUTO_SHIP_DEFAULT = process.env.AUTO_SHIP === 'true';
+
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Compare a password against a stored hash in constant time
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password || ''), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Strip the password hash before a user leaves this module
+function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function validateUserInput({ username, password, role }, { requirePassword = true } = {}) {
+  if (!username || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+    throw new Error('Username must be 3-32 characters (letters, digits, dot, dash or underscore)');
+  }
+  if (requirePassword && (!password || password.length < MIN_PASSWORD_LENGTH)) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (role !== undefined && !Object.values(ROLES).includes(role)) {
+    throw new Error(`Invalid role: ${role}. Use one of: ${Object.values(ROLES).join(', ')}`);
+  }
+}
+
+function createUser({ username, password, role = ROLES.PICKER }) {
+  validateUserInput({ username, password, role });
+
+  if (db.getUser(username)) {
+    throw new Error(`User ${username} already exists`);
+  }
+
+  db.insertUser({
+    username,
+    passwordHash: hashPassword(password),
+    role,
+    disabled: false,
+    createdAt: new Date().toISOString()
+  });
+
+  console.log(`👤 Created user ${username} (${role})`);
+  return publicUser(db.getUser(username));
+}
+
+// Check credentials; returns the user or null
+function authenticate(username, password) {
+  const user = db.getUser(username);
+  if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+    return null;
+  }
+
+  db.updateUser(username, { lastLoginAt: new Date().toISOString() });
+  return publicUser(user);
+}
+
+function getUser(username) {
+  return publicUser(db.getUser(username));
+}
+
+function listUsers() {
+  return db.getUsers().map(publicUser);
+}
+
+// Disable or re-enable an account; disabling also ends its sessions
+function setUserDisabled(username, disabled) {
+  const user = db.getUser(username);
+  if (!user) {
+    throw new Error(`User ${username} not found`);
+  }
+
+  if (disabled && user.role === ROLES.ADMIN && !user.disabled) {
+    const activeAdmins = db.getUsers().filter(u => u.role === ROLES.ADMIN && !u.disabled);
+    if (activeAdmins.length <= 1) {
+      throw new Error('Cannot disable the last active admin');
+    }
+  }
+
+  db.transaction(() => {
+    db.updateUser(username, { disabled });
+    if (disabled) {
+      db.deleteUserSessions(username);
+    }
+  });
+
+  console.log(`👤 User ${username} ${disabled ? 'disabled' : 'enabled'}`);
+  return publicUser(db.getUser(username));
+}
+
+// Turn auto-ship on or off for a user, or back to the AUTO_SHIP default (null)
+function setUserAutoShip(username, autoShip) {
+  if (autoShip !== null && typeof autoShip !== 'boolean') {
+    throw new Error('autoShip must be true, false or null');
+  }
+
+  const user = db.getUser(username);
+  if (!user) {
+    throw new Error(`User ${username} not found`);
+  }
+
+  db.updateUser(username, { autoShip });
+  console.log(`👤 Auto-ship for ${username}: ${autoShip === null ? `default (${AUTO_SHIP_DEFAULT ? 'on' : 'off'})` : autoShip ? 'on' : 'off'}`);
+  return publicUser(db.getUser(username));
+}
+
+// Whether orders completed by this user are shipped automatically
+function shouldAutoShip(username) {
+  const user = db.getUser(username);
+  if (!user || user.autoShip === null) return AUTO_SHIP_DEFAULT;
+  return user.autoShip;
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist yet
+function ensureAdminUser() {
+  if (db.getUsers().length > 0) return null;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || 'admin123';
+
+  db.insertUser({
+    username,
+    passwordHash: hashPassword(password),
+    role: ROLES.ADMIN,
+    disabled: false,
+    createdAt: new Date().toISOString()
+  });
+
+  console.log(`👤 Created initial admin user ${username} from ADMIN_USERNAME/ADMIN_PASSWORD`);
+  return publicUser(db.getUser(username));
+}
+
+module.exports = {
+  ROLES,
+  AUTO_SHIP_DEFAULT,
+  createUser,
+  authenticate,
+  getUser,
+  listUsers,
+  setUserDisabled,
+  setUserAutoShip,
+  shouldAutoShip,
+  ensureAdminUser
+};
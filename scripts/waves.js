@@ -0,0 +1,154 @@
+// scripts/waves.js - Pick waves: batches of whole orders assigned to one picker
+const db = require('./database.js');
+const { ROLES } = require('./users.js');
+
+// Default and largest number of items (order lines) in a wave
+const DEFAULT_WAVE_SIZE = 30;
+const MAX_WAVE_SIZE = 500;
+
+function validateAssignee(username) {
+  if (!username) return null;
+
+  const user = db.getUser(username);
+  if (!user || user.disabled) {
+    throw new Error(`User ${username} not found or disabled`);
+  }
+  if (![ROLES.ADMIN, ROLES.PICKER].includes(user.role)) {
+    throw new Error(`User ${username} (${user.role}) cannot pick orders`);
+  }
+  return user.username;
+}
+
+function parseWaveInput({ latestShipDate = null, maxItems = DEFAULT_WAVE_SIZE, assignedTo = null, name = '' }) {
+  if (latestShipDate && !/^\d{4}-\d{2}-\d{2}$/.test(latestShipDate)) {
+    throw new Error('latestShipDate must be a date like 2024-01-31');
+  }
+
+  const size = parseInt(maxItems, 10);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_WAVE_SIZE) {
+    throw new Error(`maxItems must be between 1 and ${MAX_WAVE_SIZE}`);
+  }
+
+  const waveName = String(name || '').trim();
+  if (waveName.length > 100) {
+    throw new Error('Wave name must be at most 100 characters');
+  }
+
+  return {
+    latestShipDate: latestShipDate || null,
+    maxItems: size,
+    assignedTo: validateAssignee(assignedTo),
+    name: waveName || (latestShipDate ? `Ship by ${latestShipDate}` : 'Open orders')
+  };
+}
+
+// Orders of the given items, most urgent first. Items without a latest ship
+// date come last.
+function ordersByUrgency(items) {
+  const orders = new Map();
+  items.forEach(item => {
+    if (!orders.has(item.MessageID)) orders.set(item.MessageID, []);
+    orders.get(item.MessageID).push(item);
+  });
+
+  const shipDate = orderItems => orderItems[0].latestShipDate || '9999';
+  return Array.from(orders.entries())
+    .sort(([idA, itemsA], [idB, itemsB]) => shipDate(itemsA).localeCompare(shipDate(itemsB)) || idA.localeCompare(idB))
+    .map(([, orderItems]) => orderItems);
+}
+
+// Create a wave from the given pickable items. Only items that are not in a
+// wave yet are used, and orders are never split: they are added most urgent
+// first for as long as they fit in maxItems.
+function createWave(input, pickableItems, username) {
+  const options = parseWaveInput(input);
+
+  const candidates = pickableItems.filter(item =>
+    !item.waveId &&
+    (!options.latestShipDate || (item.latestShipDate && item.latestShipDate.slice(0, 10) <= options.latestShipDate))
+  );
+
+  const waveItems = [];
+  for (const orderItems of ordersByUrgency(candidates)) {
+    // An order larger than the wave still gets a wave of its own
+    if (waveItems.length > 0 && waveItems.length + orderItems.length > options.maxItems) continue;
+    waveItems.push(...orderItems);
+    if (waveItems.length >= options.maxItems) break;
+  }
+
+  if (waveItems.length === 0) {
+    throw new Error(options.latestShipDate
+      ? `No open items outside a wave with a latest ship date up to ${options.latestShipDate}`
+      : 'No open items outside a wave');
+  }
+
+  const wave = db.transaction(() => {
+    const created = db.insertWave({
+      ...options,
+      createdAt: new Date().toISOString(),
+      createdBy: username
+    });
+    waveItems.forEach(item => {
+      db.updatePickingItem(item.MessageID, item.OrderItemID, { waveId: created.id });
+    });
+    return created;
+  });
+
+  console.log(`🌊 Created wave ${wave.id} with ${waveItems.length} items${wave.assignedTo ? ` for ${wave.assignedTo}` : ''}`);
+  return { ...wave, itemCount: waveItems.length };
+}
+
+function getWave(id) {
+  const wave = db.getWave(id);
+  if (!wave) {
+    throw new Error(`Wave ${id} not found`);
+  }
+  return wave;
+}
+
+function assignWave(id, username) {
+  getWave(id);
+  return db.setWaveAssignee(id, validateAssignee(username));
+}
+
+function deleteWave(id) {
+  getWave(id);
+  db.transaction(() => db.deleteWave(id));
+  console.log(`🌊 Removed wave ${id}`);
+}
+
+// All waves with their progress, counted over the given (active) items
+function listWaves(items) {
+  return db.getWaves().map(wave => {
+    const waveItems = items.filter(item => item.waveId === wave.id);
+    const pickedItems = waveItems.filter(item => item.picked || item.shipped);
+
+    return {
+      ...wave,
+      orderCount: new Set(waveItems.map(item => item.MessageID)).size,
+      itemCount: waveItems.length,
+      pickedCount: pickedItems.length,
+      status: waveItems.length === 0 ? 'empty' : pickedItems.length === waveItems.length ? 'done' : 'open'
+    };
+  });
+}
+
+// The user an item is locked to, when it is in a wave assigned to someone
+// else than username; null when username may pick it
+function lockedTo(item, username, waves = null) {
+  if (!item.waveId) return null;
+
+  const wave = waves ? waves.find(candidate => candidate.id === item.waveId) : db.getWave(item.waveId);
+  if (!wave || !wave.assignedTo || wave.assignedTo === username) return null;
+  return wave.assignedTo;
+}
+
+module.exports = {
+  DEFAULT_WAVE_SIZE,
+  MAX_WAVE_SIZE,
+  createWave,
+  assignWave,
+  deleteWave,
+  listWaves,
+  lockedTo
+};
@@ -4,13 +4,40 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const db = require('./scripts/database.js');
+const users = require('./scripts/users.js');
+const catalog = require('./scripts/catalog.js');
+const pickRun = require('./scripts/pick-run.js');
+const waves = require('./scripts/waves.js');
+const shipmentQueue = require('./scripts/shipment-queue.js');
+const { describeProductCode, fitsMailbox, mailboxWeightWarning, MAILBOX_MAX_WEIGHT } = require('./scripts/postnl-destinations.js');
+
+const { ROLES } = users;
 
 // Import API scripts with error handling
-let fetchOrders, generatePickingList, createLabels, createShipments, updatePrices, getPriceProgress, resetPriceProgress;
+let fetchOrders, generatePickingList, mergePickingList, createLabels, isValidBarcode, mergeLabelPdfs, importCatalog, exportCatalog, createShipments, checkShipmentRegistrations, lookupShipmentIds, cancelOrderItems, checkCancellations, updatePrices, getPriceProgress, resetPriceProgress;
 
 console.log('📦 Loading API scripts...');
 
+// Shared BOL.com client: failed requests are always logged, all requests with
+// BOL_LOG_REQUESTS=true
+let bolClient = null;
+try {
+  bolClient = require('./scripts/bol-client.js');
+  bolClient.addHook('response', ({ method, url, status, duration, error }) => {
+    if (error) {
+      console.warn(`⚠️ [BOL] ${method.toUpperCase()} ${url} → ${status || 'no response'} in ${duration}ms: ${error}`);
+    } else if (process.env.BOL_LOG_REQUESTS === 'true') {
+      console.log(`🌐 [BOL] ${method.toUpperCase()} ${url} → ${status} in ${duration}ms`);
+    }
+  });
+  console.log(`✅ BOL client loaded (${bolClient.BOL_CONFIG.baseUrl}, ${bolClient.BOL_CONFIG.requestsPerSecond} requests/s)`);
+} catch (error) {
+  console.warn('⚠️ BOL client not available:', error.message);
+}
+
 try {
   const bolFetchModule = require('./scripts/bol-fetch-orders.js');
   fetchOrders = bolFetchModule.fetchOrders;
@@ -23,10 +50,12 @@ try {
 try {
   const bolUpdateModule = require('./scripts/bol-picking-list.js');
   generatePickingList = bolUpdateModule.generatePickingList;
+  mergePickingList = bolUpdateModule.mergePickingList;
   console.log('✅ BOL picking list script loaded');
 } catch (error) {
   console.warn('⚠️ BOL picking list script not available:', error.message);
   generatePickingList = async () => ({ success: false, message: 'Picking list script not available: ' + error.message });
+  mergePickingList = (existingList) => ({ pickingList: existingList, stats: {} });
 }
 
 try {
@@ -38,13 +67,62 @@ try {
   createLabels = async () => ({ success: false, message: 'PostNL labels script not available: ' + error.message });
 }
 
+try {
+  const postnlBarcodesModule = require('./scripts/postnl-barcodes.js');
+  isValidBarcode = postnlBarcodesModule.isValidBarcode;
+  console.log('✅ PostNL barcodes script loaded');
+} catch (error) {
+  // Made-up barcodes on production labels: do not start at all
+  if (error.code === 'POSTNL_BARCODE_STUB_NOT_ALLOWED') {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.warn('⚠️ PostNL barcodes script not available:', error.message);
+  isValidBarcode = () => false;
+}
+
+try {
+  const mergeLabelsModule = require('./scripts/postnl-merge-labels.js');
+  mergeLabelPdfs = mergeLabelsModule.mergeLabelPdfs;
+  console.log('✅ PostNL merge labels script loaded');
+} catch (error) {
+  console.warn('⚠️ PostNL merge labels script not available:', error.message);
+  mergeLabelPdfs = async () => { throw new Error('Label merge script not available: ' + error.message); };
+}
+
+try {
+  const catalogImportModule = require('./scripts/catalog-import.js');
+  importCatalog = catalogImportModule.importCatalog;
+  exportCatalog = catalogImportModule.exportCatalog;
+  console.log('✅ Catalog import script loaded');
+} catch (error) {
+  console.warn('⚠️ Catalog import script not available:', error.message);
+  importCatalog = async () => { throw new Error('Catalog import script not available: ' + error.message); };
+  exportCatalog = async () => { throw new Error('Catalog import script not available: ' + error.message); };
+}
+
 try {
   const bolShipmentsModule = require('./scripts/bol-create-shipments.js');
   createShipments = bolShipmentsModule.createShipments;
+  checkShipmentRegistrations = bolShipmentsModule.checkShipmentRegistrations;
+  lookupShipmentIds = bolShipmentsModule.lookupShipmentIds;
   console.log('✅ BOL create shipments script loaded');
 } catch (error) {
   console.warn('⚠️ BOL create shipments script not available:', error.message);
   createShipments = async () => ({ success: false, message: 'Shipments script not available: ' + error.message });
+  checkShipmentRegistrations = null;
+  lookupShipmentIds = null;
+}
+
+try {
+  const bolCancelModule = require('./scripts/bol-cancel-orders.js');
+  cancelOrderItems = bolCancelModule.cancelOrderItems;
+  checkCancellations = bolCancelModule.checkCancellations;
+  console.log('✅ BOL cancel orders script loaded');
+} catch (error) {
+  console.warn('⚠️ BOL cancel orders script not available:', error.message);
+  cancelOrderItems = async () => ({ success: false, message: 'Cancellation script not available: ' + error.message });
+  checkCancellations = null;
 }
 
 // NEW: Load price update script
@@ -66,23 +144,26 @@ console.log('');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Authentication
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
-
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static('build'));
 
-// In-memory storage (replace with database in production)
-let currentOrders = [];
-let currentPickingList = [];
-let sessions = new Map();
-let activityLog = [];
+// Session lifetime
+const SESSION_MAX_AGE = 8 * 60 * 60 * 1000; // 8 hours
+
+// Packing mode: "item" creates a label for every picked item, "order" creates
+// a single label once the last item of an order is picked
+const PACKING_MODE = process.env.PACKING_MODE === 'order' ? 'order' : 'item';
+const MAX_PARCELS_PER_ORDER = 10;
+const DEFAULT_WEIGHT = parseInt(process.env.DEFAULT_WEIGHT) || 1000;
+const MAX_PARCEL_WEIGHT = 31500; // PostNL maximum, in grams
+const SHIPMENT_STATUS_INTERVAL = (parseInt(process.env.SHIPMENT_STATUS_INTERVAL) || 60) * 1000;
+// How long to keep looking up BOL.com's shipment ID of a confirmed shipment
+const SHIPMENT_ID_LOOKUP_DAYS = 7;
 
 // Enhanced logging function
-function detailedLog(category, message, data = null, level = 'info') {
+function detailedLog(category, message, data = null, level = 'info', username = null) {
   const timestamp = new Date().toISOString();
   const icons = { info: 'ℹ️', success: '✅', error: '❌', warning: '⚠️', debug: '🔍' };
   const icon = icons[level] || 'ℹ️';
@@ -94,7 +175,7 @@ function detailedLog(category, message, data = null, level = 'info') {
   }
   
   // Also add to activity log
-  logActivity(category, message, level);
+  logActivity(category, message, level, username);
 }
 
 // Ensure data directory exists
@@ -109,88 +190,95 @@ async function setupDirectories() {
   }
 }
 
-// Load persisted data
+// Load persisted data (imports the JSON files of earlier versions once)
 async function loadData() {
   try {
-    const ordersData = await fs.readFile('data/orders.json', 'utf8');
-    currentOrders = JSON.parse(ordersData);
-    console.log(`✅ Loaded ${currentOrders.length} orders`);
-  } catch {
-    console.log('ℹ️ No previous orders found');
-  }
-
-  try {
-    const pickingData = await fs.readFile('data/picking-list.json', 'utf8');
-    currentPickingList = JSON.parse(pickingData);
-    console.log(`✅ Loaded ${currentPickingList.length} picking items`);
-  } catch {
-    console.log('ℹ️ No previous picking list found');
+    await db.importLegacyJson();
+    db.pruneActivities();
+  } catch (error) {
+    console.error('❌ Failed to import legacy JSON data:', error.message);
   }
 }
 
-// Save data
-async function saveData() {
+// Activity logging. Pass the username of the logged-in user so the entry
+// records who did it.
+function logActivity(type, message, status = 'info', username = null) {
   try {
-    await fs.writeFile('data/orders.json', JSON.stringify(currentOrders, null, 2));
-    await fs.writeFile('data/picking-list.json', JSON.stringify(currentPickingList, null, 2));
+    db.addActivity({
+      type,
+      message,
+      status,
+      username,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    console.error('❌ Failed to save data:', error.message);
-  }
-}
-
-// Activity logging
-function logActivity(type, message, status = 'info') {
-  const activity = {
-    id: Date.now().toString(),
-    type,
-    message,
-    status,
-    timestamp: new Date().toISOString()
-  };
-  
-  activityLog.unshift(activity);
-  if (activityLog.length > 100) {
-    activityLog = activityLog.slice(0, 100);
+    console.error('❌ Failed to store activity:', error.message);
   }
   
   const icon = { info: 'ℹ️', success: '✅', error: '❌', warning: '⚠️' }[status] || 'ℹ️';
   console.log(`${icon} [${type.toUpperCase()}] ${message}`);
 }
 
-// Authentication middleware
-function requireAuth(req, res, next) {
-  const sessionId = req.headers['x-session-id'];
-  const session = sessions.get(sessionId);
-  
-  if (!session || Date.now() - session.created > 8 * 60 * 60 * 1000) { // 8 hours
-    if (session) sessions.delete(sessionId);
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Authentication required' 
-    });
-  }
-  
-  session.lastAccessed = Date.now();
-  next();
+// Authentication middleware. Without roles any logged-in user is allowed;
+// admins are allowed on every route.
+function requireAuth(...allowedRoles) {
+  return (req, res, next) => {
+    const sessionId = req.headers['x-session-id'];
+    const session = db.getSession(sessionId);
+    
+    if (!session || Date.now() - session.created > SESSION_MAX_AGE) {
+      if (session) db.deleteSession(sessionId);
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Authentication required' 
+      });
+    }
+    
+    const user = users.getUser(session.username);
+    if (!user || user.disabled) {
+      db.deleteSession(sessionId);
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    if (allowedRoles.length > 0 && user.role !== ROLES.ADMIN && !allowedRoles.includes(user.role)) {
+      logActivity('auth', `User ${user.username} (${user.role}) denied access to ${req.method} ${req.path}`, 'warning', user.username);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    
+    db.touchSession(sessionId);
+    req.user = user;
+    next();
+  };
 }
 
 // Routes
 app.post('/api/login', (req, res) => {
   const { username, password } = req.body;
+  const user = users.authenticate(username, password);
   
-  if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-    const sessionId = Math.random().toString(36).substring(2) + Date.now();
-    sessions.set(sessionId, {
-      username,
+  if (user) {
+    const sessionId = crypto.randomBytes(24).toString('hex');
+    db.createSession(sessionId, {
+      username: user.username,
       created: Date.now(),
       lastAccessed: Date.now()
     });
     
-    logActivity('auth', `User ${username} logged in`, 'success');
+    logActivity('auth', `User ${user.username} logged in`, 'success', user.username);
     
     res.json({
       success: true,
       sessionId,
+      user: {
+        username: user.username,
+        role: user.role
+      },
       message: 'Login successful'
     });
   } else {
@@ -202,16 +290,131 @@ app.post('/api/login', (req, res) => {
   }
 });
 
-app.post('/api/logout', requireAuth, (req, res) => {
+app.post('/api/logout', requireAuth(), (req, res) => {
   const sessionId = req.headers['x-session-id'];
-  if (sessionId) sessions.delete(sessionId);
+  if (sessionId) db.deleteSession(sessionId);
   res.json({ success: true, message: 'Logged out successfully' });
 });
 
+// Current user
+app.get('/api/me', requireAuth(), (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      username: req.user.username,
+      role: req.user.role,
+      autoShip: users.shouldAutoShip(req.user.username)
+    }
+  });
+});
+
+// List user accounts (admin only)
+app.get('/api/users', requireAuth(ROLES.ADMIN), (req, res) => {
+  res.json({
+    success: true,
+    users: users.listUsers(),
+    roles: Object.values(ROLES),
+    autoShipDefault: users.AUTO_SHIP_DEFAULT
+  });
+});
+
+// Turn auto-ship on or off for a user; null follows AUTO_SHIP (admin only)
+app.post('/api/users/:username/auto-ship', requireAuth(ROLES.ADMIN), (req, res) => {
+  const { username } = req.params;
+  const { autoShip = null } = req.body;
+  
+  try {
+    const user = users.setUserAutoShip(username, autoShip);
+    const setting = autoShip === null ? 'default' : autoShip ? 'on' : 'off';
+    logActivity('users', `Auto-ship for ${username} set to ${setting} by ${req.user.username}`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Auto-ship for ${username} set to ${setting}`,
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a user account (admin only)
+app.post('/api/users', requireAuth(ROLES.ADMIN), (req, res) => {
+  const { username, password, role } = req.body;
+  
+  try {
+    const user = users.createUser({ username, password, role });
+    logActivity('users', `User ${user.username} (${user.role}) created by ${req.user.username}`, 'success', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `User ${user.username} created`,
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Disable a user account and end its sessions (admin only)
+app.post('/api/users/:username/disable', requireAuth(ROLES.ADMIN), (req, res) => {
+  const { username } = req.params;
+  
+  if (username === req.user.username) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot disable your own account'
+    });
+  }
+  
+  try {
+    const user = users.setUserDisabled(username, true);
+    logActivity('users', `User ${username} disabled by ${req.user.username}`, 'warning', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `User ${username} disabled`,
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Re-enable a user account (admin only)
+app.post('/api/users/:username/enable', requireAuth(ROLES.ADMIN), (req, res) => {
+  const { username } = req.params;
+  
+  try {
+    const user = users.setUserDisabled(username, false);
+    logActivity('users', `User ${username} enabled by ${req.user.username}`, 'success', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `User ${username} enabled`,
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Fetch orders from BOL.com
-app.post('/api/fetch-orders', requireAuth, async (req, res) => {
+app.post('/api/fetch-orders', requireAuth(ROLES.PICKER), async (req, res) => {
   try {
-    logActivity('orders', 'Starting BOL.com order fetch', 'info');
+    logActivity('orders', 'Starting BOL.com order fetch', 'info', req.user.username);
     
     // Check if BOL credentials are configured
     if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
@@ -224,33 +427,52 @@ app.post('/api/fetch-orders', requireAuth, async (req, res) => {
     const result = await fetchOrders();
     
     if (result.success) {
-      currentOrders = result.ordersData || [];
+      const orders = result.ordersData || [];
       
-      // Generate picking list from fetched orders
+      // Generate picking list from fetched orders and merge it with local picking progress
       const pickingResult = await generatePickingList();
-      if (pickingResult.success) {
-        currentPickingList = pickingResult.pickingList || [];
+      let mergeStats = null;
+      
+      db.transaction(() => {
+        db.replaceOrders(orders);
+        if (pickingResult.success) {
+          const merged = mergePickingList(db.getPickingList(), pickingResult.pickingList || [], { complete: pickingResult.complete !== false });
+          db.replacePickingList(merged.pickingList);
+          mergeStats = merged.stats;
+        }
+      });
+      
+      logActivity('orders', `Successfully fetched ${orders.length} orders`, 'success', req.user.username);
+      
+      if (pickingResult.complete === false) {
+        logActivity('orders', 'Not every page of open orders was fetched; items missing from BOL.com were kept as they are', 'warning', req.user.username);
       }
       
-      await saveData();
+      if (mergeStats && mergeStats.removed > 0) {
+        logActivity('orders', `${mergeStats.removed} order items are no longer open on BOL.com (cancelled or shipped elsewhere)`, 'warning', req.user.username);
+      }
       
-      logActivity('orders', `Successfully fetched ${currentOrders.length} orders`, 'success');
+      if (result.cancellationRequests > 0) {
+        logActivity('orders', `${result.cancellationRequests} order items have a cancellation request from the customer`, 'warning', req.user.username);
+      }
       
       res.json({
         success: true,
-        message: `Successfully fetched ${currentOrders.length} orders`,
-        ordersCount: currentOrders.length,
-        pickingItemsCount: currentPickingList.length
+        message: `Successfully fetched ${orders.length} orders`,
+        ordersCount: orders.length,
+        pickingItemsCount: db.countPickingItems(),
+        cancellationRequests: result.cancellationRequests || 0,
+        mergeStats
       });
     } else {
-      logActivity('orders', `Order fetch failed: ${result.message}`, 'error');
+      logActivity('orders', `Order fetch failed: ${result.message}`, 'error', req.user.username);
       res.status(500).json({
         success: false,
         message: result.message || 'Failed to fetch orders'
       });
     }
   } catch (error) {
-    logActivity('orders', `Order fetch error: ${error.message}`, 'error');
+    logActivity('orders', `Order fetch error: ${error.message}`, 'error', req.user.username);
     res.status(500).json({
       success: false,
       message: error.message
@@ -259,9 +481,9 @@ app.post('/api/fetch-orders', requireAuth, async (req, res) => {
 });
 
 // NEW: Start price update process
-app.post('/api/prices/update', requireAuth, async (req, res) => {
+app.post('/api/prices/update', requireAuth(ROLES.PRICING_MANAGER), async (req, res) => {
   try {
-    logActivity('prices', 'Starting BOL.com price update process', 'info');
+    logActivity('prices', 'Starting BOL.com price update process', 'info', req.user.username);
     
     // Check if BOL credentials are configured
     if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
@@ -283,7 +505,7 @@ app.post('/api/prices/update', requireAuth, async (req, res) => {
     // Start the update process in the background
     updatePrices().catch(error => {
       console.error('❌ Price update process failed:', error);
-      logActivity('prices', `Price update failed: ${error.message}`, 'error');
+      logActivity('prices', `Price update failed: ${error.message}`, 'error', req.user.username);
     });
     
     res.json({
@@ -292,7 +514,7 @@ app.post('/api/prices/update', requireAuth, async (req, res) => {
     });
     
   } catch (error) {
-    logActivity('prices', `Price update start error: ${error.message}`, 'error');
+    logActivity('prices', `Price update start error: ${error.message}`, 'error', req.user.username);
     res.status(500).json({
       success: false,
       message: error.message
@@ -301,7 +523,7 @@ app.post('/api/prices/update', requireAuth, async (req, res) => {
 });
 
 // NEW: Get price update progress
-app.get('/api/prices/progress', requireAuth, (req, res) => {
+app.get('/api/prices/progress', requireAuth(ROLES.PRICING_MANAGER), (req, res) => {
   try {
     const progress = getPriceProgress();
     res.json({
@@ -317,10 +539,10 @@ app.get('/api/prices/progress', requireAuth, (req, res) => {
 });
 
 // NEW: Reset price update progress
-app.post('/api/prices/reset', requireAuth, (req, res) => {
+app.post('/api/prices/reset', requireAuth(ROLES.PRICING_MANAGER), (req, res) => {
   try {
     resetPriceProgress();
-    logActivity('prices', 'Price update progress reset', 'info');
+    logActivity('prices', 'Price update progress reset', 'info', req.user.username);
     
     res.json({
       success: true,
@@ -335,7 +557,7 @@ app.post('/api/prices/reset', requireAuth, (req, res) => {
 });
 
 // NEW: Download price update reports
-app.get('/api/prices/reports', requireAuth, async (req, res) => {
+app.get('/api/prices/reports', requireAuth(ROLES.PRICING_MANAGER), async (req, res) => {
   try {
     const reportsDir = path.join(__dirname, 'reports');
     
@@ -389,7 +611,7 @@ app.get('/api/prices/reports', requireAuth, async (req, res) => {
 });
 
 // NEW: Download specific price update report
-app.get('/api/prices/reports/:filename', requireAuth, async (req, res) => {
+app.get('/api/prices/reports/:filename', requireAuth(ROLES.PRICING_MANAGER), async (req, res) => {
   try {
     const { filename } = req.params;
     
@@ -415,7 +637,7 @@ app.get('/api/prices/reports/:filename', requireAuth, async (req, res) => {
       const fileBuffer = await fs.readFile(filePath);
       res.send(fileBuffer);
       
-      logActivity('prices', `Price report downloaded: ${filename}`, 'success');
+      logActivity('prices', `Price report downloaded: ${filename}`, 'success', req.user.username);
       
     } catch (error) {
       res.status(404).json({
@@ -432,69 +654,306 @@ app.get('/api/prices/reports/:filename', requireAuth, async (req, res) => {
   }
 });
 
+// Items that were cancelled or left BOL's open list are not picked or shipped anymore
+function isActiveItem(item) {
+  return !item.removedFromBol && !item.cancellationConfirmed;
+}
+
+// Compare a scanned barcode with an EAN. Scanners may report EAN-13 codes as
+// 14-digit GTINs and UPC-A codes with or without the leading zero.
+function isSameEan(scanned, ean) {
+  const normalize = code => String(code || '').trim().replace(/^0+/, '');
+  return !!ean && normalize(scanned) === normalize(ean);
+}
+
+// Units of an item line that still have to be picked
+function remainingUnits(item) {
+  return Math.max((item.quantity || 1) - (item.pickedQuantity || 0), 0);
+}
+
+// Picked items that still need a PostNL label
+function needsLabel(item) {
+  return isActiveItem(item) && !item.cancellationRequested && item.picked && !item.labelCreated && !item.shipped;
+}
+
+const REQUIRED_POSTNL_VARS = [
+  'API_KEY', 'API_URL', 'CUSTOMER_CODE', 'CUSTOMER_NUMBER', 'COLLECTION_LOCATION',
+  'SENDER_NAME', 'SENDER_EMAIL', 'COMPANY_NAME', 'COMPANY_STREET', 'COMPANY_HOUSENR',
+  'COMPANY_ZIP', 'COMPANY_CITY', 'COMPANY_COUNTRY'
+];
+
+// All items of an order that can still be shipped have been picked
+function isOrderFullyPicked(orderId) {
+  const activeItems = db.getOrderItems(orderId).filter(item => isActiveItem(item) && !item.shipped);
+  return activeItems.length > 0 && activeItems.every(item => item.picked);
+}
+
+// Number of colli (boxes) an order is shipped in
+function getOrderParcelCount(orderId) {
+  return Math.max(1, ...db.getOrderItems(orderId).map(item => item.parcelCount || 1));
+}
+
+// Orders get a single label set for all items in order packing mode, and
+// always when they are shipped in more than one collo
+function isOrderPacked(orderId) {
+  return PACKING_MODE === 'order' || getOrderParcelCount(orderId) > 1;
+}
+
+// A parcel only goes as mailbox package when every item in it was picked as
+// one; multi-collo shipments are never mailbox packages
+function parcelProductCode(items, parcelCount = 1) {
+  return parcelCount === 1 && items.every(item => item.productCode === '2928') ? '2928' : '3085';
+}
+
+// Weight of an item line in grams: the weight entered while picking, else the
+// catalog weight per unit times the quantity, else DEFAULT_WEIGHT
+function itemWeight(item) {
+  if (item.weight) return item.weight;
+  const product = db.getProduct(item.EAN);
+  return product && product.weight ? product.weight * (item.quantity || 1) : DEFAULT_WEIGHT;
+}
+
+function parcelWeight(items) {
+  return items.reduce((total, item) => total + itemWeight(item), 0);
+}
+
+// Catalog dimensions (mm) are only used for a parcel holding a single unit
+function parcelDimensions(items) {
+  if (items.length !== 1 || (items[0].quantity || 1) !== 1) return null;
+  const product = db.getProduct(items[0].EAN);
+  if (!product || !product.length || !product.width || !product.height) return null;
+  return { length: product.length, width: product.width, height: product.height };
+}
+
+// Package type to preselect in the pick modal. A product known to be too large
+// or heavy is never suggested as mailbox package; otherwise the last choice
+// for the EAN wins, then whether the stored dimensions fit.
+function suggestProductCode(item, product) {
+  if ((item.ShipCountrycode || 'NL') !== 'NL') return null;
+  
+  const quantity = item.quantity || 1;
+  const weight = item.weight || (product && product.weight ? product.weight * quantity : null);
+  const hasDimensions = product && product.length && product.width && product.height;
+  
+  let fits = null;
+  if (weight > MAILBOX_MAX_WEIGHT) {
+    fits = false;
+  } else if (hasDimensions && weight) {
+    // Multiple units are stacked on top of each other
+    fits = fitsMailbox({ weight, length: product.length, width: product.width, height: product.height * quantity });
+  }
+  
+  if (fits === false) {
+    return { productCode: '3085', reason: 'Too large or heavy for a mailbox package' };
+  }
+  if (product && product.lastProductCode) {
+    return { productCode: product.lastProductCode, reason: 'Last choice for this product' };
+  }
+  if (fits) {
+    return { productCode: '2928', reason: 'Fits a mailbox package' };
+  }
+  return null;
+}
+
+// PostNL shipment data for the label of a single picking item
+function buildItemShipmentData(item, productCode) {
+  return {
+    orderId: `${item.MessageID}_${item.OrderItemID}`, // Unique ID for this item
+    orderItemId: item.OrderItemID,
+    firstName: item.FirstName || 'Customer',
+    lastName: item.LastName || 'Customer',
+    street: item.ShipStreet || 'Unknown Street',
+    houseNumber: item.ShipHouseNr || '1',
+    houseNumberExt: item.ShipHouseNrExt || '',
+    zipcode: item.ShipZipcode || '',
+    city: item.ShipCity || 'Amsterdam',
+    countryCode: item.ShipCountrycode || 'NL',
+    companyName: item.ShipCompany || '',
+    addressExtra: item.ShipAddressExtra || '',
+    email: item.ReceiverEmail || '',
+    sms: item.ReceiverSMS || '',
+    productCode: productCode,
+    weight: itemWeight(item),
+    dimensions: parcelDimensions([item])
+  };
+}
+
+// Store a created label on the items in its parcel and in the labels table.
+// A label shared by several items is stored once, without an order item ID.
+// For multi-collo shipments the items get the main barcode and every collo
+// gets its own labels row.
+function recordLabel(items, { trackingNumber, labelFilename, productCode, username, createdAt, colli = null }) {
+  db.transaction(() => {
+    items.forEach(item => {
+      db.updatePickingItem(item.MessageID, item.OrderItemID, {
+        productCode: items.length === 1 ? productCode : item.productCode,
+        trackingNumber,
+        labelFilename,
+        labelCreated: true,
+        labelCreatedAt: createdAt,
+        labelCreatedBy: username
+      });
+    });
+    (colli || [{ trackAndTrace: trackingNumber, labelFilename }]).forEach(collo => {
+      db.addLabel({
+        orderId: items[0].MessageID,
+        orderItemId: items.length === 1 && !colli ? items[0].OrderItemID : null,
+        trackingNumber: collo.trackAndTrace,
+        groupTrackingNumber: trackingNumber,
+        labelFilename: collo.labelFilename,
+        productCode,
+        createdAt,
+        createdBy: username
+      });
+    });
+  });
+}
+
+// Orders whose label is being created right now. The pick route and the label
+// batch check it, so concurrent requests never buy a second label for an order.
+const orderLabelsInFlight = new Set();
+
+// Create one PostNL label for a parcel (items of the same order) and store it.
+// Throws when PostNL does not return a label, or when a label for the order is
+// already being created.
+async function createParcelLabel(items, productCode, username, parcelCount = 1) {
+  const orderId = items[0].MessageID;
+  if (orderLabelsInFlight.has(orderId)) {
+    throw new Error(`A label for order ${orderId} is already being created`);
+  }
+  
+  orderLabelsInFlight.add(orderId);
+  try {
+    const shipmentData = buildItemShipmentData(items[0], productCode);
+    shipmentData.parcelCount = parcelCount;
+    shipmentData.weight = parcelWeight(items);
+    shipmentData.dimensions = parcelDimensions(items);
+    if (items.length > 1 || parcelCount > 1) {
+      shipmentData.orderId = items[0].MessageID;
+      shipmentData.orderItemId = null;
+    }
+  
+    const labelResult = await createLabels([shipmentData]);
+    const label = labelResult.labels && labelResult.labels[0];
+  
+    if (!label || label.status !== 'created') {
+      throw new Error(label?.error || labelResult.message || 'Unknown error');
+    }
+  
+    const stored = {
+      trackingNumber: label.trackAndTrace,
+      labelFilename: label.labelFilename,
+      productCode: label.productCode || productCode,
+      username,
+      createdAt: new Date().toISOString(),
+      colli: parcelCount > 1 ? label.colli : null
+    };
+    recordLabel(items, stored);
+    return { ...stored, warning: mailboxWeightWarning(stored.productCode, shipmentData.weight) };
+  } finally {
+    orderLabelsInFlight.delete(orderId);
+  }
+}
+
 // Updated orders API to include label info per item
-app.get('/api/orders', requireAuth, (req, res) => {
+app.get('/api/orders', requireAuth(ROLES.PICKER), (req, res) => {
   // Convert picking list to order format for frontend
+  const pickingList = db.getPickingList();
+  const products = new Map(db.getProducts().map(product => [product.ean, product]));
+  const waveList = db.getWaves();
   const orderMap = new Map();
   
-  currentPickingList.forEach(item => {
+  pickingList.forEach(item => {
     const orderId = item.MessageID;
     
     if (!orderMap.has(orderId)) {
       orderMap.set(orderId, {
         id: orderId,
         customer: `${item.FirstName} ${item.LastName}`.trim(),
-        address: `${item.ShipStreet} ${item.ShipHouseNr}, ${item.ShipZipcode} ${item.ShipCity}`,
+        address: `${item.ShipStreet} ${item.ShipHouseNr}${item.ShipHouseNrExt ? ` ${item.ShipHouseNrExt}` : ''}, ${item.ShipZipcode} ${item.ShipCity}${item.ShipCountrycode && item.ShipCountrycode !== 'NL' ? ` (${item.ShipCountrycode})` : ''}`,
+        company: item.ShipCompany || '',
+        addressExtra: item.ShipAddressExtra || '',
+        countryCode: item.ShipCountrycode || 'NL',
         email: item.ReceiverEmail || '',
         items: [],
         status: 'open',
         shipped: false,
         trackingNumbers: [],
-        allItemsShipped: false
+        allItemsShipped: false,
+        cancellationRequested: false,
+        partiallyShipped: false,
+        bolShipmentFailed: false,
+        bolShipmentPending: false,
+        parcelCount: 1,
+        waveId: null,
+        lockedTo: null
       });
     }
     
     const order = orderMap.get(orderId);
+    order.parcelCount = Math.max(order.parcelCount, item.parcelCount || 1);
+    order.waveId = order.waveId || item.waveId || null;
+    order.lockedTo = order.lockedTo || waves.lockedTo(item, req.user.username, waveList);
     order.items.push({
       id: item.OrderItemID || `item_${Date.now()}_${Math.random()}`,
       name: item.ProductTitle || 'Unknown Product',
       sku: item.EAN || 'N/A',
       quantity: item.quantity || 1,
-      location: item.location || 'Unknown',
+      pickedQuantity: item.pickedQuantity || 0,
+      location: products.get(item.EAN)?.location || item.location || 'Unknown',
       picked: item.picked || false,
+      pickedBy: item.pickedBy || null,
       productCode: item.productCode || null,
+      weight: item.weight || null,
+      catalogWeight: products.get(item.EAN)?.weight || null,
+      imageUrl: products.get(item.EAN)?.imageUrl || null,
+      suggestedPackage: suggestProductCode(item, products.get(item.EAN)),
       trackingNumber: item.trackingNumber || null,
       labelFilename: item.labelFilename || null,
-      labelCreated: item.labelCreated || false
+      labelCreated: item.labelCreated || false,
+      labelCreatedBy: item.labelCreatedBy || null,
+      shipped: item.shipped || false,
+      shippedBy: item.shippedBy || null,
+      bolShipmentStatus: item.bolShipmentStatus || null,
+      bolShipmentId: item.bolShipmentId || null,
+      bolShipmentError: item.bolShipmentError || null,
+      removedFromBol: item.removedFromBol || false,
+      removedAt: item.removedAt || null,
+      cancellationRequested: item.cancellationRequested || false,
+      cancellationConfirmed: item.cancellationConfirmed || false,
+      cancellationStatus: item.cancellationStatus || null,
+      cancellationError: item.cancellationError || null,
+      waveId: item.waveId || null,
+      lockedTo: waves.lockedTo(item, req.user.username, waveList)
     });
     
-    // Update order status based on items
-    const allPicked = order.items.every(item => item.picked);
-    if (allPicked && order.items.length > 0) {
+    // Collect tracking numbers of shipped items
+    if (item.shipped && item.trackingNumber && !order.trackingNumbers.includes(item.trackingNumber)) {
+      order.trackingNumbers.push(item.trackingNumber);
+    }
+  });
+  
+  // Derive order status from the items that are still open on BOL.com
+  orderMap.forEach(order => {
+    const activeItems = order.items.filter(isActiveItem);
+    order.allItemsShipped = activeItems.length > 0 && activeItems.every(item => item.shipped);
+    order.partiallyShipped = !order.allItemsShipped && activeItems.some(item => item.shipped);
+    order.cancellationRequested = activeItems.some(item => item.cancellationRequested && !item.shipped);
+    order.bolShipmentFailed = activeItems.some(item => !item.shipped && item.bolShipmentStatus === 'failed');
+    order.bolShipmentPending = activeItems.some(item => item.shipped && item.bolShipmentStatus === 'pending');
+    
+    if (order.allItemsShipped) {
+      order.shipped = true;
+      order.status = 'shipped';
+    } else if (activeItems.length === 0) {
+      order.status = order.items.some(item => item.cancellationConfirmed) ? 'cancelled' : 'removed';
+    } else if (order.partiallyShipped) {
+      order.status = 'partially_shipped';
+    } else if (activeItems.every(item => item.picked)) {
       order.status = 'ready';
-    } else if (order.items.some(item => item.picked)) {
+    } else if (activeItems.some(item => item.picked || item.pickedQuantity > 0)) {
       order.status = 'picking';
     }
-    
-    // Update shipping status
-    if (item.shipped) {
-      order.allItemsShipped = orderMap.get(orderId).items.every(orderItem => {
-        const pickingItem = currentPickingList.find(pi => 
-          pi.MessageID === orderId && pi.OrderItemID === orderItem.id
-        );
-        return pickingItem?.shipped || false;
-      });
-      
-      if (order.allItemsShipped) {
-        order.shipped = true;
-        order.status = 'shipped';
-      }
-      
-      // Collect tracking numbers
-      if (item.trackingNumber && !order.trackingNumbers.includes(item.trackingNumber)) {
-        order.trackingNumbers.push(item.trackingNumber);
-      }
-    }
   });
   
   const orders = Array.from(orderMap.values());
@@ -502,35 +961,44 @@ app.get('/api/orders', requireAuth, (req, res) => {
   res.json({
     success: true,
     orders: orders,
-    count: orders.length
+    count: orders.length,
+    packingMode: PACKING_MODE,
+    maxParcelsPerOrder: MAX_PARCELS_PER_ORDER
   });
 });
 
 // Enhanced pick endpoint with detailed logging
-app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res) => {
+app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth(ROLES.PICKER), async (req, res) => {
   const startTime = Date.now();
   const { orderId, itemId } = req.params;
-  const { productCode = '3085' } = req.body;
+  // createLabel: false only marks the item picked; its label is created later in a batch.
+  // scannedEan is sent by the scan screen and must match the item. units picks
+  // part of the quantity; the item is picked once all units are.
+  const { productCode = '3085', createLabel = true, weight = null, saveProductWeight = false, scannedEan = null, units = null } = req.body;
   
   try {
+    // Optional weight in grams for this item line, entered in the package type modal
+    const weightOverride = weight === null || weight === '' ? null : parseInt(weight, 10);
+    if (weightOverride !== null && !(weightOverride >= 1 && weightOverride <= MAX_PARCEL_WEIGHT)) {
+      return res.status(400).json({
+        success: false,
+        message: `Weight must be between 1 and ${MAX_PARCEL_WEIGHT} grams`
+      });
+    }
+    
     detailedLog('picking', `Starting pick process for item ${itemId} in order ${orderId}`, {
       orderId,
       itemId,
       productCode,
+      createLabel,
       timestamp: new Date().toISOString()
-    }, 'info');
+    }, 'info', req.user.username);
     
     // Check PostNL configuration first
-    const requiredPostNLVars = [
-      'API_KEY', 'API_URL', 'CUSTOMER_CODE', 'CUSTOMER_NUMBER', 'COLLECTION_LOCATION',
-      'SENDER_NAME', 'SENDER_EMAIL', 'COMPANY_NAME', 'COMPANY_STREET', 'COMPANY_HOUSENR',
-      'COMPANY_ZIP', 'COMPANY_CITY', 'COMPANY_COUNTRY'
-    ];
-    
-    const missingVars = requiredPostNLVars.filter(varName => !process.env[varName]);
+    const missingVars = createLabel ? REQUIRED_POSTNL_VARS.filter(varName => !process.env[varName]) : [];
     
     if (missingVars.length > 0) {
-      detailedLog('picking', 'PostNL configuration incomplete', { missingVars }, 'error');
+      detailedLog('picking', 'PostNL configuration incomplete', { missingVars }, 'error', req.user.username);
       return res.status(400).json({
         success: false,
         message: `PostNL configuration incomplete. Missing: ${missingVars.join(', ')}`
@@ -538,36 +1006,93 @@ app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res
     }
 
     detailedLog('picking', 'PostNL configuration validated successfully', {
-      configuredVars: requiredPostNLVars.filter(varName => process.env[varName]).map(varName => ({
+      configuredVars: REQUIRED_POSTNL_VARS.filter(varName => process.env[varName]).map(varName => ({
         name: varName,
         hasValue: !!process.env[varName],
         valueLength: process.env[varName] ? process.env[varName].length : 0,
         startsWithPlaceholder: process.env[varName] && process.env[varName].includes('your_')
       }))
-    }, 'debug');
+    }, 'debug', req.user.username);
     
     // Find the item in picking list
-    const item = currentPickingList.find(item => 
-      item.MessageID === orderId && 
-      (item.OrderItemID === itemId || item.EAN === itemId)
-    );
+    const item = db.findPickingItem(orderId, itemId);
     
     if (!item) {
       detailedLog('picking', 'Item not found in picking list', {
         orderId,
         itemId,
-        availableItems: currentPickingList.filter(i => i.MessageID === orderId).map(i => ({
+        availableItems: db.getOrderItems(orderId).map(i => ({
           orderItemId: i.OrderItemID,
           ean: i.EAN,
           productTitle: i.ProductTitle
         }))
-      }, 'error');
+      }, 'error', req.user.username);
       
       return res.status(404).json({
         success: false,
         message: 'Item not found'
       });
     }
+    
+    if (item.removedFromBol) {
+      detailedLog('picking', 'Item is no longer open on BOL.com', {
+        orderId,
+        itemId,
+        removedAt: item.removedAt
+      }, 'warning', req.user.username);
+      
+      return res.status(409).json({
+        success: false,
+        message: 'Item is no longer open on BOL.com (cancelled or shipped elsewhere)'
+      });
+    }
+    
+    if (item.cancellationRequested || item.cancellationConfirmed) {
+      detailedLog('picking', 'Item has a cancellation request, refusing to create a label', {
+        orderId,
+        itemId,
+        cancellationConfirmed: item.cancellationConfirmed
+      }, 'warning', req.user.username);
+      
+      return res.status(409).json({
+        success: false,
+        message: item.cancellationConfirmed
+          ? 'Item has been cancelled'
+          : 'Customer requested cancellation of this item. Confirm the cancellation instead of picking it.'
+      });
+    }
+    
+    if (item.picked) {
+      detailedLog('picking', 'Item already picked', {
+        orderId,
+        itemId,
+        trackingNumber: item.trackingNumber
+      }, 'warning', req.user.username);
+      
+      return res.status(409).json({
+        success: false,
+        message: 'Item has already been picked'
+      });
+    }
+    
+    const waveOwner = waves.lockedTo(item, req.user.username);
+    if (waveOwner) {
+      detailedLog('picking', `Item is in wave ${item.waveId}, assigned to ${waveOwner}`, { orderId, itemId }, 'warning', req.user.username);
+      
+      return res.status(409).json({
+        success: false,
+        message: `Item is part of wave ${item.waveId}, assigned to ${waveOwner}`
+      });
+    }
+    
+    if (scannedEan && !isSameEan(scannedEan, item.EAN)) {
+      detailedLog('picking', `Scanned EAN ${scannedEan} does not match item ${itemId} (${item.EAN})`, { orderId, itemId }, 'warning', req.user.username);
+      
+      return res.status(400).json({
+        success: false,
+        message: `Wrong product: scanned ${scannedEan}, expected ${item.EAN}`
+      });
+    }
 
     detailedLog('picking', 'Found item in picking list', {
       itemDetails: {
@@ -579,40 +1104,246 @@ app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res
         address: `${item.ShipStreet} ${item.ShipHouseNr}, ${item.ShipZipcode} ${item.ShipCity}`,
         email: item.ReceiverEmail
       }
-    }, 'debug');
-    
-    // Prepare shipment data for PostNL label creation
-    const shipmentData = [{
-      orderId: `${orderId}_${itemId}`, // Unique ID for this item
-      orderItemId: itemId,
-      firstName: item.FirstName || 'Customer',
-      lastName: item.LastName || 'Customer',
-      street: item.ShipStreet || 'Unknown Street',
-      houseNumber: item.ShipHouseNr || '1',
-      houseNumberExt: item.ShipHouseNrExt || '',
-      zipcode: item.ShipZipcode || '1000AA',
-      city: item.ShipCity || 'Amsterdam',
-      email: item.ReceiverEmail || '',
-      productCode: productCode,
-      weight: 1000 // Default weight
-    }];
+    }, 'debug', req.user.username);
     
-    detailedLog('picking', `Prepared shipment data for PostNL`, {
-      shipmentData: shipmentData[0],
-      packageType: productCode === '2928' ? 'mailbox package' : 'normal package'
-    }, 'info');
+    const pickedBy = req.user.username;
+    const quantity = item.quantity || 1;
+    const pickUnits = units === null ? remainingUnits(item) : parseInt(units, 10);
     
-    detailedLog('picking', `Creating PostNL label for item ${item.ProductTitle}`, {
-      productCode,
-      packageType: productCode === '2928' ? 'mailbox package' : 'normal package'
-    }, 'info');
+    if (!(pickUnits >= 1 && pickUnits <= remainingUnits(item))) {
+      return res.status(400).json({
+        success: false,
+        message: `Units must be between 1 and ${remainingUnits(item)}`
+      });
+    }
     
-    // Create PostNL label immediately
-    const labelResult = await createLabels(shipmentData);
+    const pickedQuantity = (item.pickedQuantity || 0) + pickUnits;
     
-    detailedLog('picking', 'PostNL createLabels response received', {
-      success: labelResult.success,
-      message: labelResult.message,
+    // Not all units picked yet: count them, the item itself stays open. The
+    // count is only written if nobody picked units since it was read above.
+    if (pickedQuantity < quantity) {
+      const now = new Date().toISOString();
+      const counted = db.transaction(() => {
+        const updated = db.updatePickingItemIf(item.MessageID, item.OrderItemID, { picked: false, pickedQuantity: item.pickedQuantity }, { pickedQuantity });
+        if (!updated) return false;
+        
+        db.addPick({
+          orderId: item.MessageID,
+          orderItemId: item.OrderItemID,
+          ean: item.EAN,
+          quantity: pickUnits,
+          pickedBy,
+          pickedAt: now
+        });
+        return true;
+      });
+      
+      if (!counted) {
+        return res.status(409).json({
+          success: false,
+          message: 'Item was picked by someone else in the meantime, scan it again'
+        });
+      }
+      
+      detailedLog('picking', `${pickedQuantity} of ${quantity} units of item ${itemId} in order ${orderId} picked`, null, 'info', pickedBy);
+      
+      return res.json({
+        success: true,
+        partial: true,
+        message: `${pickedQuantity} of ${quantity} units picked`,
+        pickedQuantity,
+        quantity,
+        labelCreated: false,
+        pickedBy
+      });
+    }
+    
+    const pickedItem = weightOverride ? { ...item, weight: weightOverride } : item;
+    const weightChanges = weightOverride ? { weight: weightOverride } : {};
+    
+    // Mark the item picked only if nobody picked it (or some of its units)
+    // since it was read above, so two clicks or two pickers never buy two
+    // labels for the same item
+    const claimItem = (changes = {}) => db.updatePickingItemIf(item.MessageID, item.OrderItemID, { picked: false, pickedQuantity: item.pickedQuantity }, {
+      picked: true,
+      pickedQuantity,
+      pickTimestamp: new Date().toISOString(),
+      pickedBy,
+      ...weightChanges,
+      ...changes
+    });
+    const releaseItem = () => db.updatePickingItem(item.MessageID, item.OrderItemID, {
+      picked: false,
+      pickedQuantity: item.pickedQuantity,
+      pickTimestamp: item.pickTimestamp,
+      pickedBy: item.pickedBy,
+      weight: item.weight
+    });
+    
+    // Remember the package type (Dutch orders only, the others have no choice)
+    // and optionally the weight for the next pick of this EAN. Only called
+    // once the pick (and its label, if it gets one now) has been stored.
+    const rememberProductChoices = () => {
+      if (!item.EAN) return;
+      
+      const productChanges = {};
+      if ((item.ShipCountrycode || 'NL') === 'NL' && ['3085', '2928'].includes(productCode)) {
+        productChanges.lastProductCode = productCode;
+      }
+      if (weightOverride && saveProductWeight) {
+        productChanges.weight = Math.round(weightOverride / (item.quantity || 1));
+      }
+      
+      if (Object.keys(productChanges).length > 0) {
+        db.saveProduct({ ean: item.EAN, ...productChanges, updatedBy: pickedBy });
+        if (productChanges.weight) {
+          detailedLog('picking', `Catalog weight for EAN ${item.EAN} set to ${productChanges.weight} g`, null, 'info', pickedBy);
+        }
+      }
+    };
+    
+    // In order packing mode (or for multi-collo orders) the item only gets its
+    // label together with the rest of the order, when the last item is picked
+    if (!createLabel || isOrderPacked(item.MessageID)) {
+      const now = new Date().toISOString();
+      const claimed = db.transaction(() => {
+        const pickedRow = claimItem({ productCode });
+        if (pickedRow) {
+          db.addPick({
+            orderId: item.MessageID,
+            orderItemId: item.OrderItemID,
+            ean: item.EAN,
+            quantity: pickUnits,
+            pickedBy,
+            pickedAt: now
+          });
+        }
+        return pickedRow;
+      });
+      
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Item has already been picked'
+        });
+      }
+      
+      rememberProductChoices();
+      
+      if (!createLabel) {
+        detailedLog('picking', `Item ${itemId} in order ${orderId} picked without label`, null, 'success', pickedBy);
+        
+        return res.json({
+          success: true,
+          message: 'Item picked! Create its label with the batch label action.',
+          labelCreated: false,
+          pickedBy
+        });
+      }
+      
+      if (!isOrderFullyPicked(item.MessageID)) {
+        detailedLog('picking', `Item ${itemId} in order ${orderId} picked, order label follows when the order is complete`, null, 'success', pickedBy);
+        
+        return res.json({
+          success: true,
+          message: 'Item picked! The order label is created when the last item is picked.',
+          labelCreated: false,
+          pickedBy
+        });
+      }
+      
+      const parcelItems = db.getOrderItems(item.MessageID).filter(needsLabel);
+      
+      // Another request is creating (or just created) the order label
+      if (orderLabelsInFlight.has(item.MessageID) || parcelItems.length === 0) {
+        detailedLog('picking', `Item ${itemId} in order ${orderId} picked, order label is already being created`, null, 'success', pickedBy);
+        
+        return res.json({
+          success: true,
+          message: 'Item picked! The order label is already being created.',
+          labelCreated: false,
+          pickedBy
+        });
+      }
+      
+      const parcelCount = getOrderParcelCount(item.MessageID);
+      const parcelCode = parcelProductCode(parcelItems, parcelCount);
+      
+      try {
+        const label = await createParcelLabel(parcelItems, parcelCode, pickedBy, parcelCount);
+        
+        detailedLog('picking', `Order label created for ${parcelItems.length} items in order ${orderId}`, {
+          trackingNumber: label.trackingNumber,
+          labelFilename: label.labelFilename,
+          productCode: parcelCode
+        }, 'success', pickedBy);
+        
+        if (label.warning) {
+          detailedLog('picking', `Order ${orderId}: ${label.warning}`, null, 'warning', pickedBy);
+        }
+        
+        const autoShip = await autoShipOrder(item.MessageID, pickedBy);
+        
+        return res.json({
+          success: true,
+          message: (parcelCount > 1
+            ? `Last item picked! ${parcelCount} collo labels created for the order.`
+            : `Last item picked! Order label created as ${describeProductCode(label.productCode)}.`) +
+            (autoShip ? ` ${autoShip.message}.` : ''),
+          labelCreated: true,
+          orderLabel: true,
+          trackingNumber: label.trackingNumber,
+          labelFilename: label.labelFilename,
+          labeledItemIds: parcelItems.map(parcelItem => parcelItem.OrderItemID),
+          warning: label.warning,
+          autoShip,
+          pickedBy
+        });
+      } catch (error) {
+        // The item stays picked; the order label can be retried with the batch label action
+        detailedLog('picking', `Order label for ${orderId} failed: ${error.message}`, null, 'error', pickedBy);
+        
+        return res.json({
+          success: true,
+          message: `Item picked, but the order label failed: ${error.message}. Retry with Create Labels.`,
+          labelCreated: false,
+          pickedBy
+        });
+      }
+    }
+    
+    // Prepare shipment data for PostNL label creation
+    const shipmentData = [buildItemShipmentData(pickedItem, productCode)];
+    
+    detailedLog('picking', `Prepared shipment data for PostNL`, {
+      shipmentData: shipmentData[0],
+      packageType: describeProductCode(productCode)
+    }, 'info', req.user.username);
+    
+    detailedLog('picking', `Creating PostNL label for item ${item.ProductTitle}`, {
+      productCode,
+      packageType: describeProductCode(productCode)
+    }, 'info', req.user.username);
+    
+    if (!claimItem()) {
+      return res.status(409).json({
+        success: false,
+        message: 'Item has already been picked'
+      });
+    }
+    
+    // Create PostNL label immediately; the item is released again when it fails
+    let labelResult;
+    try {
+      labelResult = await createLabels(shipmentData);
+    } catch (error) {
+      releaseItem();
+      throw error;
+    }
+    
+    detailedLog('picking', 'PostNL createLabels response received', {
+      success: labelResult.success,
+      message: labelResult.message,
       labelsCreated: labelResult.labelsCreated,
       labelsErrored: labelResult.labelsErrored,
       totalProcessed: labelResult.totalProcessed,
@@ -626,15 +1357,17 @@ app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res
         error: labelResult.labels[0].error
       } : null,
       error: labelResult.error
-    }, labelResult.success ? 'success' : 'error');
+    }, labelResult.success ? 'success' : 'warning', req.user.username);
     
+    // A failed pick logs exactly one error: the productivity report counts them
     if (!labelResult.success || !labelResult.labels || labelResult.labels.length === 0) {
-      const errorMsg = `PostNL label creation failed: ${labelResult.message}`;
+      const errorMsg = `PostNL label creation failed: ${labelResult.labels?.[0]?.error || labelResult.message}`;
       detailedLog('picking', errorMsg, {
         labelResult,
         shipmentData: shipmentData[0]
-      }, 'error');
+      }, 'error', req.user.username);
       
+      releaseItem();
       return res.status(500).json({
         success: false,
         message: errorMsg
@@ -647,8 +1380,9 @@ app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res
       detailedLog('picking', 'PostNL label creation failed for individual item', {
         label,
         error: label.error
-      }, 'error');
+      }, 'error', req.user.username);
       
+      releaseItem();
       return res.status(500).json({
         success: false,
         message: `Failed to create shipping label: ${label.error || 'Unknown error'}`
@@ -664,22 +1398,31 @@ app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res
       labelPath: label.labelPath,
       customerName: label.customerName,
       productCode: label.productCode
-    }, 'success');
-    
-    // Update the item with pick status, product code, and label info
-    item.picked = true;
-    item.pickTimestamp = new Date().toISOString();
-    item.productCode = productCode;
-    item.trackingNumber = trackingNumber;
-    item.labelFilename = labelFilename;
-    item.labelCreated = true;
-    item.labelCreatedAt = new Date().toISOString();
+    }, 'success', req.user.username);
     
-    await saveData();
+    // The item was marked picked by the claim; record the pick and its label
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      db.addPick({
+        orderId: item.MessageID,
+        orderItemId: item.OrderItemID,
+        ean: item.EAN,
+        quantity: pickUnits,
+        pickedBy,
+        pickedAt: now
+      });
+      recordLabel([item], { trackingNumber, labelFilename, productCode: label.productCode || productCode, username: pickedBy, createdAt: now });
+    });
+    rememberProductChoices();
     
-    const packageType = productCode === '2928' ? 'mailbox package' : 'normal package';
+    const packageType = describeProductCode(label.productCode || productCode);
+    const warning = mailboxWeightWarning(label.productCode || productCode, shipmentData[0].weight);
     const duration = Date.now() - startTime;
     
+    if (warning) {
+      detailedLog('picking', `Item ${itemId} in order ${orderId}: ${warning}`, null, 'warning', req.user.username);
+    }
+    
     detailedLog('picking', `Pick process completed successfully in ${duration}ms`, {
       orderId,
       itemId,
@@ -688,44 +1431,1263 @@ app.post('/api/orders/:orderId/items/:itemId/pick', requireAuth, async (req, res
       trackingNumber,
       labelFilename,
       duration: `${duration}ms`
-    }, 'success');
+    }, 'success', req.user.username);
+    
+    const autoShip = await autoShipOrder(item.MessageID, pickedBy);
+    
+    res.json({
+      success: true,
+      message: `Item picked as ${packageType} and label created!${autoShip ? ` ${autoShip.message}.` : ''}`,
+      trackingNumber: trackingNumber,
+      labelFilename: labelFilename,
+      warning,
+      autoShip,
+      pickedBy
+    });
+    
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    detailedLog('picking', `Error in pick process after ${duration}ms: ${error.message}`, {
+      orderId,
+      itemId,
+      productCode,
+      error: {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      },
+      duration: `${duration}ms`
+    }, 'error', req.user.username);
+    
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Move the PDFs of voided labels to uploads/labels/voided: kept for reference,
+// but no longer found by the label downloads
+async function archiveLabelFiles(labels) {
+  const labelsDir = path.join(__dirname, 'uploads', 'labels');
+  const voidedDir = path.join(labelsDir, 'voided');
+  await fs.mkdir(voidedDir, { recursive: true });
+  
+  const filenames = new Set(labels.map(label => label.labelFilename).filter(Boolean).map(filename => path.basename(filename)));
+  for (const filename of filenames) {
+    try {
+      await fs.rename(path.join(labelsDir, filename), path.join(voidedDir, filename));
+    } catch (error) {
+      console.warn(`⚠️ Could not archive voided label ${filename}: ${error.message}`);
+    }
+  }
+}
+
+// The label an item is on: the items sharing it and the label rows (all colli
+// of a multi-collo label)
+function labelOf(item) {
+  if (!item.trackingNumber) {
+    return { labelItems: [], labels: [] };
+  }
+  return {
+    labelItems: db.getOrderItems(item.MessageID).filter(other => other.trackingNumber === item.trackingNumber),
+    labels: db.getLabels({ orderIds: [item.MessageID] }).filter(label => label.groupTrackingNumber === item.trackingNumber)
+  };
+}
+
+// Void a label from labelOf: its barcodes are recorded so they are never
+// registered with BOL.com and the items on it lose their label. Run it in a
+// transaction; archive the PDFs with archiveLabelFiles afterwards.
+function voidLabel({ labelItems, labels }, { reason = null, voidedAt, voidedBy }) {
+  labels.forEach(label => {
+    db.addVoidedBarcode({ trackingNumber: label.trackingNumber, orderId: label.orderId, reason, voidedAt, voidedBy });
+  });
+  labelItems.forEach(other => {
+    db.updatePickingItem(other.MessageID, other.OrderItemID, {
+      trackingNumber: null,
+      labelFilename: null,
+      labelCreated: false,
+      labelCreatedAt: null,
+      labelCreatedBy: null,
+      // A failed BOL.com registration was for the voided label
+      bolShipmentStatus: null,
+      bolShipmentError: null
+    });
+  });
+}
+
+// Undo a pick. The label the item is on is voided and its PDFs are archived.
+// Other items on the same (order) label stay picked and need a new label.
+app.post('/api/orders/:orderId/items/:itemId/unpick', requireAuth(ROLES.PICKER), async (req, res) => {
+  const { orderId, itemId } = req.params;
+  const { reason = null } = req.body;
+  const username = req.user.username;
+  
+  try {
+    const item = db.findPickingItem(orderId, itemId);
+    
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found'
+      });
+    }
+    
+    if (item.shipped || item.bolShipmentRegistered) {
+      return res.status(409).json({
+        success: false,
+        message: 'Item has already been shipped'
+      });
+    }
+    
+    if (!item.picked && !(item.pickedQuantity > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Item has not been picked'
+      });
+    }
+    
+    const waveOwner = waves.lockedTo(item, username);
+    if (waveOwner) {
+      return res.status(409).json({
+        success: false,
+        message: `Item is part of wave ${item.waveId}, assigned to ${waveOwner}`
+      });
+    }
+    
+    // The label being created would end up on the unpicked item
+    if (orderLabelsInFlight.has(orderId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order label is being created, try again in a moment'
+      });
+    }
+    
+    const label = labelOf(item);
+    const { labelItems, labels: voidedLabels } = label;
+    
+    if (labelItems.some(other => other.shipped)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The label of this item has already been shipped with other items'
+      });
+    }
+    
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      voidLabel(label, { reason, voidedAt: now, voidedBy: username });
+      db.updatePickingItem(orderId, item.OrderItemID, {
+        picked: false,
+        pickedQuantity: 0,
+        pickTimestamp: null,
+        pickedBy: null,
+        productCode: null
+      });
+      db.removePicks(orderId, item.OrderItemID);
+    });
+    
+    await archiveLabelFiles(voidedLabels);
+    
+    const voidedBarcodes = voidedLabels.map(label => label.trackingNumber);
+    const relabelItemIds = labelItems.filter(other => other.OrderItemID !== item.OrderItemID).map(other => other.OrderItemID);
+    
+    logActivity('picking', `Pick of item ${itemId} in order ${orderId} undone${voidedBarcodes.length > 0 ? `, voided label ${voidedBarcodes.join(', ')}` : ''}${reason ? ` (${reason})` : ''}`, 'warning', username);
+    
+    res.json({
+      success: true,
+      message: voidedBarcodes.length > 0
+        ? `Pick undone and label ${voidedBarcodes.join(', ')} voided. Do not use that label.${relabelItemIds.length > 0 ? ` ${relabelItemIds.length} other item${relabelItemIds.length === 1 ? '' : 's'} need${relabelItemIds.length === 1 ? 's' : ''} a new label.` : ''}`
+        : 'Pick undone',
+      voidedBarcodes,
+      relabelItemIds
+    });
+  } catch (error) {
+    detailedLog('picking', `Undoing pick of item ${itemId} in order ${orderId} failed: ${error.message}`, null, 'error', username);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Set the number of colli (boxes) an order is shipped in. Must be set before
+// the order's label is created.
+app.post('/api/orders/:orderId/parcels', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const parcelCount = parseInt(req.body.parcelCount, 10);
+    
+    if (!Number.isInteger(parcelCount) || parcelCount < 1 || parcelCount > MAX_PARCELS_PER_ORDER) {
+      return res.status(400).json({
+        success: false,
+        message: `Parcel count must be between 1 and ${MAX_PARCELS_PER_ORDER}`
+      });
+    }
+    
+    const orderItems = db.getOrderItems(orderId).filter(isActiveItem);
+    
+    if (orderItems.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    if (parcelCount > 1 && (orderItems[0].ShipCountrycode || 'NL') !== 'NL') {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-collo shipments are only available within the Netherlands'
+      });
+    }
+    
+    if (orderItems.some(item => item.labelCreated || item.shipped)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order already has a label. The parcel count can only be changed before labels are created.'
+      });
+    }
+    
+    db.transaction(() => {
+      orderItems.forEach(item => {
+        db.updatePickingItem(orderId, item.OrderItemID, { parcelCount });
+      });
+    });
+    
+    logActivity('orders', `Order ${orderId} will ship in ${parcelCount} colli`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Order ${orderId} will ship in ${parcelCount} ${parcelCount === 1 ? 'parcel' : 'colli'}`,
+      parcelCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Items that can still be picked
+function isPickable(item) {
+  return isActiveItem(item) && !item.cancellationRequested && !item.picked && !item.shipped;
+}
+
+// Pick run: all open items of all orders, one line per EAN with the total
+// quantity, in the order the warehouse is walked. Items in waves of other
+// users are left out; ?waveId= limits the run to one wave.
+app.get('/api/pick-run', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    const waveId = req.query.waveId ? parseInt(req.query.waveId, 10) : null;
+    const waveList = db.getWaves();
+    const items = db.getPickingList().filter(item =>
+      isPickable(item) &&
+      !waves.lockedTo(item, req.user.username, waveList) &&
+      (!waveId || item.waveId === waveId)
+    );
+    const groups = pickRun.buildPickRun(items, catalog.getProduct);
+    
+    res.json({
+      success: true,
+      groups,
+      totalItems: groups.reduce((sum, group) => sum + group.items.length, 0),
+      totalQuantity: groups.reduce((sum, group) => sum + group.totalQuantity, 0),
+      orderCount: new Set(groups.flatMap(group => group.items.map(item => item.orderId))).size,
+      walk: pickRun.WALK_CONFIG
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Mark the order items of a pick run line as picked, without labels. The
+// response lists the picked items with their orders, for sorting the run back
+// into orders; labels follow with the batch label action.
+app.post('/api/pick-run/pick', requireAuth(ROLES.PICKER), (req, res) => {
+  const { items = [] } = req.body;
+  const pickedBy = req.user.username;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No items given'
+    });
+  }
+  
+  try {
+    const picked = [];
+    const skipped = [];
+    const now = new Date().toISOString();
+    
+    db.transaction(() => {
+      items.forEach(({ orderId, orderItemId }) => {
+        const item = db.findPickingItem(orderId, orderItemId);
+        
+        const waveOwner = item ? waves.lockedTo(item, pickedBy) : null;
+        
+        if (!item || !isPickable(item) || waveOwner) {
+          skipped.push({
+            orderId,
+            orderItemId,
+            reason: !item ? 'Item not found'
+              : item.picked ? 'Already picked'
+              : waveOwner ? `In wave ${item.waveId} of ${waveOwner}`
+              : 'Item can no longer be picked'
+          });
+          return;
+        }
+        
+        const product = item.EAN ? catalog.getProduct(item.EAN) : null;
+        const suggestion = suggestProductCode(item, product);
+        const units = remainingUnits(item);
+        
+        db.updatePickingItem(item.MessageID, item.OrderItemID, {
+          picked: true,
+          pickedQuantity: item.quantity || 1,
+          pickTimestamp: now,
+          pickedBy,
+          productCode: suggestion ? suggestion.productCode : '3085'
+        });
+        db.addPick({
+          orderId: item.MessageID,
+          orderItemId: item.OrderItemID,
+          ean: item.EAN,
+          quantity: units,
+          pickedBy,
+          pickedAt: now
+        });
+        
+        picked.push({
+          orderId: item.MessageID,
+          orderItemId: item.OrderItemID,
+          ean: item.EAN,
+          title: item.ProductTitle,
+          quantity: units,
+          customer: `${item.FirstName || ''} ${item.LastName || ''}`.trim(),
+          orderComplete: false
+        });
+      });
+    });
+    
+    // Orders that are complete after this pick can get their label
+    picked.forEach(pickedItem => {
+      pickedItem.orderComplete = isOrderFullyPicked(pickedItem.orderId);
+    });
+    
+    if (picked.length > 0) {
+      detailedLog('picking', `Pick run: ${picked.length} items picked for ${new Set(picked.map(item => item.orderId)).size} orders`, {
+        items: picked.map(item => `${item.orderId}/${item.orderItemId}`)
+      }, 'success', pickedBy);
+    }
+    
+    res.json({
+      success: picked.length > 0,
+      message: skipped.length > 0
+        ? `${picked.length} items picked, ${skipped.length} skipped`
+        : `${picked.length} items picked`,
+      picked,
+      skipped
+    });
+  } catch (error) {
+    detailedLog('picking', `Pick run failed: ${error.message}`, null, 'error', pickedBy);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Waves with their progress
+app.get('/api/waves', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      waves: waves.listWaves(db.getPickingList().filter(isActiveItem)),
+      defaultSize: waves.DEFAULT_WAVE_SIZE
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a wave of whole orders that are not in a wave yet (admin only).
+// Body: { latestShipDate: 'YYYY-MM-DD', maxItems, assignedTo, name }, all optional.
+app.post('/api/waves', requireAuth(ROLES.ADMIN), (req, res) => {
+  try {
+    const wave = waves.createWave(req.body, db.getPickingList().filter(isPickable), req.user.username);
+    logActivity('waves', `Wave ${wave.id} (${wave.name}) created with ${wave.itemCount} items${wave.assignedTo ? ` for ${wave.assignedTo}` : ''}`, 'success', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Wave ${wave.id} created with ${wave.itemCount} items`,
+      wave
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Assign a wave to a user. Admins can assign any wave to anyone (or nobody);
+// pickers can only take an unassigned wave themselves.
+app.post('/api/waves/:id/assign', requireAuth(ROLES.PICKER), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const username = req.body.username || null;
+  
+  try {
+    const wave = db.getWave(id);
+    
+    if (!wave) {
+      return res.status(404).json({
+        success: false,
+        message: `Wave ${id} not found`
+      });
+    }
+    
+    if (req.user.role !== ROLES.ADMIN && (wave.assignedTo || username !== req.user.username)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only take waves that are not assigned yet'
+      });
+    }
+    
+    const updated = waves.assignWave(id, username);
+    logActivity('waves', updated.assignedTo
+      ? `Wave ${id} assigned to ${updated.assignedTo}`
+      : `Wave ${id} unassigned`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: updated.assignedTo ? `Wave ${id} assigned to ${updated.assignedTo}` : `Wave ${id} is no longer assigned`,
+      wave: updated
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Remove a wave; its items go back to the general order list (admin only)
+app.delete('/api/waves/:id', requireAuth(ROLES.ADMIN), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  
+  try {
+    waves.deleteWave(id);
+    logActivity('waves', `Wave ${id} removed`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Wave ${id} removed`
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Batch label creation for all picked-but-unlabeled items, or those of the
+// given orders. Every label is stored as soon as PostNL returns it, so a batch
+// that stops halfway can simply be started again for the remaining items.
+let labelBatchRunning = false;
+
+app.post('/api/labels/batch', requireAuth(ROLES.PICKER), async (req, res) => {
+  const { orderIds = null } = req.body;
+  const username = req.user.username;
+  
+  if (labelBatchRunning) {
+    return res.status(409).json({
+      success: false,
+      message: 'A label batch is already running'
+    });
+  }
+  
+  const missingVars = REQUIRED_POSTNL_VARS.filter(varName => !process.env[varName]);
+  if (missingVars.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `PostNL configuration incomplete. Missing: ${missingVars.join(', ')}`
+    });
+  }
+  
+  if (orderIds !== null && !Array.isArray(orderIds)) {
+    return res.status(400).json({
+      success: false,
+      message: 'orderIds must be an array of order IDs'
+    });
+  }
+  
+  const items = db.getPickingList()
+    .filter(item => !orderIds || orderIds.includes(item.MessageID))
+    .filter(needsLabel);
+  
+  if (items.length === 0) {
+    return res.json({
+      success: true,
+      message: 'No picked items without a label',
+      labelsCreated: 0,
+      labelsFailed: 0,
+      results: []
+    });
+  }
+  
+  // One parcel per item, or per order in order packing mode and for multi-collo orders
+  const parcels = [];
+  const byOrder = new Map();
+  items.forEach(item => {
+    if (isOrderPacked(item.MessageID)) {
+      if (!byOrder.has(item.MessageID)) byOrder.set(item.MessageID, []);
+      byOrder.get(item.MessageID).push(item);
+    } else {
+      parcels.push([item]);
+    }
+  });
+  parcels.push(...byOrder.values());
+  
+  labelBatchRunning = true;
+  logActivity('labels', `Starting batch label creation for ${items.length} items (${parcels.length} parcels)`, 'info', username);
+  
+  const results = [];
+  let labelsCreated = 0;
+  let labelsFailed = 0;
+  const labeledOrderIds = new Set();
+  const autoShipped = [];
+  
+  try {
+    for (const parcel of parcels) {
+      const orderId = parcel[0].MessageID;
+      const resultFor = item => ({
+        orderId: item.MessageID,
+        orderItemId: item.OrderItemID,
+        productTitle: item.ProductTitle
+      });
+      
+      // Re-read the items in case they were labeled, unpicked or cancelled meanwhile
+      const current = parcel
+        .map(item => db.findPickingItem(item.MessageID, item.OrderItemID))
+        .filter(item => item && needsLabel(item));
+      
+      parcel
+        .filter(item => !current.some(currentItem => currentItem.OrderItemID === item.OrderItemID))
+        .forEach(item => results.push({ ...resultFor(item), status: 'skipped' }));
+      
+      if (current.length === 0) continue;
+      
+      if (orderLabelsInFlight.has(orderId)) {
+        current.forEach(item => results.push({ ...resultFor(item), status: 'skipped', error: 'Order label is already being created' }));
+        continue;
+      }
+      
+      const orderPacked = isOrderPacked(orderId);
+      if (orderPacked && !isOrderFullyPicked(orderId)) {
+        current.forEach(item => results.push({ ...resultFor(item), status: 'skipped', error: 'Order is not fully picked yet' }));
+        continue;
+      }
+      
+      try {
+        const parcelCount = orderPacked ? getOrderParcelCount(orderId) : 1;
+        const label = await createParcelLabel(current, parcelProductCode(current, parcelCount), username, parcelCount);
+        labelsCreated++;
+        labeledOrderIds.add(orderId);
+        
+        current.forEach(item => results.push({
+          ...resultFor(item),
+          status: 'created',
+          trackingNumber: label.trackingNumber,
+          labelFilename: label.labelFilename,
+          warning: label.warning
+        }));
+      } catch (error) {
+        labelsFailed++;
+        logActivity('labels', `Label for ${current.length > 1 ? `order ${orderId}` : `item ${current[0].OrderItemID} in order ${orderId}`} failed: ${error.message}`, 'error', username);
+        current.forEach(item => results.push({ ...resultFor(item), status: 'failed', error: error.message }));
+      }
+    }
+    
+    // Orders this batch completed are shipped when auto-ship is on
+    for (const orderId of labeledOrderIds) {
+      const autoShip = await autoShipOrder(orderId, username);
+      if (autoShip) autoShipped.push({ orderId, ...autoShip });
+    }
+  } finally {
+    labelBatchRunning = false;
+  }
+  
+  logActivity('labels', `Batch label creation finished: ${labelsCreated} created, ${labelsFailed} failed`, labelsFailed > 0 ? 'warning' : 'success', username);
+  
+  const shippedCount = autoShipped.filter(entry => entry.success).length;
+  
+  res.json({
+    success: labelsFailed === 0,
+    message: `Created ${labelsCreated} labels${labelsFailed > 0 ? ` (${labelsFailed} failed, run the batch again to retry)` : ''}${autoShipped.length > 0 ? `, ${shippedCount} of ${autoShipped.length} completed orders shipped automatically` : ''}`,
+    labelsCreated,
+    labelsFailed,
+    results,
+    autoShipped
+  });
+});
+
+// Why the items of an order cannot be registered with BOL.com yet, or null
+// when they can
+function shipBlocker(orderItems) {
+  // Never ship items the customer asked to cancel
+  const cancelledItems = orderItems.filter(item => item.cancellationRequested);
+  if (cancelledItems.length > 0) {
+    return `${cancelledItems.length} items have a cancellation request from the customer.`;
+  }
+  
+  const unpickedItems = orderItems.filter(item => !item.picked);
+  if (unpickedItems.length > 0) {
+    return `${unpickedItems.length} items not yet picked.`;
+  }
+  
+  const itemsWithoutLabels = orderItems.filter(item => !item.trackingNumber);
+  if (itemsWithoutLabels.length > 0) {
+    return `${itemsWithoutLabels.length} items don't have labels created.`;
+  }
+  
+  // Never register a tracking code that did not come from PostNL
+  const itemsWithInvalidBarcodes = orderItems.filter(item => !isValidBarcode(item.trackingNumber));
+  if (itemsWithInvalidBarcodes.length > 0) {
+    return `${itemsWithInvalidBarcodes.length} items have an invalid PostNL barcode (${itemsWithInvalidBarcodes.map(item => item.trackingNumber).join(', ')}). Recreate their labels first.`;
+  }
+  
+  // Voided labels (undone picks) must never reach BOL.com
+  const itemsWithVoidedBarcodes = orderItems.filter(item => db.isBarcodeVoided(item.trackingNumber));
+  if (itemsWithVoidedBarcodes.length > 0) {
+    return `${itemsWithVoidedBarcodes.length} items have a voided label (${itemsWithVoidedBarcodes.map(item => item.trackingNumber).join(', ')}). Recreate their labels first.`;
+  }
+  
+  return null;
+}
+
+// Orders being registered with BOL.com right now. The ship route, auto-ship
+// and the retry queue all register through registerShipment, which refuses a
+// second registration of the same order while one is running.
+const shipmentsInFlight = new Set();
+
+// Register the given items of an order with BOL.com and record every
+// attempt. Accepted items count as shipped; BOL.com confirms or rejects them
+// later (see checkShipmentStatuses). Items whose registration failed stay
+// unshipped, so they can be retried.
+async function registerShipment(orderId, itemsToShip, username) {
+  if (shipmentsInFlight.has(orderId)) {
+    throw new Error(`Order ${orderId} is already being registered with BOL.com`);
+  }
+  
+  shipmentsInFlight.add(orderId);
+  try {
+    const bolOrderItems = itemsToShip.map(item => ({
+      orderItemId: item.OrderItemID,
+      orderId: orderId,
+      quantity: item.quantity || 1,
+      trackAndTrace: item.trackingNumber, // Use the tracking number from label creation
+      firstName: item.FirstName,
+      lastName: item.LastName
+    }));
+  
+    const shipmentResult = await createShipments(bolOrderItems);
+    const shipments = shipmentResult.shipments || [];
+  
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      shipments.forEach(shipment => {
+        const accepted = shipment.status === 'pending';
+      
+        db.updatePickingItem(orderId, shipment.orderItemId, accepted
+          ? {
+            shipped: true,
+            shippedAt: now,
+            shippedBy: username,
+            bolShipmentStatus: 'pending',
+            bolShipmentError: null
+          }
+          : {
+            bolShipmentStatus: 'failed',
+            bolShipmentError: shipment.error || 'Registration failed'
+          });
+      
+        db.addShipment({
+          orderId,
+          orderItemId: shipment.orderItemId,
+          trackingNumber: shipment.trackAndTrace,
+          shipmentId: shipment.shipmentId,
+          processStatusId: shipment.processStatusId,
+          status: shipment.status,
+          error: shipment.error,
+          createdAt: shipment.createdAt,
+          createdBy: username
+        });
+      });
+    
+      // Nothing was sent at all (e.g. authentication failed)
+      if (shipments.length === 0) {
+        itemsToShip.forEach(item => {
+          db.updatePickingItem(orderId, item.OrderItemID, {
+            bolShipmentStatus: 'failed',
+            bolShipmentError: shipmentResult.message
+          });
+        });
+      }
+    });
+  
+    const shippedItems = shipments.filter(shipment => shipment.status === 'pending');
+    const failedItems = shipments.filter(shipment => shipment.status !== 'pending');
+    const errors = failedItems.length > 0
+      ? [...new Set(failedItems.map(shipment => shipment.error))]
+      : shippedItems.length === 0 ? [shipmentResult.message] : [];
+  
+    return {
+      shippedItems,
+      failedItems,
+      error: errors.length > 0 ? errors.join('; ') : null,
+      retryAfter: Math.max(0, ...failedItems.map(shipment => shipment.retryAfter || 0))
+    };
+  } finally {
+    shipmentsInFlight.delete(orderId);
+  }
+}
+
+// Auto-ship: register an order with BOL.com as soon as its last item is picked
+// and labeled, when the user (or AUTO_SHIP) has it turned on. Returns null
+// when the order is not ready or auto-ship is off, otherwise the outcome.
+// Never throws: the pick has already been saved.
+async function autoShipOrder(orderId, username) {
+  if (!users.shouldAutoShip(username)) return null;
+  if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) return null;
+  
+  const itemsToShip = db.getOrderItems(orderId).filter(item => isActiveItem(item) && !item.shipped);
+  const ready = itemsToShip.length > 0 && itemsToShip.every(item => item.picked && item.trackingNumber);
+  if (!ready) return null;
+  
+  // The order is being registered by another request already
+  if (shipmentsInFlight.has(orderId)) return null;
+  
+  try {
+    const blocker = shipBlocker(itemsToShip);
+    if (blocker) {
+      throw new Error(blocker);
+    }
+    
+    const { shippedItems, error, retryAfter } = await registerShipment(orderId, itemsToShip, username);
+    const job = error ? shipmentQueue.enqueue(orderId, { error, retryAfter, username }) : null;
+    const trackingNumbers = [...new Set(shippedItems.map(shipment => shipment.trackAndTrace))];
+    
+    if (shippedItems.length === 0) {
+      throw new Error(`${error}. Retrying automatically at ${new Date(job.nextAttemptAt).toLocaleTimeString('nl-NL')}`);
+    }
+    
+    const message = error
+      ? `Order shipped automatically, but ${itemsToShip.length - shippedItems.length} items failed to register: ${error}`
+      : `Order shipped automatically: ${trackingNumbers.length} labels registered with BOL.com`;
+    logActivity('shipping', `Order ${orderId}: ${message}`, error ? 'warning' : 'success', username);
+    
+    return { success: true, message, trackingNumbers };
+  } catch (error) {
+    const message = `Order not shipped automatically: ${error.message.replace(/\.$/, '')}`;
+    logActivity('shipping', `Order ${orderId}: ${message}`, 'error', username);
+    return { success: false, message };
+  }
+}
+
+// Items of an order to ship: the given order item IDs, or all items that are
+// not shipped yet. Throws when an ID is not an unshipped item of the order,
+// or when a selected item shares its label with an item that is left behind.
+function selectItemsToShip(orderItems, orderItemIds = null) {
+  const unshippedItems = orderItems.filter(item => !item.shipped);
+  if (orderItemIds === null || orderItemIds === undefined) {
+    return unshippedItems;
+  }
+  
+  if (!Array.isArray(orderItemIds) || orderItemIds.length === 0) {
+    throw new Error('orderItemIds must be a non-empty list of order item IDs');
+  }
+  
+  const selected = orderItemIds.map(orderItemId => {
+    const item = orderItems.find(candidate => candidate.OrderItemID === String(orderItemId));
+    if (!item) {
+      throw new Error(`Item ${orderItemId} is not an open item of this order`);
+    }
+    if (item.shipped) {
+      throw new Error(`Item ${orderItemId} has already been shipped`);
+    }
+    return item;
+  });
+  
+  // A parcel goes out as a whole: its label cannot be registered twice
+  const leftBehind = unshippedItems.filter(item =>
+    !selected.includes(item) &&
+    item.trackingNumber &&
+    selected.some(other => other.trackingNumber === item.trackingNumber)
+  );
+  if (leftBehind.length > 0) {
+    throw new Error(`Items ${leftBehind.map(item => item.OrderItemID).join(', ')} are in the same parcel (label ${leftBehind[0].trackingNumber}). Ship them together or undo their pick first.`);
+  }
+  
+  return [...new Set(selected)];
+}
+
+// Updated ship order - Only register with BOL.com (labels already created).
+// With orderItemIds only those items are shipped; the rest of the order
+// follows later and the order is partially shipped until then.
+app.post('/api/orders/:orderId/ship', requireAuth(ROLES.PICKER), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { orderItemIds = null } = req.body || {};
+    
+    logActivity('shipping', `Starting BOL.com shipment registration for order ${orderId}`, 'info', req.user.username);
+    
+    // Check if BOL credentials are configured
+    if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
+      return res.status(400).json({
+        success: false,
+        message: 'BOL.com API credentials not configured. Please set CLIENT_ID and CLIENT_SECRET environment variables.'
+      });
+    }
+    
+    // Get order items from picking list
+    // Items that are cancelled or no longer open on BOL.com cannot be registered
+    const orderItems = db.getOrderItems(orderId).filter(isActiveItem);
+    
+    if (orderItems.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    // Items shipped before are left alone; a retry only registers the items
+    // whose registration failed
+    let itemsToShip;
+    try {
+      itemsToShip = selectItemsToShip(orderItems, orderItemIds);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (itemsToShip.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has already been shipped'
+      });
+    }
+    
+    if (shipmentsInFlight.has(orderId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order is already being registered with BOL.com'
+      });
+    }
+    
+    const blocker = shipBlocker(itemsToShip);
+    if (blocker) {
+      logActivity('shipping', `Cannot ship order ${orderId}: ${blocker}`, 'warning', req.user.username);
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ship order. ${blocker}`
+      });
+    }
+    
+    logActivity('shipping', `Registering ${itemsToShip.length} items with BOL.com`, 'info', req.user.username);
+    
+    const { shippedItems, failedItems, error, retryAfter } = await registerShipment(orderId, itemsToShip, req.user.username);
+    
+    // Failed registrations are retried in the background. The order's retry
+    // job is only done when no item of an earlier failed registration is left
+    // (a partial shipment may have left some behind).
+    const failedItemsLeft = db.getOrderItems(orderId)
+      .some(item => isActiveItem(item) && !item.shipped && item.bolShipmentStatus === 'failed');
+    const job = error
+      ? shipmentQueue.enqueue(orderId, { error, retryAfter, username: req.user.username })
+      : failedItemsLeft ? null : shipmentQueue.resolve(orderId);
+    const retryMessage = job && job.status === 'queued' ? ` Retrying automatically at ${new Date(job.nextAttemptAt).toLocaleTimeString('nl-NL')}.` : '';
+    
+    if (shippedItems.length > 0) {
+      // Collect all tracking numbers for response
+      const uniqueTrackingNumbers = [...new Set(shippedItems.map(shipment => shipment.trackAndTrace))];
+      const failedMessage = failedItems.length > 0
+        ? ` ${failedItems.length} items failed to register: ${error}.${retryMessage}`
+        : '';
+      const remainingItems = db.getOrderItems(orderId).filter(item => isActiveItem(item) && !item.shipped);
+      const laterCount = remainingItems.length - failedItems.length;
+      const partialMessage = laterCount > 0 ? ` ${laterCount} items of the order are left to ship later.` : '';
+      
+      logActivity('shipping', `Order ${orderId} ${partialMessage ? 'partially ' : ''}shipped. Registered ${uniqueTrackingNumbers.length} tracking numbers with BOL.com, waiting for confirmation${failedMessage}${partialMessage}`, failedItems.length > 0 ? 'warning' : 'success', req.user.username);
+      
+      res.json({
+        success: true,
+        trackingNumbers: uniqueTrackingNumbers,
+        itemCount: shippedItems.length,
+        failedItemIds: failedItems.map(shipment => shipment.orderItemId),
+        remainingItemCount: laterCount,
+        partiallyShipped: partialMessage !== '',
+        message: `Order ${partialMessage ? 'partially ' : ''}shipped! ${uniqueTrackingNumbers.length} labels registered with BOL.com, waiting for BOL.com to confirm.${failedMessage}${partialMessage}`,
+        labelCreated: true,
+        bolShipmentRegistered: false,
+        bolShipmentStatus: 'pending'
+      });
+    } else {
+      logActivity('shipping', `BOL shipment registration failed: ${error}.${retryMessage}`, 'error', req.user.username);
+      
+      res.status(500).json({
+        success: false,
+        failedItemIds: failedItems.map(shipment => shipment.orderItemId),
+        message: `Failed to register shipment with BOL.com: ${error}. Labels were already created successfully.${retryMessage}`
+      });
+    }
+    
+  } catch (error) {
+    logActivity('shipping', `BOL.com registration error: ${error.message}`, 'error', req.user.username);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Retry a queued shipment job: register the order items whose registration
+// failed. Items that were never shipped (partial shipments) are left alone.
+// The job is done once nothing is left to register.
+async function retryShipmentJob(job) {
+  // Registered by the ship route or auto-ship right now: try again next round
+  if (shipmentsInFlight.has(job.orderId)) {
+    return { skipped: true };
+  }
+  
+  const username = job.createdBy;
+  const itemsToShip = db.getOrderItems(job.orderId)
+    .filter(item => isActiveItem(item) && !item.shipped && item.bolShipmentStatus === 'failed');
+  if (itemsToShip.length === 0) {
+    return { done: true };
+  }
+  
+  const blocker = shipBlocker(itemsToShip);
+  if (blocker) {
+    return { done: false, error: blocker };
+  }
+  
+  const { shippedItems, error, retryAfter } = await registerShipment(job.orderId, itemsToShip, username);
+  if (shippedItems.length > 0) {
+    logActivity('shipping', `Order ${job.orderId}: ${shippedItems.length} items registered with BOL.com on retry ${job.attempts}`, 'success', username);
+  }
+  return { done: !error, error, retryAfter };
+}
+
+let shipmentQueueRunning = false;
+
+async function processShipmentQueue() {
+  if (shipmentQueueRunning) return;
+  if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) return;
+  
+  shipmentQueueRunning = true;
+  try {
+    const results = await shipmentQueue.processDueJobs(retryShipmentJob);
+    results.filter(job => job.status === 'dead').forEach(job => {
+      logActivity('shipping', `Gave up registering order ${job.orderId} with BOL.com after ${job.attempts} attempts: ${job.lastError}`, 'error', job.createdBy);
+    });
+  } catch (error) {
+    console.warn('⚠️ Processing the shipment queue failed:', error.message);
+  } finally {
+    shipmentQueueRunning = false;
+  }
+}
+
+// Confirm or reject pending BOL.com shipment registrations. Shipments are
+// registered asynchronously: BOL.com accepts them with a process status that
+// is checked here until it succeeds (the item is registered and gets BOL.com's
+// shipment ID) or fails (the item goes back to unshipped, flagged for retry).
+let shipmentStatusCheckRunning = false;
+
+async function checkShipmentStatuses() {
+  if (shipmentStatusCheckRunning || !checkShipmentRegistrations) return null;
+  if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) return null;
+  
+  const pendingShipments = db.getPendingShipments();
+  const lookupSince = new Date(Date.now() - SHIPMENT_ID_LOOKUP_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const shipmentsWithoutId = lookupShipmentIds ? db.getShipmentsWithoutId(lookupSince) : [];
+  if (pendingShipments.length === 0 && shipmentsWithoutId.length === 0) return { confirmed: 0, failed: 0, pending: 0 };
+  
+  shipmentStatusCheckRunning = true;
+  try {
+    // Items in one parcel share a single registration
+    const registrations = new Map();
+    pendingShipments.forEach(shipment => {
+      if (!registrations.has(shipment.processStatusId)) {
+        registrations.set(shipment.processStatusId, {
+          processStatusId: shipment.processStatusId,
+          orderId: shipment.orderId,
+          orderItemIds: [],
+          shipments: []
+        });
+      }
+      const registration = registrations.get(shipment.processStatusId);
+      registration.orderItemIds.push(shipment.orderItemId);
+      registration.shipments.push(shipment);
+    });
+    
+    const results = registrations.size > 0 ? await checkShipmentRegistrations(Array.from(registrations.values())) : [];
+    const counts = { confirmed: 0, failed: 0, pending: 0 };
+    
+    db.transaction(() => {
+      results.forEach(result => {
+        counts[result.status] += result.shipments.length;
+        
+        result.shipments.forEach(shipment => {
+          const shipmentId = result.shipmentIds ? result.shipmentIds[shipment.orderItemId] || null : null;
+          db.updateShipmentStatus(shipment.id, { status: result.status, shipmentId, error: result.error });
+          
+          if (result.status === 'confirmed') {
+            db.updatePickingItem(shipment.orderId, shipment.orderItemId, {
+              bolShipmentRegistered: true,
+              bolShipmentStatus: 'confirmed',
+              bolShipmentId: shipmentId,
+              bolShipmentError: null
+            });
+          } else if (result.status === 'failed') {
+            db.updatePickingItem(shipment.orderId, shipment.orderItemId, {
+              shipped: false,
+              shippedAt: null,
+              shippedBy: null,
+              bolShipmentRegistered: false,
+              bolShipmentStatus: 'failed',
+              bolShipmentError: result.error
+            });
+          }
+        });
+      });
+    });
+    
+    results.filter(result => result.status === 'failed').forEach(result => {
+      const username = result.shipments[0].createdBy;
+      const job = shipmentQueue.enqueue(result.orderId, { error: result.error, username });
+      logActivity('shipping', `BOL.com rejected the shipment of order ${result.orderId} (items ${result.orderItemIds.join(', ')}): ${result.error}. Retrying automatically at ${new Date(job.nextAttemptAt).toLocaleTimeString('nl-NL')}.`, 'error', username);
+    });
+    if (counts.confirmed > 0) {
+      logActivity('shipping', `BOL.com confirmed ${counts.confirmed} shipped items`, 'success');
+    }
+    
+    // Confirmed earlier, but BOL.com's shipment ID could not be looked up then
+    if (shipmentsWithoutId.length > 0) {
+      await fillShipmentIds(shipmentsWithoutId);
+    }
+    
+    return counts;
+  } catch (error) {
+    console.warn('⚠️ Checking BOL.com shipment statuses failed:', error.message);
+    return null;
+  } finally {
+    shipmentStatusCheckRunning = false;
+  }
+}
+
+// Store BOL.com's shipment IDs of confirmed shipments that did not get one
+async function fillShipmentIds(shipments) {
+  const lookups = new Map();
+  shipments.forEach(shipment => {
+    if (!lookups.has(shipment.orderId)) {
+      lookups.set(shipment.orderId, { orderId: shipment.orderId, orderItemIds: [], shipments: [] });
+    }
+    const lookup = lookups.get(shipment.orderId);
+    lookup.orderItemIds.push(shipment.orderItemId);
+    lookup.shipments.push(shipment);
+  });
+  
+  const results = await lookupShipmentIds(Array.from(lookups.values()));
+  
+  db.transaction(() => {
+    results.forEach(result => {
+      result.shipments.forEach(shipment => {
+        const shipmentId = result.shipmentIds[shipment.orderItemId];
+        if (!shipmentId) return;
+        
+        db.updateShipmentStatus(shipment.id, { status: 'confirmed', shipmentId });
+        const item = db.findPickingItem(shipment.orderId, shipment.orderItemId);
+        if (item && item.bolShipmentStatus === 'confirmed' && !item.bolShipmentId) {
+          db.updatePickingItem(shipment.orderId, shipment.orderItemId, { bolShipmentId: shipmentId });
+        }
+      });
+    });
+  });
+}
+
+// Cancellations are processed asynchronously too: the process status is
+// checked here until BOL.com confirms the cancellation or rejects it (the item
+// stays open; its voided label has to be recreated).
+let cancellationCheckRunning = false;
+
+async function checkCancellationStatuses() {
+  if (cancellationCheckRunning || !checkCancellations) return null;
+  if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) return null;
+  
+  const pendingItems = db.getPendingCancellations();
+  if (pendingItems.length === 0) return { confirmed: 0, failed: 0, pending: 0 };
+  
+  cancellationCheckRunning = true;
+  try {
+    const results = await checkCancellations(pendingItems.map(item => ({
+      processStatusId: item.cancellationProcessStatusId,
+      orderId: item.MessageID,
+      orderItemId: item.OrderItemID
+    })));
+    const counts = { confirmed: 0, failed: 0, pending: 0 };
+    const now = new Date().toISOString();
+    
+    db.transaction(() => {
+      results.forEach(result => {
+        counts[result.status]++;
+        
+        if (result.status === 'confirmed') {
+          db.updatePickingItem(result.orderId, result.orderItemId, {
+            cancellationConfirmed: true,
+            cancellationConfirmedAt: now,
+            cancellationStatus: 'confirmed',
+            cancellationError: null
+          });
+        } else if (result.status === 'failed') {
+          db.updatePickingItem(result.orderId, result.orderItemId, {
+            cancellationStatus: 'failed',
+            cancellationError: result.error
+          });
+        }
+      });
+    });
+    
+    results.filter(result => result.status === 'failed').forEach(result => {
+      logActivity('cancellation', `BOL.com rejected the cancellation of item ${result.orderItemId} in order ${result.orderId}: ${result.error}`, 'error');
+    });
+    if (counts.confirmed > 0) {
+      logActivity('cancellation', `BOL.com confirmed ${counts.confirmed} cancellations`, 'success');
+    }
+    
+    return counts;
+  } catch (error) {
+    console.warn('⚠️ Checking BOL.com cancellation statuses failed:', error.message);
+    return null;
+  } finally {
+    cancellationCheckRunning = false;
+  }
+}
+
+// Check pending BOL.com shipment registrations now instead of waiting for
+// the next scheduled check
+app.post('/api/shipments/check-status', requireAuth(ROLES.PICKER), async (req, res) => {
+  try {
+    if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
+      return res.status(400).json({
+        success: false,
+        message: 'BOL.com API credentials not configured. Please set CLIENT_ID and CLIENT_SECRET environment variables.'
+      });
+    }
+    
+    const counts = await checkShipmentStatuses();
+    if (!counts) {
+      return res.status(409).json({
+        success: false,
+        message: 'A shipment status check is already running or failed. Try again in a moment.'
+      });
+    }
     
     res.json({
       success: true,
-      message: `Item picked as ${packageType} and label created!`,
-      trackingNumber: trackingNumber,
-      labelFilename: labelFilename
+      ...counts,
+      message: `${counts.confirmed} confirmed, ${counts.failed} failed, ${counts.pending} still pending`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
     });
+  }
+});
+
+// Shipment retry queue: failed BOL.com registrations, with the dead-letter
+// list of jobs that were given up on
+app.get('/api/shipment-jobs', requireAuth(ROLES.ADMIN), (req, res) => {
+  try {
+    const jobs = shipmentQueue.listJobs(req.query.status || null);
     
+    res.json({
+      success: true,
+      jobs,
+      maxAttempts: shipmentQueue.QUEUE_CONFIG.maxAttempts
+    });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    detailedLog('picking', `Error in pick process after ${duration}ms: ${error.message}`, {
-      orderId,
-      itemId,
-      productCode,
-      error: {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
-      },
-      duration: `${duration}ms`
-    }, 'error');
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/shipment-jobs/:id/retry', requireAuth(ROLES.ADMIN), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  
+  try {
+    shipmentQueue.retryJob(id);
+    await processShipmentQueue();
     
-    res.status(500).json({
+    const job = db.getShipmentJob(id);
+    logActivity('shipping', `Shipment job ${id} for order ${job.orderId} retried: ${job.status}`, job.status === 'done' ? 'success' : 'warning', req.user.username);
+    
+    res.json({
+      success: true,
+      job,
+      message: job.status === 'done'
+        ? `Order ${job.orderId} registered with BOL.com`
+        : `Order ${job.orderId} could not be registered yet: ${job.lastError}`
+    });
+  } catch (error) {
+    res.status(db.getShipmentJob(id) ? 409 : 404).json({
       success: false,
       message: error.message
     });
   }
 });
 
-// Updated ship order - Only register with BOL.com (labels already created)
-app.post('/api/orders/:orderId/ship', requireAuth, async (req, res) => {
+app.post('/api/shipment-jobs/:id/discard', requireAuth(ROLES.ADMIN), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  
   try {
-    const { orderId } = req.params;
+    const job = shipmentQueue.discardJob(id);
+    logActivity('shipping', `Shipment job ${id} for order ${job.orderId} discarded`, 'warning', req.user.username);
     
-    logActivity('shipping', `Starting BOL.com shipment registration for order ${orderId}`, 'info');
+    res.json({
+      success: true,
+      job,
+      message: `Shipment job ${id} discarded`
+    });
+  } catch (error) {
+    res.status(db.getShipmentJob(id) ? 409 : 404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Confirm a customer's cancellation request with BOL.com. The item's label is
+// voided right away; the cancellation itself is pending until the status
+// check sees that BOL.com processed it.
+app.post('/api/orders/:orderId/items/:itemId/cancel', requireAuth(ROLES.PICKER), async (req, res) => {
+  const { orderId, itemId } = req.params;
+  const { reasonCode = 'REQUESTED_BY_CUSTOMER' } = req.body;
+  
+  try {
+    logActivity('cancellation', `Confirming cancellation for item ${itemId} in order ${orderId}`, 'info', req.user.username);
     
-    // Check if BOL credentials are configured
     if (!process.env.CLIENT_ID || !process.env.CLIENT_SECRET) {
       return res.status(400).json({
         success: false,
@@ -733,84 +2695,157 @@ app.post('/api/orders/:orderId/ship', requireAuth, async (req, res) => {
       });
     }
     
-    // Get order items from picking list
-    const orderItems = currentPickingList.filter(item => item.MessageID === orderId);
+    const item = db.findPickingItem(orderId, itemId);
     
-    if (orderItems.length === 0) {
+    if (!item) {
       return res.status(404).json({
         success: false,
-        message: 'Order not found'
+        message: 'Item not found'
       });
     }
     
-    // Check if all items are picked
-    const unpickedItems = orderItems.filter(item => !item.picked);
-    if (unpickedItems.length > 0) {
-      return res.status(400).json({
+    if (item.shipped) {
+      return res.status(409).json({
         success: false,
-        message: `Cannot ship order. ${unpickedItems.length} items not yet picked.`
+        message: 'Item has already been shipped and can no longer be cancelled'
       });
     }
     
-    // Check if all items have labels created
-    const itemsWithoutLabels = orderItems.filter(item => !item.trackingNumber);
-    if (itemsWithoutLabels.length > 0) {
-      return res.status(400).json({
+    if (item.cancellationConfirmed) {
+      return res.status(409).json({
         success: false,
-        message: `Cannot ship order. ${itemsWithoutLabels.length} items don't have labels created.`
+        message: 'Cancellation has already been confirmed'
       });
     }
     
-    // Prepare order items for BOL shipment creation (using existing tracking numbers)
-    const bolOrderItems = orderItems.map(item => ({
-      orderItemId: item.OrderItemID,
-      orderId: orderId,
-      trackAndTrace: item.trackingNumber, // Use the tracking number from label creation
-      firstName: item.FirstName,
-      lastName: item.LastName
-    }));
+    if (item.cancellationStatus === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Cancellation is already waiting for BOL.com'
+      });
+    }
     
-    logActivity('shipping', `Registering ${bolOrderItems.length} items with BOL.com`, 'info');
+    // The label being created would stay valid for the cancelled item
+    if (orderLabelsInFlight.has(orderId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The order label is being created, try again in a moment'
+      });
+    }
     
-    // Create BOL.com shipment using existing tracking numbers
-    const shipmentResult = await createShipments(bolOrderItems);
+    if (labelOf(item).labelItems.some(other => other.shipped)) {
+      return res.status(409).json({
+        success: false,
+        message: 'The label of this item has already been shipped with other items'
+      });
+    }
     
-    if (shipmentResult.success) {
-      // Update picking list items as shipped
-      orderItems.forEach(item => {
-        item.shipped = true;
-        item.shippedAt = new Date().toISOString();
-        item.bolShipmentRegistered = true;
+    const result = await cancelOrderItems([{ orderItemId: item.OrderItemID, reasonCode }]);
+    
+    if (!result.success) {
+      logActivity('cancellation', `Cancellation of item ${itemId} in order ${orderId} failed: ${result.message}`, 'error', req.user.username);
+      return res.status(500).json({
+        success: false,
+        message: result.message
       });
-      
-      await saveData();
-      
-      // Collect all tracking numbers for response
-      const trackingNumbers = orderItems.map(item => item.trackingNumber);
-      const uniqueTrackingNumbers = [...new Set(trackingNumbers)];
-      
-      logActivity('shipping', `Order ${orderId} shipped successfully. Registered ${uniqueTrackingNumbers.length} tracking numbers with BOL.com`, 'success');
-      
-      res.json({
-        success: true,
-        trackingNumbers: uniqueTrackingNumbers,
-        itemCount: orderItems.length,
-        message: `Order shipped successfully! ${uniqueTrackingNumbers.length} labels already created and registered with BOL.com`,
-        labelCreated: true,
-        bolShipmentRegistered: true
+    }
+    
+    // Re-read the item: it may have been labeled while BOL.com was called
+    const current = db.findPickingItem(orderId, item.OrderItemID) || item;
+    const label = labelOf(current);
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      voidLabel(label, { reason: 'Item cancelled', voidedAt: now, voidedBy: req.user.username });
+      db.updatePickingItem(item.MessageID, item.OrderItemID, {
+        cancellationStatus: 'pending',
+        cancellationProcessStatusId: result.processStatusId || null,
+        cancellationError: null
       });
-    } else {
-      logActivity('shipping', `BOL shipment registration failed: ${shipmentResult.message}`, 'error');
+    });
+    await archiveLabelFiles(label.labels);
+    
+    const voidedBarcodes = label.labels.map(voided => voided.trackingNumber);
+    const relabelItemIds = label.labelItems.filter(other => other.OrderItemID !== item.OrderItemID).map(other => other.OrderItemID);
+    if (voidedBarcodes.length > 0) {
+      logActivity('cancellation', `Item ${itemId} in order ${orderId} cancelled after its label was created, voided label ${voidedBarcodes.join(', ')}`, 'warning', req.user.username);
+    }
+    logActivity('cancellation', `Cancellation of item ${itemId} in order ${orderId} sent to BOL.com (${reasonCode})`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Cancellation sent to BOL.com, waiting for confirmation.${voidedBarcodes.length > 0 ? ` Label ${voidedBarcodes.join(', ')} voided, do not use it.` : ''}${relabelItemIds.length > 0 ? ` ${relabelItemIds.length} other item${relabelItemIds.length === 1 ? '' : 's'} need${relabelItemIds.length === 1 ? 's' : ''} a new label.` : ''}`,
+      processStatusId: result.processStatusId,
+      cancellationStatus: 'pending',
+      voidedBarcodes,
+      relabelItemIds
+    });
+    
+  } catch (error) {
+    logActivity('cancellation', `Cancellation error: ${error.message}`, 'error', req.user.username);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Download the labels of the given orders (comma separated orderIds) or of
+// everything labeled today as one PDF. layout=a4-4up puts four labels on each A4 sheet.
+app.get('/api/labels/merged', requireAuth(ROLES.PICKER), async (req, res) => {
+  try {
+    const { layout = 'single' } = req.query;
+    const orderIds = req.query.orderIds
+      ? String(req.query.orderIds).split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+    
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+    
+    const labels = db.getLabels(orderIds ? { orderIds } : { since: startOfToday.toISOString() });
+    
+    // One file per tracking number, skipping labels of cancelled items
+    const labelsDir = path.join(__dirname, 'uploads', 'labels');
+    const seen = new Set();
+    const filePaths = [];
+    labels.forEach(label => {
+      if (!label.labelFilename || seen.has(label.trackingNumber)) return;
+      const item = label.orderItemId ? db.findPickingItem(label.orderId, label.orderItemId) : null;
+      if (item && item.cancellationConfirmed) return;
       
-      res.status(500).json({
+      seen.add(label.trackingNumber);
+      filePaths.push(path.join(labelsDir, path.basename(label.labelFilename)));
+    });
+    
+    if (filePaths.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: orderIds ? 'No labels found for the selected orders' : 'No labels created today'
+      });
+    }
+    
+    const { pdf, labelPages, missing } = await mergeLabelPdfs(filePaths, { layout });
+    
+    if (labelPages === 0) {
+      return res.status(404).json({
         success: false,
-        message: `Failed to register shipment with BOL.com: ${shipmentResult.message}. Labels were already created successfully.`
+        message: 'None of the label files could be read'
       });
     }
     
+    if (missing.length > 0) {
+      logActivity('labels', `Merged label PDF is missing ${missing.length} label files: ${missing.map(file => path.basename(file)).join(', ')}`, 'warning', req.user.username);
+    }
+    logActivity('labels', `Merged ${filePaths.length - missing.length} labels into one PDF (${layout})`, 'success', req.user.username);
+    
+    const filename = `labels_${new Date().toISOString().split('T')[0]}_${layout}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Labels-Missing', String(missing.length));
+    res.send(pdf);
+    
   } catch (error) {
-    logActivity('shipping', `BOL.com registration error: ${error.message}`, 'error');
-    res.status(500).json({
+    logActivity('labels', `Error merging labels: ${error.message}`, 'error', req.user.username);
+    res.status(error.message.startsWith('Invalid layout') ? 400 : 500).json({
       success: false,
       message: error.message
     });
@@ -818,7 +2853,7 @@ app.post('/api/orders/:orderId/ship', requireAuth, async (req, res) => {
 });
 
 // FIXED: Download individual item label - searches by tracking code only
-app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (req, res) => {
+app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth(ROLES.PICKER), async (req, res) => {
   try {
     const { orderId, itemId, trackingCode } = req.params;
     
@@ -826,7 +2861,7 @@ app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (r
       orderId,
       itemId,
       trackingCode
-    }, 'debug');
+    }, 'debug', req.user.username);
     
     // Look for label file in uploads/labels directory
     const labelsDir = path.join(__dirname, 'uploads', 'labels');
@@ -837,7 +2872,7 @@ app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (r
       detailedLog('labels', `Found ${files.length} files in labels directory`, {
         files: files.slice(0, 10), // Show first 10 files
         trackingCodeSearch: trackingCode
-      }, 'debug');
+      }, 'debug', req.user.username);
       
       // FIXED: Look for file that matches the tracking code (which is how files are actually saved)
       // The file is saved as just "trackingCode.pdf", so search for that pattern
@@ -852,7 +2887,7 @@ app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (r
           expectedFilename: `${trackingCode}.pdf`,
           availableFiles: files.filter(f => f.endsWith('.pdf')),
           availableTrackingCodes: files.filter(f => f.endsWith('.pdf')).map(f => f.replace('.pdf', ''))
-        }, 'warning');
+        }, 'warning', req.user.username);
         
         return res.status(404).json({
           success: false,
@@ -879,14 +2914,14 @@ app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (r
         orderId,
         itemId,
         trackingCode
-      }, 'success');
+      }, 'success', req.user.username);
       
     } catch (error) {
       detailedLog('labels', 'Error accessing label file', {
         error: error.message,
         labelsDir,
         trackingCode
-      }, 'error');
+      }, 'error', req.user.username);
       
       res.status(404).json({
         success: false,
@@ -898,7 +2933,7 @@ app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (r
     detailedLog('labels', `Error downloading item label: ${error.message}`, {
       error: error.message,
       stack: error.stack
-    }, 'error');
+    }, 'error', req.user.username);
     
     res.status(500).json({
       success: false,
@@ -908,7 +2943,7 @@ app.get('/api/labels/item/:orderId/:itemId/:trackingCode', requireAuth, async (r
 });
 
 // FIXED: Legacy label download endpoint (also fixed for backward compatibility)
-app.get('/api/labels/:orderId/:trackingCode', requireAuth, async (req, res) => {
+app.get('/api/labels/:orderId/:trackingCode', requireAuth(ROLES.PICKER), async (req, res) => {
   try {
     const { orderId, trackingCode } = req.params;
     
@@ -944,7 +2979,7 @@ app.get('/api/labels/:orderId/:trackingCode', requireAuth, async (req, res) => {
       const fileBuffer = await fs.readFile(labelPath);
       res.send(fileBuffer);
       
-      logActivity('labels', `Label downloaded: ${labelFile}`, 'success');
+      logActivity('labels', `Label downloaded: ${labelFile}`, 'success', req.user.username);
       
     } catch (error) {
       res.status(404).json({
@@ -954,7 +2989,7 @@ app.get('/api/labels/:orderId/:trackingCode', requireAuth, async (req, res) => {
     }
     
   } catch (error) {
-    logActivity('labels', `Error downloading label: ${error.message}`, 'error');
+    logActivity('labels', `Error downloading label: ${error.message}`, 'error', req.user.username);
     res.status(500).json({
       success: false,
       message: error.message
@@ -963,7 +2998,7 @@ app.get('/api/labels/:orderId/:trackingCode', requireAuth, async (req, res) => {
 });
 
 // NEW: Debug endpoint to list all available labels
-app.get('/api/debug/labels', requireAuth, async (req, res) => {
+app.get('/api/debug/labels', requireAuth(ROLES.ADMIN), async (req, res) => {
   try {
     const labelsDir = path.join(__dirname, 'uploads', 'labels');
     
@@ -1036,9 +3071,9 @@ app.get('/api/status', (req, res) => {
   res.json({
     status: 'running',
     timestamp: new Date().toISOString(),
-    currentOrders: currentOrders.length,
-    pickingItems: currentPickingList.length,
-    activeSessions: sessions.size,
+    currentOrders: db.countOrders(),
+    pickingItems: db.countPickingItems(),
+    activeSessions: db.countSessions(),
     environment: process.env.NODE_ENV || 'development',
     bolConfigured: bolConfigured,
     postnlConfigured: postnlConfigured,
@@ -1053,13 +3088,172 @@ app.get('/api/status', (req, res) => {
 });
 
 // Get recent activities
-app.get('/api/activities', requireAuth, (req, res) => {
+app.get('/api/activities', requireAuth(), (req, res) => {
   res.json({
     success: true,
-    activities: activityLog.slice(0, 20)
+    activities: db.getActivities(20)
   });
 });
 
+// Product catalog: title, bin location, weight (grams per unit), dimensions (mm)
+// and image by EAN
+app.get('/api/catalog', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    res.json({ success: true, products: catalog.listProducts() });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Import products from a CSV or XLSX file sent as base64. Runs as a dry run
+// (preview of adds, changes and errors) unless dryRun is false.
+app.post('/api/catalog/import', requireAuth(ROLES.ADMIN), async (req, res) => {
+  const { filename, content, mapping, dryRun = true } = req.body;
+  
+  try {
+    const result = await importCatalog({
+      filename,
+      content,
+      mapping: mapping || {},
+      dryRun: dryRun !== false,
+      username: req.user.username
+    });
+    
+    const message = result.dryRun
+      ? `Preview: ${result.added} to add, ${result.changed} to change, ${result.unchanged} unchanged, ${result.errors} errors`
+      : `Catalog imported: ${result.added} added, ${result.changed} changed, ${result.unchanged} unchanged, ${result.errors} errors`;
+    
+    if (!result.dryRun) {
+      logActivity('catalog', `${message} (${filename})`, result.errors > 0 ? 'warning' : 'success', req.user.username);
+    }
+    
+    res.json({
+      success: true,
+      message,
+      ...result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/catalog/export', requireAuth(ROLES.PICKER), async (req, res) => {
+  try {
+    const file = await exportCatalog(req.query.format || 'csv');
+    
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.buffer);
+    
+    logActivity('catalog', `Catalog exported (${file.count} products, ${file.filename})`, 'success', req.user.username);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/catalog/:ean', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    const product = catalog.getProduct(req.params.ean);
+    
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `No catalog entry for EAN ${req.params.ean}`
+      });
+    }
+    
+    res.json({ success: true, product });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/catalog', requireAuth(ROLES.ADMIN), (req, res) => {
+  try {
+    const product = catalog.createProduct(req.body, req.user.username);
+    logActivity('catalog', `Product ${product.ean} added to the catalog`, 'success', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Product ${product.ean} added`,
+      product
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Pickers may update products too, e.g. to correct a bin location on the floor
+app.put('/api/catalog/:ean', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    const product = catalog.saveProduct(req.params.ean, req.body, req.user.username);
+    logActivity('catalog', `Catalog entry for EAN ${product.ean} updated`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Product ${product.ean} saved`,
+      product
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/catalog/:ean', requireAuth(ROLES.ADMIN), (req, res) => {
+  try {
+    catalog.deleteProduct(req.params.ean);
+    logActivity('catalog', `Product ${req.params.ean} removed from the catalog`, 'info', req.user.username);
+    
+    res.json({
+      success: true,
+      message: `Product ${req.params.ean} removed`
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Per-user productivity over the last N days (default 1, max 90)
+app.get('/api/productivity', requireAuth(ROLES.PICKER), (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    
+    res.json({
+      success: true,
+      days,
+      since,
+      users: db.getUserProductivity(since)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -1069,7 +3263,7 @@ app.get('/api/health', (req, res) => {
 const axios = require('axios');
 
 // Test API credentials endpoint
-app.get('/api/test-credentials', requireAuth, async (req, res) => {
+app.get('/api/test-credentials', requireAuth(ROLES.ADMIN), async (req, res) => {
   const results = {
     timestamp: new Date().toISOString(),
     tests: {}
@@ -1081,29 +3275,22 @@ app.get('/api/test-credentials', requireAuth, async (req, res) => {
   
   if (clientId && clientSecret && !clientId.includes('your_bol')) {
     try {
-      const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-      const response = await axios.post(
-        'https://login.bol.com/token?grant_type=client_credentials',
-        null,
-        {
-          headers: {
-            'Authorization': `Basic ${credentials}`,
-            'Accept': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
-      
+      if (!bolClient) {
+        throw new Error('BOL client not available');
+      }
+      // Log in again instead of trusting the cached token
+      const accessToken = await bolClient.getAccessToken({ force: true });
+
       results.tests.bol = {
         status: 'success',
         message: 'BOL.com API credentials are valid',
-        hasToken: !!response.data.access_token
+        hasToken: !!accessToken
       };
     } catch (error) {
       results.tests.bol = {
         status: 'error',
         message: 'BOL.com API authentication failed',
-        error: error.response?.data?.error_description || error.message
+        error: error.message
       };
     }
   } else {
@@ -1214,7 +3401,7 @@ app.get('/api/test-credentials', requireAuth, async (req, res) => {
 });
 
 // Debug endpoint for PostNL configuration
-app.get('/api/debug/postnl-config', requireAuth, (req, res) => {
+app.get('/api/debug/postnl-config', requireAuth(ROLES.ADMIN), (req, res) => {
   const envVars = [
     'API_KEY', 'API_URL', 'CUSTOMER_NUMBER', 'CUSTOMER_CODE', 'COLLECTION_LOCATION',
     'SENDER_NAME', 'SENDER_EMAIL', 'COMPANY_NAME', 'COMPANY_STREET', 'COMPANY_HOUSENR',
@@ -1266,7 +3453,6 @@ app.listen(PORT, async () => {
   console.log(`${'='.repeat(50)}`);
   console.log(`📡 Port: ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔐 Login: ${process.env.ADMIN_USERNAME || 'admin'} / ${process.env.ADMIN_PASSWORD || 'changeme123'}`);
   
   // Check API configuration status
   const clientId = process.env.CLIENT_ID;
@@ -1294,9 +3480,11 @@ app.listen(PORT, async () => {
   // Setup directories and load data
   await setupDirectories();
   await loadData();
+  users.ensureAdminUser();
   
-  console.log(`📦 Orders loaded: ${currentOrders.length}`);
-  console.log(`📋 Picking items: ${currentPickingList.length}`);
+  console.log(`🔐 User accounts: ${users.listUsers().length}`);
+  console.log(`📦 Orders loaded: ${db.countOrders()}`);
+  console.log(`📋 Picking items: ${db.countPickingItems()}`);
   console.log(`\n🔗 Access: http://localhost:${PORT}`);
   console.log(`${'='.repeat(50)}\n`);
   
@@ -1304,11 +3492,17 @@ app.listen(PORT, async () => {
   
   // Clean up sessions periodically
   setInterval(() => {
-    const now = Date.now();
-    for (const [sessionId, session] of sessions.entries()) {
-      if (now - session.lastAccessed > 8 * 60 * 60 * 1000) { // 8 hours
-        sessions.delete(sessionId);
-      }
-    }
+    db.deleteExpiredSessions(SESSION_MAX_AGE);
   }, 60 * 60 * 1000); // Check every hour
+  
+  // Confirm pending BOL.com shipment registrations
+  checkShipmentStatuses();
+  setInterval(checkShipmentStatuses, SHIPMENT_STATUS_INTERVAL);
+  
+  // Retry failed BOL.com shipment registrations
+  setInterval(processShipmentQueue, SHIPMENT_STATUS_INTERVAL);
+  
+  // Confirm pending BOL.com cancellations
+  checkCancellationStatuses();
+  setInterval(checkCancellationStatuses, SHIPMENT_STATUS_INTERVAL);
 });
@@ -1,6 +1,41 @@
 // src/App.js - Main React application component with enhanced label feedback and price update functionality
-import React, { useState, useEffect } from 'react';
-import { Package, Truck, CheckCircle, Clock, User, LogOut, RefreshCw, MapPin, FileText, Download, Loader, DollarSign, TrendingUp, BarChart3 } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Package, Truck, CheckCircle, Clock, User, LogOut, RefreshCw, MapPin, FileText, Download, Loader, DollarSign, TrendingUp, BarChart3, Users, UserPlus, Activity, Printer, Boxes, Search, Pencil, Trash2, Upload, Footprints, ScanLine, XCircle, Inbox, RotateCcw } from 'lucide-react';
+
+// Heaviest parcel PostNL accepts as mailbox package (2928), in grams
+const MAILBOX_MAX_WEIGHT = 2000;
+
+// Empty product form for the catalog screen
+const EMPTY_PRODUCT = { ean: '', title: '', location: '', weight: '', length: '', width: '', height: '', imageUrl: '' };
+
+// Catalog fields that can be mapped to a column of an imported file
+const IMPORT_FIELDS = ['ean', 'title', 'location', 'weight', 'length', 'width', 'height', 'imageUrl'];
+
+// Scanned barcode vs. EAN, ignoring leading zeros (GTIN-14 / UPC-A scans)
+const isSameEan = (scanned, ean) => !!ean && String(scanned).replace(/^0+/, '') === String(ean).replace(/^0+/, '');
+
+// Scan feedback beep: short and high when OK, long and low on errors
+const playBeep = (error = false) => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = error ? 'square' : 'sine';
+    oscillator.frequency.value = error ? 220 : 880;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.onended = () => context.close();
+    oscillator.start();
+    oscillator.stop(context.currentTime + (error ? 0.5 : 0.1));
+  } catch (error) {
+    // No audio available; the visual feedback still shows
+  }
+};
+
+// Estimated weight of an item line in grams, if known
+const estimatedItemWeight = (item) => item.weight || (item.catalogWeight ? item.catalogWeight * (item.quantity || 1) : null);
 
 const App = () => {
   const [isLoggedIn, setIsLoggedIn] = useState(false);
@@ -10,10 +45,19 @@ const App = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [sessionId, setSessionId] = useState('');
+  const [currentUser, setCurrentUser] = useState(null);
   const [showProductCodeModal, setShowProductCodeModal] = useState(false);
   const [selectedItem, setSelectedItem] = useState(null);
   const [labelCreationStatus, setLabelCreationStatus] = useState({}); // Track label creation per item
   const [showLabelAnimation, setShowLabelAnimation] = useState({}); // Track animations per item
+  const [createLabelOnPick, setCreateLabelOnPick] = useState(true);
+  const [pickWeight, setPickWeight] = useState('');
+  const [saveProductWeight, setSaveProductWeight] = useState(false);
+  const [packingMode, setPackingMode] = useState('item');
+  const [maxParcelsPerOrder, setMaxParcelsPerOrder] = useState(10);
+  const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+  const [labelBatchRunning, setLabelBatchRunning] = useState(false);
+  const [labelBatchResults, setLabelBatchResults] = useState(null);
 
   // Price update functionality state
   const [activeTab, setActiveTab] = useState('orders');
@@ -21,12 +65,103 @@ const App = () => {
   const [priceReports, setPriceReports] = useState([]);
   const [updatingPrices, setUpdatingPrices] = useState(false);
 
+  // User management state (admin only)
+  const [userAccounts, setUserAccounts] = useState([]);
+  const [availableRoles, setAvailableRoles] = useState([]);
+  const [autoShipDefault, setAutoShipDefault] = useState(false);
+  const [newUser, setNewUser] = useState({ username: '', password: '', role: 'picker' });
+
+  // Productivity state
+  const [productivity, setProductivity] = useState([]);
+  const [productivityDays, setProductivityDays] = useState(1);
+
+  // Product catalog state
+  const [catalogProducts, setCatalogProducts] = useState([]);
+  const [catalogFilter, setCatalogFilter] = useState('');
+  const [newProduct, setNewProduct] = useState(EMPTY_PRODUCT);
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [catalogImportFile, setCatalogImportFile] = useState(null);
+  const [catalogImportMapping, setCatalogImportMapping] = useState({});
+  const [catalogImportResult, setCatalogImportResult] = useState(null);
+
+  // Pick run state
+  const [pickRun, setPickRun] = useState(null);
+  const [pickRunPicked, setPickRunPicked] = useState([]);
+  const [pickRunBusy, setPickRunBusy] = useState(null);
+  const [pickRunWaveId, setPickRunWaveId] = useState('');
+
+  // Scan mode state
+  const [scanOrderId, setScanOrderId] = useState(null);
+  const [scanInput, setScanInput] = useState('');
+  const [scanFeedback, setScanFeedback] = useState(null);
+  const [scanLocation, setScanLocation] = useState(null);
+  const [scanBusy, setScanBusy] = useState(false);
+  const scanInputRef = useRef(null);
+
+  // Wave state
+  const [waveList, setWaveList] = useState([]);
+  const [newWave, setNewWave] = useState({ latestShipDate: new Date().toISOString().split('T')[0], maxItems: 30, assignedTo: '' });
+  const [orderFilter, setOrderFilter] = useState('all');
+
+  // Shipment retry queue state (admin only)
+  const [shipmentJobs, setShipmentJobs] = useState([]);
+  const [shipmentJobFilter, setShipmentJobFilter] = useState('');
+  const [shipmentMaxAttempts, setShipmentMaxAttempts] = useState(0);
+
+  // Role checks, mirroring requireAuth() in server.js
+  const isAdmin = currentUser?.role === 'admin';
+  const canPick = isAdmin || currentUser?.role === 'picker';
+  const canManagePrices = isAdmin || currentUser?.role === 'pricing_manager';
+
   // Load orders from API
   useEffect(() => {
-    if (isLoggedIn) {
+    if (isLoggedIn && canPick) {
       loadOrders();
     }
-  }, [isLoggedIn]);
+  }, [isLoggedIn, canPick]);
+
+  // Load user accounts when users tab is active (admins also assign waves to them)
+  useEffect(() => {
+    if (isLoggedIn && (activeTab === 'users' || (activeTab === 'orders' && isAdmin))) {
+      loadUsers();
+    }
+  }, [isLoggedIn, isAdmin, activeTab]);
+
+  // Load the shipment retry queue when its tab is active
+  useEffect(() => {
+    if (isLoggedIn && isAdmin && activeTab === 'queue') {
+      loadShipmentJobs();
+    }
+  }, [isLoggedIn, isAdmin, activeTab, shipmentJobFilter]);
+
+  // Load productivity when productivity tab is active
+  useEffect(() => {
+    if (isLoggedIn && activeTab === 'productivity') {
+      loadProductivity();
+    }
+  }, [isLoggedIn, activeTab, productivityDays]);
+
+  // Load waves with the orders; the scan screen uses them to pick the next order
+  useEffect(() => {
+    if (isLoggedIn && canPick && (activeTab === 'orders' || activeTab === 'scan')) {
+      loadWaves();
+    }
+  }, [isLoggedIn, canPick, activeTab, orders]);
+
+  // Load the pick run when pick run tab is active
+  useEffect(() => {
+    if (isLoggedIn && activeTab === 'pickrun') {
+      loadPickRun();
+      loadWaves();
+    }
+  }, [isLoggedIn, activeTab, pickRunWaveId]);
+
+  // Load the product catalog when catalog tab is active
+  useEffect(() => {
+    if (isLoggedIn && activeTab === 'catalog') {
+      loadCatalog();
+    }
+  }, [isLoggedIn, activeTab]);
 
   // Load price reports when price tab is active
   useEffect(() => {
@@ -50,6 +185,8 @@ const App = () => {
       const result = await response.json();
       
       if (result.success) {
+        setCurrentUser(result.user);
+        setActiveTab(result.user?.role === 'pricing_manager' ? 'prices' : 'orders');
         setIsLoggedIn(true);
         setSessionId(result.sessionId);
         setMessage('Login successful!');
@@ -81,9 +218,18 @@ const App = () => {
     setPassword('');
     setMessage('');
     setSessionId('');
+    setCurrentUser(null);
+    setUserAccounts([]);
+    setProductivity([]);
+    setCatalogProducts([]);
+    setEditingProduct(null);
+    setCatalogImportFile(null);
+    setCatalogImportResult(null);
     setOrders([]);
     setLabelCreationStatus({});
     setShowLabelAnimation({});
+    setSelectedOrderIds([]);
+    setLabelBatchResults(null);
     setActiveTab('orders');
     setPriceUpdateProgress(null);
     setPriceReports([]);
@@ -106,7 +252,13 @@ const App = () => {
       const result = await response.json();
       
       if (result.success) {
-        setMessage(`Successfully fetched ${result.ordersCount} orders!`);
+        const removedCount = result.mergeStats?.removed || 0;
+        const cancellationCount = result.cancellationRequests || 0;
+        setMessage(`Successfully fetched ${result.ordersCount} orders!${
+          removedCount > 0 ? ` ${removedCount} items are no longer open on BOL.com.` : ''
+        }${
+          cancellationCount > 0 ? ` ${cancellationCount} items have a cancellation request.` : ''
+        }`);
         // Reload orders after fetching
         await loadOrders();
       } else {
@@ -131,6 +283,8 @@ const App = () => {
       
       if (result.success) {
         setOrders(result.orders || []);
+        setPackingMode(result.packingMode || 'item');
+        setMaxParcelsPerOrder(result.maxParcelsPerOrder || 10);
       }
     } catch (error) {
       console.error('Error loading orders:', error);
@@ -244,225 +398,1108 @@ const App = () => {
     }
   };
 
-  const markItemPicked = async (orderId, itemId, productCode = '3085') => {
-    const itemKey = `${orderId}-${itemId}`;
-    
-    // Set loading state for this specific item
-    setLabelCreationStatus(prev => ({
-      ...prev,
-      [itemKey]: 'creating'
-    }));
+  // User management functions (admin only)
+  const loadUsers = async () => {
+    try {
+      const response = await fetch('/api/users', {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setUserAccounts(result.users || []);
+        setAvailableRoles(result.roles || []);
+        setAutoShipDefault(!!result.autoShipDefault);
+      }
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  };
 
+  const createUser = async () => {
     try {
-      const response = await fetch(`/api/orders/${orderId}/items/${itemId}/pick`, {
+      const response = await fetch('/api/users', {
         method: 'POST',
         headers: {
           'x-session-id': sessionId,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ productCode })
+        body: JSON.stringify(newUser)
       });
       
       const result = await response.json();
       
       if (result.success) {
-        // Update local state
-        setOrders(orders.map(order => {
-          if (order.id === orderId) {
-            const updatedItems = order.items.map(item => 
-              item.id === itemId ? { 
-                ...item, 
-                picked: true, 
-                productCode,
-                trackingNumber: result.trackingNumber,
-                labelFilename: result.labelFilename,
-                labelCreated: true
-              } : item
-            );
-            const allPicked = updatedItems.every(item => item.picked);
-            return {
-              ...order,
-              items: updatedItems,
-              status: allPicked ? 'ready' : 'picking'
-            };
-          }
-          return order;
-        }));
-        
-        // Set success state and show animation
-        setLabelCreationStatus(prev => ({
-          ...prev,
-          [itemKey]: 'success'
-        }));
-
-        // Show the label animation
-        setShowLabelAnimation(prev => ({
-          ...prev,
-          [itemKey]: true
-        }));
-
-        // Hide animation after 3 seconds
-        setTimeout(() => {
-          setShowLabelAnimation(prev => ({
-            ...prev,
-            [itemKey]: false
-          }));
-        }, 3000);
-        
-        const packageType = productCode === '2928' ? 'mailbox package' : 'normal package';
-        setMessage(`Item picked as ${packageType}! Label created with tracking: ${result.trackingNumber}`);
-        setTimeout(() => setMessage(''), 5000);
+        setMessage(`User ${result.user.username} created successfully`);
+        setNewUser({ username: '', password: '', role: 'picker' });
+        await loadUsers();
       } else {
-        setLabelCreationStatus(prev => ({
-          ...prev,
-          [itemKey]: 'error'
-        }));
-        setMessage('Failed to mark item as picked: ' + result.message);
+        setMessage('Failed to create user: ' + result.message);
       }
     } catch (error) {
-      setLabelCreationStatus(prev => ({
-        ...prev,
-        [itemKey]: 'error'
-      }));
-      setMessage('Error marking item as picked: ' + error.message);
+      setMessage('Error creating user: ' + error.message);
     }
   };
 
-  const handlePickItemClick = (orderId, itemId) => {
-    setSelectedItem({ orderId, itemId });
-    setShowProductCodeModal(true);
+  const setUserDisabled = async (accountName, disabled) => {
+    try {
+      const response = await fetch(`/api/users/${accountName}/${disabled ? 'disable' : 'enable'}`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setMessage(result.message);
+        await loadUsers();
+      } else {
+        setMessage('Failed to update user: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error updating user: ' + error.message);
+    }
   };
 
-  const handleProductCodeSelect = (productCode) => {
-    if (selectedItem) {
-      markItemPicked(selectedItem.orderId, selectedItem.itemId, productCode);
+  // Auto-ship on, off, or null to follow the server default
+  const setUserAutoShip = async (accountName, autoShip) => {
+    try {
+      const response = await fetch(`/api/users/${accountName}/auto-ship`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ autoShip })
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setMessage(result.message);
+        await loadUsers();
+      } else {
+        setMessage('Failed to update user: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error updating user: ' + error.message);
     }
-    setShowProductCodeModal(false);
-    setSelectedItem(null);
   };
 
-  const downloadItemLabel = async (orderId, itemId, trackingNumber) => {
+  // Failed BOL.com shipment registrations and the dead-letter list
+  const loadShipmentJobs = async () => {
     try {
-      const response = await fetch(`/api/labels/item/${orderId}/${itemId}/${trackingNumber}`, {
+      const response = await fetch(`/api/shipment-jobs${shipmentJobFilter ? `?status=${shipmentJobFilter}` : ''}`, {
         headers: {
           'x-session-id': sessionId
         }
       });
       
-      if (response.ok) {
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        a.download = `label_${orderId}_${itemId}_${trackingNumber}.pdf`;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        setMessage(`Label downloaded: ${trackingNumber}`);
-        setTimeout(() => setMessage(''), 3000);
-      } else {
-        setMessage('Failed to download label');
+      const result = await response.json();
+      
+      if (result.success) {
+        setShipmentJobs(result.jobs || []);
+        setShipmentMaxAttempts(result.maxAttempts || 0);
       }
     } catch (error) {
-      setMessage('Error downloading label: ' + error.message);
+      console.error('Error loading shipment jobs:', error);
     }
   };
 
-  const shipOrder = async (orderId) => {
+  const updateShipmentJob = async (jobId, action) => {
+    if (action === 'discard' && !window.confirm('Discard this job? The order will not be registered with BOL.com automatically.')) return;
+    
     setLoading(true);
-    setMessage('Registering shipment with BOL.com...');
     
     try {
-      const response = await fetch(`/api/orders/${orderId}/ship`, {
+      const response = await fetch(`/api/shipment-jobs/${jobId}/${action}`, {
         method: 'POST',
         headers: {
-          'x-session-id': sessionId,
-          'Content-Type': 'application/json'
+          'x-session-id': sessionId
         }
       });
       
       const result = await response.json();
-      
-      if (result.success) {
-        // Update local state
-        setOrders(orders.map(order => 
-          order.id === orderId 
-            ? { 
-                ...order, 
-                shipped: true, 
-                trackingNumbers: result.trackingNumbers || [],
-                status: 'shipped'
-              }
-            : order
-        ));
-        
-        const trackingCount = result.trackingNumbers ? result.trackingNumbers.length : 0;
-        setMessage(`Order shipped successfully! ${trackingCount} tracking numbers registered with BOL.com`);
-      } else {
-        setMessage('Failed to ship order: ' + result.message);
-      }
+      setMessage(result.success ? result.message : `Failed to ${action} job: ` + result.message);
+      await loadShipmentJobs();
     } catch (error) {
-      setMessage('Error shipping order: ' + error.message);
+      setMessage(`Error updating job: ` + error.message);
     } finally {
       setLoading(false);
     }
   };
 
-  const downloadLabel = async (orderId, trackingNumber) => {
+  // Per-user productivity
+  const loadProductivity = async () => {
     try {
-      const response = await fetch(`/api/labels/${orderId}/${trackingNumber}`, {
+      const response = await fetch(`/api/productivity?days=${productivityDays}`, {
         headers: {
           'x-session-id': sessionId
         }
       });
       
-      if (response.ok) {
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = url;
-        a.download = `label_${orderId}_${trackingNumber}.pdf`;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        setMessage('Label downloaded successfully!');
-        setTimeout(() => setMessage(''), 3000);
-      } else {
-        setMessage('Failed to download label');
+      const result = await response.json();
+      
+      if (result.success) {
+        setProductivity(result.users || []);
       }
     } catch (error) {
-      setMessage('Error downloading label: ' + error.message);
+      console.error('Error loading productivity:', error);
     }
   };
 
-  const getOrderStatus = (order) => {
-    if (order.shipped) return { text: 'Shipped', color: 'text-green-600', bg: 'bg-green-100' };
-    if (order.status === 'ready') return { text: 'Ready to Ship', color: 'text-blue-600', bg: 'bg-blue-100' };
-    if (order.status === 'picking') return { text: 'Picking', color: 'text-orange-600', bg: 'bg-orange-100' };
-    return { text: 'Open', color: 'text-gray-600', bg: 'bg-gray-100' };
+  // Pick run functions
+  const loadPickRun = async () => {
+    try {
+      const response = await fetch(`/api/pick-run${pickRunWaveId ? `?waveId=${pickRunWaveId}` : ''}`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setPickRun(result);
+      } else {
+        setMessage('Failed to load pick run: ' + result.message);
+      }
+    } catch (error) {
+      console.error('Error loading pick run:', error);
+    }
   };
 
-  // Helper function to get item status
-  const getItemStatus = (orderId, itemId) => {
-    const itemKey = `${orderId}-${itemId}`;
-    return labelCreationStatus[itemKey] || 'idle';
+  // Mark all order items of a pick run line as picked
+  const pickRunLine = async (group) => {
+    setPickRunBusy(group.ean || group.items[0].orderItemId);
+    
+    try {
+      const response = await fetch('/api/pick-run/pick', {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          items: group.items.map(item => ({ orderId: item.orderId, orderItemId: item.orderItemId }))
+        })
+      });
+      
+      const result = await response.json();
+      
+      if (result.picked) {
+        setPickRunPicked(previous => {
+          // Orders completed by this pick are complete in the earlier lines too
+          const completed = result.picked.filter(item => item.orderComplete).map(item => item.orderId);
+          return [
+            ...previous.map(item => completed.includes(item.orderId) ? { ...item, orderComplete: true } : item),
+            ...result.picked.map(item => ({ ...item, location: group.location }))
+          ];
+        });
+      }
+      setMessage(result.success ? result.message : 'Failed to pick: ' + result.message);
+      await loadPickRun();
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error picking: ' + error.message);
+    } finally {
+      setPickRunBusy(null);
+    }
   };
 
-  const getItemAnimation = (orderId, itemId) => {
-    const itemKey = `${orderId}-${itemId}`;
-    return showLabelAnimation[itemKey] || false;
+  // Wave functions
+  const loadWaves = async () => {
+    try {
+      const response = await fetch('/api/waves', {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setWaveList(result.waves || []);
+      }
+    } catch (error) {
+      console.error('Error loading waves:', error);
+    }
   };
 
-  // Login Screen
-  if (!isLoggedIn) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
-        <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
-          <div className="text-center mb-8">
-            <Package className="w-16 h-16 text-blue-600 mx-auto mb-4" />
-            <h1 className="text-2xl font-bold text-gray-900">BOL.com Picking System</h1>
+  const createWave = async () => {
+    try {
+      const response = await fetch('/api/waves', {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...newWave, assignedTo: newWave.assignedTo || null })
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to create wave: ' + result.message);
+      if (result.success) {
+        await loadOrders();
+      }
+    } catch (error) {
+      setMessage('Error creating wave: ' + error.message);
+    }
+  };
+
+  const assignWave = async (waveId, assignee) => {
+    try {
+      const response = await fetch(`/api/waves/${waveId}/assign`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username: assignee || null })
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to assign wave: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error assigning wave: ' + error.message);
+    }
+  };
+
+  const deleteWave = async (waveId) => {
+    if (!window.confirm(`Remove wave ${waveId}? Its orders go back to the general list.`)) return;
+    
+    try {
+      const response = await fetch(`/api/waves/${waveId}`, {
+        method: 'DELETE',
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to remove wave: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error removing wave: ' + error.message);
+    }
+  };
+
+  // Scan mode functions
+  const showScanFeedback = (type, text) => {
+    setScanFeedback({ type, text, at: Date.now() });
+    playBeep(type === 'error');
+  };
+
+  // Open items of an order that the current user may pick
+  const scanOpenItems = (order) => (order ? order.items.filter(item =>
+    isActiveItem(item) && !item.cancellationRequested && !item.picked && !item.shipped && !item.lockedTo
+  ) : []);
+
+  const startScanOrder = (orderId) => {
+    setScanOrderId(orderId);
+    setScanLocation(null);
+    showScanFeedback('info', `Order ${orderId}: scan a bin location or product`);
+  };
+
+  // Next order with items to pick, orders of the user's own waves first
+  const nextScanOrder = () => {
+    const candidates = orders.filter(order => order.id !== scanOrderId && !order.lockedTo && scanOpenItems(order).length > 0);
+    const ownWave = candidates.find(order => waveList.some(wave => wave.id === order.waveId && wave.assignedTo === currentUser?.username));
+    const next = ownWave || candidates[0];
+    
+    if (next) {
+      startScanOrder(next.id);
+    } else {
+      setScanOrderId(null);
+      setScanFeedback({ type: 'info', text: 'No orders left to pick' });
+    }
+  };
+
+ // Pick one scanned unit of an item; the order label is created as soon as
+  // the last unit of the order is picked
+  const scanPickUnit = async (order, item, scannedEan) => {
+    setScanBusy(true);
+    
+    try {
+      const response = await fetch(`/api/orders/${order.id}/items/${item.id}/pick`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          productCode: item.suggestedPackage?.productCode || '3085',
+          createLabel: false,
+          scannedEan,
+          units: 1
+        })
+      });
+      
+      const result = await response.json();
+      
+      if (!result.success) {
+        showScanFeedback('error', `Pick failed: ${result.message}`);
+        return;
+      }
+      
+      if (result.partial) {
+        showScanFeedback('success', `${item.name}: ${result.pickedQuantity} of ${result.quantity} picked`);
+        await loadOrders();
+        return;
+      }
+      
+      const remaining = scanOpenItems(order).filter(openItem => openItem.id !== item.id);
+      if (remaining.length > 0) {
+        showScanFeedback('success', `${item.name} picked. ${remaining.length} items left in this order.`);
+        await loadOrders();
+        return;
+      }
+      
+      showScanFeedback('info', `Order ${order.id} complete, creating label...`);
+      const labelResult = await createBatchLabels([order.id]);
+      
+      if (labelResult && labelResult.labelsCreated > 0 && labelResult.labelsFailed === 0) {
+        const trackingNumbers = labelResult.results.filter(entry => entry.trackingNumber).map(entry => entry.trackingNumber);
+        const autoShip = (labelResult.autoShipped || []).find(entry => entry.orderId === order.id);
+        showScanFeedback(autoShip && !autoShip.success ? 'error' : 'success', `Order ${order.id} complete. Label created: ${[...new Set(trackingNumbers)].join(', ')}${autoShip ? `. ${autoShip.message}` : ''}`);
+      } else {
+        showScanFeedback('error', `Order ${order.id} picked, but the label failed: ${labelResult?.results?.find(entry => entry.error)?.error || labelResult?.message || 'unknown error'}`);
+      }
+    } catch (error) {
+      showScanFeedback('error', `Error picking: ${error.message}`);
+    } finally {
+      setScanBusy(false);
+      scanInputRef.current?.focus();
+    }
+  };
+
+  // Handle one scanned code: a product EAN or bin location of the current
+  // order, or an order ID to switch orders
+  const handleScan = async (rawCode) => {
+    const code = rawCode.trim().toUpperCase();
+    setScanInput('');
+    if (!code || scanBusy) return;
+    
+    const order = orders.find(candidate => candidate.id === scanOrderId);
+    const openItems = scanOpenItems(order);
+    
+    const item = openItems.find(openItem => isSameEan(code, openItem.sku));
+    if (item) {
+      await scanPickUnit(order, item, code);
+      return;
+    }
+    
+    const locationItems = openItems.filter(openItem => openItem.location.toUpperCase() === code);
+    if (locationItems.length > 0) {
+      setScanLocation(code);
+      showScanFeedback('success', `Bin ${code} confirmed: ${locationItems.map(locationItem => locationItem.name).join(', ')}`);
+      return;
+    }
+    
+    const scannedOrder = orders.find(candidate => candidate.id.toUpperCase() === code);
+    if (scannedOrder) {
+      if (scannedOrder.lockedTo) {
+        showScanFeedback('error', `Order ${scannedOrder.id} is in a wave assigned to ${scannedOrder.lockedTo}`);
+      } else if (scanOpenItems(scannedOrder).length === 0) {
+        showScanFeedback('error', `Order ${scannedOrder.id} has nothing left to pick`);
+      } else {
+        startScanOrder(scannedOrder.id);
+      }
+      return;
+    }
+    
+    if (!order) {
+      showScanFeedback('error', `Unknown order: ${code}`);
+    } else if (order.items.some(orderItem => isSameEan(code, orderItem.sku))) {
+      showScanFeedback('error', `Product ${code} is already picked for this order`);
+    } else if (/^\d{8,14}$/.test(code)) {
+      showScanFeedback('error', `Wrong product! ${code} is not in order ${order.id}`);
+    } else {
+      showScanFeedback('error', `Unknown code: ${code}`);
+    }
+  };
+
+  // Pick the open items of a wave as a pick run
+  const startWavePickRun = (waveId) => {
+    setPickRunWaveId(String(waveId));
+    setActiveTab('pickrun');
+  };
+
+  // Product catalog functions
+  const loadCatalog = async () => {
+    try {
+      const response = await fetch('/api/catalog', {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setCatalogProducts(result.products || []);
+      }
+    } catch (error) {
+      console.error('Error loading catalog:', error);
+    }
+  };
+
+  const createProduct = async () => {
+    try {
+      const response = await fetch('/api/catalog', {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(newProduct)
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setMessage(`Product ${result.product.ean} added successfully`);
+        setNewProduct(EMPTY_PRODUCT);
+        await loadCatalog();
+      } else {
+        setMessage('Failed to add product: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error adding product: ' + error.message);
+    }
+  };
+
+  const saveProduct = async () => {
+    const { ean, ...changes } = editingProduct;
+    
+    try {
+      const response = await fetch(`/api/catalog/${ean}`, {
+        method: 'PUT',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setMessage(`Product ${ean} saved successfully`);
+        setEditingProduct(null);
+        await loadCatalog();
+      } else {
+        setMessage('Failed to save product: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error saving product: ' + error.message);
+    }
+  };
+
+  const deleteProduct = async (ean) => {
+    if (!window.confirm(`Remove product ${ean} from the catalog?`)) return;
+    
+    try {
+      const response = await fetch(`/api/catalog/${ean}`, {
+        method: 'DELETE',
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setMessage(result.message);
+        await loadCatalog();
+      } else {
+        setMessage('Failed to remove product: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error removing product: ' + error.message);
+    }
+  };
+
+  // Catalog import: preview (dry run) first, then apply with the same mapping
+  const runCatalogImport = async (file, mapping, dryRun) => {
+    try {
+      const response = await fetch('/api/catalog/import', {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...file, mapping, dryRun })
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to import catalog: ' + result.message);
+      
+      if (result.success) {
+        setCatalogImportResult(result);
+        setCatalogImportMapping(result.mapping);
+        if (!dryRun) {
+          setCatalogImportFile(null);
+          await loadCatalog();
+        }
+      }
+    } catch (error) {
+      setMessage('Error importing catalog: ' + error.message);
+    }
+  };
+
+  const handleCatalogFileSelect = (event) => {
+    const selected = event.target.files[0];
+    event.target.value = '';
+    if (!selected) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      const file = { filename: selected.name, content: String(reader.result).split(',')[1] || '' };
+      setCatalogImportFile(file);
+      setCatalogImportResult(null);
+      runCatalogImport(file, {}, true);
+    };
+    reader.readAsDataURL(selected);
+  };
+
+  const downloadCatalog = async (format) => {
+    try {
+      const response = await fetch(`/api/catalog/export?format=${format}`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      if (response.ok) {
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `catalog_${new Date().toISOString().split('T')[0]}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+      } else {
+        const result = await response.json();
+        setMessage('Failed to export catalog: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error exporting catalog: ' + error.message);
+    }
+  };
+
+  const markItemPicked = async (orderId, itemId, productCode = '3085', createLabel = true, weight = null, saveWeight = false) => {
+    const itemKey = `${orderId}-${itemId}`;
+    
+    // Set loading state for this specific item
+    setLabelCreationStatus(prev => ({
+      ...prev,
+      [itemKey]: 'creating'
+    }));
+
+    try {
+      const response = await fetch(`/api/orders/${orderId}/items/${itemId}/pick`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ productCode, createLabel, weight, saveProductWeight: saveWeight })
+      });
+      
+      const result = await response.json();
+      
+      if (result.success && result.labelCreated === false) {
+        setOrders(orders.map(order => {
+          if (order.id === orderId) {
+            const updatedItems = order.items.map(item => 
+              item.id === itemId ? { ...item, picked: true, pickedQuantity: item.quantity, pickedBy: result.pickedBy, productCode } : item
+            );
+            const allPicked = updatedItems.filter(isActiveItem).every(item => item.picked);
+            return {
+              ...order,
+              items: updatedItems,
+              status: allPicked ? 'ready' : 'picking'
+            };
+          }
+          return order;
+        }));
+        
+        setLabelCreationStatus(prev => ({
+          ...prev,
+          [itemKey]: 'success'
+        }));
+        setMessage(result.warning ? `${result.message} ⚠️ ${result.warning}` : result.message);
+        setTimeout(() => setMessage(''), 5000);
+      } else if (result.success) {
+        // Update local state
+        setOrders(orders.map(order => {
+          if (order.id === orderId) {
+            const updatedItems = order.items.map(item => 
+              item.id === itemId ? { 
+                ...item, 
+                picked: true, 
+                pickedQuantity: item.quantity,
+                pickedBy: result.pickedBy,
+                productCode,
+                trackingNumber: result.trackingNumber,
+                labelFilename: result.labelFilename,
+                labelCreated: true,
+                labelCreatedBy: result.pickedBy
+              } : item
+            );
+            const allPicked = updatedItems.filter(isActiveItem).every(item => item.picked);
+            return {
+              ...order,
+              items: updatedItems,
+              status: allPicked ? 'ready' : 'picking'
+            };
+          }
+          return order;
+        }));
+        
+        // In order packing mode the label covers every item of the order,
+        // and with auto-ship the order may have been shipped already
+        if (result.orderLabel || result.autoShip) {
+          await loadOrders();
+        }
+        
+        // Set success state and show animation
+        setLabelCreationStatus(prev => ({
+          ...prev,
+          [itemKey]: 'success'
+        }));
+
+        // Show the label animation
+        setShowLabelAnimation(prev => ({
+          ...prev,
+          [itemKey]: true
+        }));
+
+        // Hide animation after 3 seconds
+        setTimeout(() => {
+          setShowLabelAnimation(prev => ({
+            ...prev,
+            [itemKey]: false
+          }));
+        }, 3000);
+        
+        setMessage(`${result.message} Tracking: ${result.trackingNumber}${result.warning ? ` ⚠️ ${result.warning}` : ''}`);
+        setTimeout(() => setMessage(''), 5000);
+      } else {
+        setLabelCreationStatus(prev => ({
+          ...prev,
+          [itemKey]: 'error'
+        }));
+        setMessage('Failed to mark item as picked: ' + result.message);
+      }
+    } catch (error) {
+      setLabelCreationStatus(prev => ({
+        ...prev,
+        [itemKey]: 'error'
+      }));
+      setMessage('Error marking item as picked: ' + error.message);
+    }
+  };
+
+  const confirmCancellation = async (orderId, itemId) => {
+    if (!window.confirm('Confirm the cancellation of this item with BOL.com? This cannot be undone.')) {
+      return;
+    }
+    
+    setLoading(true);
+    setMessage('Confirming cancellation with BOL.com...');
+    
+    try {
+      const response = await fetch(`/api/orders/${orderId}/items/${itemId}/cancel`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reasonCode: 'REQUESTED_BY_CUSTOMER' })
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        setMessage(result.message);
+        await loadOrders();
+      } else {
+        setMessage('Failed to confirm cancellation: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error confirming cancellation: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Count one unit of an item with a quantity above one; the last unit is
+  // picked with Pick Item so the package type can be chosen
+  const pickUnit = async (orderId, itemId) => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/items/${itemId}/pick`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ units: 1, createLabel: false })
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to pick unit: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error picking unit: ' + error.message);
+    }
+  };
+
+  // Undo a pick; a label the item is on is voided and must not be used
+  const unpickItem = async (orderId, item) => {
+    const warning = item.labelCreated
+      ? `Undo this pick? Label ${item.trackingNumber} is voided: throw it away and do not ship with it.`
+      : 'Undo this pick?';
+    if (!window.confirm(warning)) return;
+    
+    try {
+      const response = await fetch(`/api/orders/${orderId}/items/${item.id}/unpick`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to undo pick: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error undoing pick: ' + error.message);
+    }
+  };
+
+  const handlePickItemClick = (orderId, itemId) => {
+    const item = orders.find(order => order.id === orderId)?.items.find(orderItem => orderItem.id === itemId);
+    setSelectedItem({ orderId, itemId });
+    setPickWeight(item && estimatedItemWeight(item) ? String(estimatedItemWeight(item)) : '');
+    setSaveProductWeight(!!item && !item.catalogWeight);
+    setShowProductCodeModal(true);
+  };
+
+  const handleProductCodeSelect = (productCode) => {
+    if (selectedItem) {
+      const weight = parseInt(pickWeight, 10) || null;
+      markItemPicked(selectedItem.orderId, selectedItem.itemId, productCode, createLabelOnPick, weight, weight ? saveProductWeight : false);
+    }
+    setShowProductCodeModal(false);
+    setSelectedItem(null);
+  };
+
+  const toggleOrderSelected = (orderId) => {
+    setSelectedOrderIds(prev => 
+      prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]
+    );
+  };
+
+  // Number of colli (boxes) the order ships in; only possible before labels exist
+  const setOrderParcels = async (orderId, parcelCount) => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/parcels`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ parcelCount })
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? result.message : 'Failed to set parcels: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error setting parcels: ' + error.message);
+    }
+  };
+
+  // Create labels for all picked items without one (or only those of the selected orders)
+  const createBatchLabels = async (orderIds = selectedOrderIds) => {
+    setLabelBatchRunning(true);
+    setLabelBatchResults(null);
+    setMessage('Creating labels...');
+    
+    try {
+      const response = await fetch('/api/labels/batch', {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ orderIds: orderIds.length > 0 ? orderIds : null })
+      });
+      
+      const result = await response.json();
+      
+      if (result.results) {
+        setLabelBatchResults(result);
+        setMessage(result.message);
+        await loadOrders();
+      } else {
+        setMessage('Failed to create labels: ' + result.message);
+      }
+      return result;
+    } catch (error) {
+      setMessage('Error creating labels: ' + error.message);
+      return null;
+    } finally {
+      setLabelBatchRunning(false);
+    }
+  };
+
+  // One PDF with the labels of the selected orders, or of everything labeled today
+  const downloadMergedLabels = async (layout, orderIds = selectedOrderIds) => {
+    try {
+      const params = new URLSearchParams({ layout });
+      if (orderIds.length > 0) {
+        params.set('orderIds', orderIds.join(','));
+      }
+      
+      const response = await fetch(`/api/labels/merged?${params.toString()}`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      if (response.ok) {
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `labels_${new Date().toISOString().split('T')[0]}_${layout}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        
+        const missing = Number(response.headers.get('X-Labels-Missing') || 0);
+        setMessage(missing > 0
+          ? `Labels downloaded, but ${missing} label files could not be found`
+          : 'Labels downloaded successfully!');
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        const result = await response.json();
+        setMessage('Failed to download labels: ' + result.message);
+      }
+    } catch (error) {
+      setMessage('Error downloading labels: ' + error.message);
+    }
+  };
+
+  const downloadItemLabel = async (orderId, itemId, trackingNumber) => {
+    try {
+      const response = await fetch(`/api/labels/item/${orderId}/${itemId}/${trackingNumber}`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      if (response.ok) {
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `label_${orderId}_${itemId}_${trackingNumber}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        setMessage(`Label downloaded: ${trackingNumber}`);
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage('Failed to download label');
+      }
+    } catch (error) {
+      setMessage('Error downloading label: ' + error.message);
+    }
+  };
+
+  // Ship an order, or only the given items of it (the rest follows later)
+  const shipOrder = async (orderId, orderItemIds = null) => {
+    setLoading(true);
+    setMessage('Registering shipment with BOL.com...');
+    
+    try {
+      const response = await fetch(`/api/orders/${orderId}/ship`, {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(orderItemIds ? { orderItemIds } : {})
+      });
+      
+      const result = await response.json();
+      
+      // Some items may have failed to register, so take the state from the server
+      setMessage(result.success ? result.message : 'Failed to ship order: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error shipping order: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ask BOL.com now whether pending shipment registrations went through
+  const checkShipmentStatus = async () => {
+    setLoading(true);
+    
+    try {
+      const response = await fetch('/api/shipments/check-status', {
+        method: 'POST',
+        headers: {
+          'x-session-id': sessionId,
+          'Content-Type': 'application/json'
+        }
+      });
+      
+      const result = await response.json();
+      setMessage(result.success ? `BOL.com shipments: ${result.message}` : 'Failed to check shipments: ' + result.message);
+      await loadOrders();
+    } catch (error) {
+      setMessage('Error checking shipments: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadLabel = async (orderId, trackingNumber) => {
+    try {
+      const response = await fetch(`/api/labels/${orderId}/${trackingNumber}`, {
+        headers: {
+          'x-session-id': sessionId
+        }
+      });
+      
+      if (response.ok) {
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = `label_${orderId}_${trackingNumber}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        setMessage('Label downloaded successfully!');
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage('Failed to download label');
+      }
+    } catch (error) {
+      setMessage('Error downloading label: ' + error.message);
+    }
+  };
+
+  // Items that were cancelled or left BOL's open list are no longer picked
+  const isActiveItem = (item) => !item.removedFromBol && !item.cancellationConfirmed;
+
+  // Picked items that still need a label, mirroring needsLabel() in server.js
+  const needsLabel = (item) => isActiveItem(item) && !item.cancellationRequested && item.picked && !item.labelCreated && !item.shipped;
+
+  const selectedOrder = selectedItem ? orders.find(order => order.id === selectedItem.orderId) : null;
+  const selectedOrderParcelCount = selectedOrder?.parcelCount || 1;
+  const selectedOrderCountry = selectedOrder?.countryCode || 'NL';
+  const suggestedPackage = selectedOrder?.items.find(item => item.id === selectedItem.itemId)?.suggestedPackage || null;
+  
+  // Package type buttons in the pick modal; the suggested one is highlighted and
+  // focused so Enter picks it
+  const packageButtonClass = (productCode) => `w-full p-4 text-left border rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors ${
+    suggestedPackage?.productCode === productCode ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-300'
+  }`;
+  
+  // Weight of the parcel the picked item goes into: the whole order when it is
+  // labeled per order, otherwise just the item
+  const selectedParcelWeight = (() => {
+    if (!selectedOrder) return null;
+    const ownWeight = parseInt(pickWeight, 10) || null;
+    if (packingMode !== 'order' && selectedOrderParcelCount === 1) return ownWeight;
+    
+    const otherWeights = selectedOrder.items
+      .filter(item => isActiveItem(item) && item.id !== selectedItem.itemId)
+      .map(estimatedItemWeight);
+    if (ownWeight === null || otherWeights.some(weight => weight === null)) return null;
+    return otherWeights.reduce((total, weight) => total + weight, ownWeight);
+  })();
+
+  const unlabeledItemCount = orders
+    .filter(order => selectedOrderIds.length === 0 || selectedOrderIds.includes(order.id))
+    .reduce((count, order) => count + order.items.filter(needsLabel).length, 0);
+
+  // Orders in the orders list: all of them, those in the user's waves or those outside a wave
+  const visibleOrders = orders.filter(order => {
+    if (orderFilter === 'mine') {
+      return waveList.some(wave => wave.id === order.waveId && wave.assignedTo === currentUser?.username);
+    }
+    return orderFilter === 'all' || !order.waveId;
+  });
+
+  // Order being picked in scan mode
+  const scanOrder = orders.find(order => order.id === scanOrderId) || null;
+
+  // Users that can be assigned a wave
+  const pickerAccounts = userAccounts.filter(account => !account.disabled && ['admin', 'picker'].includes(account.role));
+
+  // Items picked in the current pick run, per order, for sorting them back
+  const pickRunSortPlan = Object.values(pickRunPicked.reduce((plan, item) => {
+    plan[item.orderId] = plan[item.orderId] || { orderId: item.orderId, customer: item.customer, complete: false, items: [] };
+    plan[item.orderId].items.push(item);
+    plan[item.orderId].complete = plan[item.orderId].complete || item.orderComplete;
+    return plan;
+  }, {})).sort((a, b) => a.orderId.localeCompare(b.orderId));
+
+  const getOrderStatus = (order) => {
+    if (order.shipped && order.bolShipmentPending) return { text: 'Shipped (awaiting BOL.com)', color: 'text-green-600', bg: 'bg-green-100' };
+    if (order.shipped) return { text: 'Shipped', color: 'text-green-600', bg: 'bg-green-100' };
+    if (order.bolShipmentFailed) return { text: 'BOL.com Registration Failed', color: 'text-red-600', bg: 'bg-red-100' };
+    if (order.status === 'partially_shipped') return { text: 'Partially Shipped', color: 'text-teal-600', bg: 'bg-teal-100' };
+    if (order.status === 'cancelled') return { text: 'Cancelled', color: 'text-red-600', bg: 'bg-red-100' };
+    if (order.status === 'removed') return { text: 'No Longer Open', color: 'text-red-600', bg: 'bg-red-100' };
+    if (order.status === 'ready') return { text: 'Ready to Ship', color: 'text-blue-600', bg: 'bg-blue-100' };
+    if (order.status === 'picking') return { text: 'Picking', color: 'text-orange-600', bg: 'bg-orange-100' };
+    return { text: 'Open', color: 'text-gray-600', bg: 'bg-gray-100' };
+  };
+
+  // Helper function to get item status
+  const getItemStatus = (orderId, itemId) => {
+    const itemKey = `${orderId}-${itemId}`;
+    return labelCreationStatus[itemKey] || 'idle';
+  };
+
+  const getItemAnimation = (orderId, itemId) => {
+    const itemKey = `${orderId}-${itemId}`;
+    return showLabelAnimation[itemKey] || false;
+  };
+
+  // Login Screen
+  if (!isLoggedIn) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-500 to-purple-600 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+          <div className="text-center mb-8">
+            <Package className="w-16 h-16 text-blue-600 mx-auto mb-4" />
+            <h1 className="text-2xl font-bold text-gray-900">BOL.com Picking System</h1>
             <p className="text-gray-600">Simple order picking and shipping</p>
           </div>
           
@@ -523,7 +1560,7 @@ const App = () => {
           )}
           
           <div className="mt-6 p-3 bg-gray-100 rounded-md text-sm text-gray-600">
-            <strong>Default Login:</strong><br />
+            <strong>Default Admin Login (first start):</strong><br />
             Username: admin<br />
             Password: admin123<br />
             <br />
@@ -548,90 +1585,1011 @@ const App = () => {
                 <p className="text-sm text-gray-500">BOL.com + PostNL</p>
               </div>
             </div>
-            
-            <div className="flex items-center gap-4">
-              {activeTab === 'orders' && (
-                <button
-                  onClick={fetchOrders}
-                  disabled={loading}
-                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
-                >
-                  {loading ? (
-                    <RefreshCw className="w-4 h-4 animate-spin" />
-                  ) : (
-                    <RefreshCw className="w-4 h-4" />
+            
+            <div className="flex items-center gap-4">
+              {activeTab === 'orders' && (
+                <button
+                  onClick={fetchOrders}
+                  disabled={loading}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                >
+                  {loading ? (
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <RefreshCw className="w-4 h-4" />
+                  )}
+                  Fetch Orders
+                </button>
+              )}
+              
+              {activeTab === 'prices' && (
+                <button
+                  onClick={startPriceUpdate}
+                  disabled={updatingPrices}
+                  className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                >
+                  {updatingPrices ? (
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <TrendingUp className="w-4 h-4" />
+                  )}
+                  Update Prices
+                </button>
+              )}
+              
+              {currentUser && (
+                <span className="text-sm text-gray-600 flex items-center gap-1">
+                  <User className="w-4 h-4" />
+                  {currentUser.username}
+                  <span className="text-xs text-gray-400">({currentUser.role})</span>
+                </span>
+              )}
+              
+              <button
+                onClick={handleLogout}
+                className="text-gray-600 hover:text-gray-900 flex items-center gap-2"
+              >
+                <LogOut className="w-4 h-4" />
+                Logout
+              </button>
+            </div>
+          </div>
+          
+          {/* Navigation Tabs */}
+          <div className="border-t border-gray-200">
+            <nav className="-mb-px flex space-x-8">
+              {canPick && (
+                <button
+                  onClick={() => setActiveTab('orders')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'orders'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Package className="w-4 h-4 inline mr-2" />
+                  Orders & Picking
+                </button>
+              )}
+              
+              {canPick && (
+                <button
+                  onClick={() => setActiveTab('pickrun')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'pickrun'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Footprints className="w-4 h-4 inline mr-2" />
+                  Pick Run
+                </button>
+              )}
+              
+              {canPick && (
+                <button
+                  onClick={() => setActiveTab('scan')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'scan'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <ScanLine className="w-4 h-4 inline mr-2" />
+                  Scan
+                </button>
+              )}
+              
+              {canPick && (
+                <button
+                  onClick={() => setActiveTab('productivity')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'productivity'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Activity className="w-4 h-4 inline mr-2" />
+                  Productivity
+                </button>
+              )}
+              
+              {canPick && (
+                <button
+                  onClick={() => setActiveTab('catalog')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'catalog'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Boxes className="w-4 h-4 inline mr-2" />
+                  Catalog
+                </button>
+              )}
+              
+              {canManagePrices && (
+                <button
+                  onClick={() => setActiveTab('prices')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'prices'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <DollarSign className="w-4 h-4 inline mr-2" />
+                  Price Updates
+                </button>
+              )}
+              
+              {isAdmin && (
+                <button
+                  onClick={() => setActiveTab('queue')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'queue'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Inbox className="w-4 h-4 inline mr-2" />
+                  Shipment Queue
+                </button>
+              )}
+              
+              {isAdmin && (
+                <button
+                  onClick={() => setActiveTab('users')}
+                  className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                    activeTab === 'users'
+                      ? 'border-blue-500 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Users className="w-4 h-4 inline mr-2" />
+                  Users
+                </button>
+              )}
+            </nav>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Status Message */}
+        {message && (
+          <div className={`mb-6 p-4 rounded-md ${
+            message.includes('success') || message.includes('shipped') || message.includes('picked') || message.includes('downloaded') || message.includes('Label created') || message.includes('completed')
+              ? 'bg-green-100 text-green-700' 
+              : message.includes('Invalid') || message.includes('Failed') || message.includes('Error') || message.includes('failed')
+              ? 'bg-red-100 text-red-700'
+              : 'bg-blue-100 text-blue-700'
+          }`}>
+            {message}
+          </div>
+        )}
+
+        {/* Pick Run Tab Content */}
+        {activeTab === 'pickrun' && canPick && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">Pick Run</h2>
+                  {pickRun && (
+                    <p className="text-sm text-gray-500">
+                      {pickRun.groups.length} products, {pickRun.totalQuantity} units for {pickRun.orderCount} orders
+                      {pickRun.walk.sequence.length > 0 && ` · Walk: ${pickRun.walk.sequence.join(' → ')}`}
+                      {pickRun.walk.serpentine && ' · Serpentine'}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={pickRunWaveId}
+                    onChange={(e) => setPickRunWaveId(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">All open items</option>
+                    {waveList
+                      .filter(wave => wave.status === 'open' && (!wave.assignedTo || wave.assignedTo === currentUser?.username))
+                      .map(wave => (
+                        <option key={wave.id} value={wave.id}>Wave {wave.id}: {wave.name}</option>
+                      ))}
+                  </select>
+                  <button
+                    onClick={loadPickRun}
+                    className="flex items-center gap-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                    Refresh
+                  </button>
+                </div>
+              </div>
+              
+              {pickRun && pickRun.groups.length > 0 ? (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Orders</th>
+                      <th className="px-6 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {pickRun.groups.map(group => (
+                      <tr key={group.ean || group.items[0].orderItemId}>
+                        <td className="px-6 py-4">
+                          <span className="flex items-center gap-1 font-mono font-semibold text-gray-900">
+                            <MapPin className="w-4 h-4 text-gray-400" />
+                            {group.location || 'Unknown'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center gap-3">
+                            {group.imageUrl && (
+                              <img src={group.imageUrl} alt="" className="w-10 h-10 object-contain rounded border border-gray-200" />
+                            )}
+                            <div>
+                              <p className="text-sm font-medium text-gray-900">{group.title}</p>
+                              {group.ean && <p className="text-xs text-gray-500">EAN: {group.ean}</p>}
+                            </div>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 text-right text-2xl font-bold text-gray-900">{group.totalQuantity}</td>
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          {group.items.map(item => (
+                            <div key={item.orderItemId}>
+                              {item.quantity} × {item.orderId}
+                              {item.customer && <span className="text-gray-400"> ({item.customer})</span>}
+                            </div>
+                          ))}
+                        </td>
+                        <td className="px-6 py-4 text-right">
+                          <button
+                            onClick={() => pickRunLine(group)}
+                            disabled={pickRunBusy !== null}
+                            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            {pickRunBusy === (group.ean || group.items[0].orderItemId)
+                              ? <Loader className="w-4 h-4 animate-spin" />
+                              : <CheckCircle className="w-4 h-4" />}
+                            Picked
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="p-12 text-center">
+                  <Footprints className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-600">No items left to pick</p>
+                </div>
+              )}
+            </div>
+            
+            {/* Sort the picked items back into their orders */}
+            {pickRunSortPlan.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-gray-900">Sort into Orders</h2>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => createBatchLabels(pickRunSortPlan.filter(order => order.complete).map(order => order.orderId))}
+                      disabled={labelBatchRunning || !pickRunSortPlan.some(order => order.complete)}
+                      className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-50"
+                    >
+                      <Printer className="w-4 h-4" />
+                      Create Labels for Complete Orders
+                    </button>
+                    <button
+                      onClick={() => setPickRunPicked([])}
+                      className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+                    >
+                      Done Sorting
+                    </button>
+                  </div>
+                </div>
+                <div className="divide-y divide-gray-200">
+                  {pickRunSortPlan.map(order => (
+                    <div key={order.orderId} className="px-6 py-4 flex items-start justify-between">
+                      <div>
+                        <p className="font-medium text-gray-900">Order {order.orderId}</p>
+                        {order.customer && <p className="text-sm text-gray-500">{order.customer}</p>}
+                        <ul className="mt-1 text-sm text-gray-700">
+                          {order.items.map(item => (
+                            <li key={item.orderItemId}>
+                              {item.quantity} × {item.title}
+                              <span className="text-gray-400"> ({item.location || 'Unknown'})</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                      <span className={`px-2 py-1 text-xs rounded-full ${
+                        order.complete ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'
+                      }`}>
+                        {order.complete ? 'Complete' : 'Items still open'}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Scan Tab Content */}
+        {activeTab === 'scan' && canPick && (
+          <div className="space-y-6" onClick={() => scanInputRef.current?.focus()}>
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center gap-4">
+                <ScanLine className="w-8 h-8 text-blue-600" />
+                <input
+                  ref={scanInputRef}
+                  type="text"
+                  autoFocus
+                  value={scanInput}
+                  onChange={(e) => setScanInput(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && handleScan(scanInput)}
+                  disabled={scanBusy}
+                  placeholder={scanOrder ? 'Scan product EAN or bin location' : 'Scan order number'}
+                  className="flex-1 px-4 py-3 text-2xl font-mono border-2 border-gray-300 rounded-md focus:outline-none focus:border-blue-500"
+                />
+                <button
+                  onClick={nextScanOrder}
+                  disabled={scanBusy}
+                  className="px-4 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Next Order
+                </button>
+              </div>
+              
+              {scanFeedback && (
+                <div
+                  key={scanFeedback.at}
+                  className={`mt-4 p-4 rounded-md text-lg font-medium flex items-center gap-3 ${
+                    scanFeedback.type === 'error'
+                      ? 'bg-red-600 text-white animate-pulse'
+                      : scanFeedback.type === 'success'
+                      ? 'bg-green-100 text-green-800'
+                      : 'bg-blue-100 text-blue-800'
+                  }`}
+                >
+                  {scanBusy ? <Loader className="w-6 h-6 animate-spin" />
+                    : scanFeedback.type === 'error' ? <XCircle className="w-6 h-6" />
+                    : <CheckCircle className="w-6 h-6" />}
+                  {scanFeedback.text}
+                </div>
+              )}
+            </div>
+            
+            {scanOrder ? (
+              <div className="bg-white rounded-lg shadow-sm">
+                <div className="px-6 py-4 border-b border-gray-200 flex items-start justify-between">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">Order {scanOrder.id}</h2>
+                    <p className="text-gray-700">{scanOrder.customer}</p>
+                    <p className="text-sm text-gray-500">{scanOrder.address}</p>
+                  </div>
+                  {scanOrder.items.some(item => item.labelCreated) && (
+                    <button
+                      onClick={() => downloadMergedLabels('single', [scanOrder.id])}
+                      className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white text-sm rounded-md hover:bg-green-700"
+                    >
+                      <Printer className="w-4 h-4" />
+                      Print Label
+                    </button>
+                  )}
+                </div>
+                <div className="divide-y divide-gray-200">
+                  {scanOrder.items.filter(isActiveItem).map(item => (
+                    <div
+                      key={item.id}
+                      className={`px-6 py-4 flex items-center gap-4 ${
+                        item.picked ? 'bg-green-50' : scanLocation && item.location.toUpperCase() === scanLocation ? 'bg-blue-50' : ''
+                      }`}
+                    >
+                      <span className="w-28 flex items-center gap-1 font-mono font-semibold text-gray-900">
+                        <MapPin className="w-4 h-4 text-gray-400" />
+                        {item.location}
+                      </span>
+                      {item.imageUrl && (
+                        <img src={item.imageUrl} alt="" className="w-12 h-12 object-contain rounded border border-gray-200" />
+                      )}
+                      <div className="flex-1">
+                        <p className="font-medium text-gray-900">{item.name}</p>
+                        <p className="text-sm text-gray-500">EAN: {item.sku}</p>
+                        {item.cancellationRequested && !item.picked && (
+                          <p className="text-xs text-red-600">Customer requested cancellation - do not pick</p>
+                        )}
+                        {item.lockedTo && !item.picked && (
+                          <p className="text-xs text-gray-500">In wave {item.waveId}, assigned to {item.lockedTo}</p>
+                        )}
+                      </div>
+                      <span className="text-2xl font-bold text-gray-900">
+                        {item.picked ? item.quantity : item.pickedQuantity}/{item.quantity}
+                      </span>
+                      {item.picked && <CheckCircle className="w-6 h-6 text-green-600" />}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+                <ScanLine className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-600">Scan an order number or press Next Order to start</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Productivity Tab Content */}
+        {activeTab === 'productivity' && canPick && (
+          <div className="bg-white rounded-lg shadow-sm">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">Productivity per User</h2>
+              <div className="flex items-center gap-2">
+                <select
+                  value={productivityDays}
+                  onChange={(e) => setProductivityDays(Number(e.target.value))}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value={1}>Last 24 hours</option>
+                  <option value={7}>Last 7 days</option>
+                  <option value={30}>Last 30 days</option>
+                </select>
+                <button
+                  onClick={loadProductivity}
+                  className="flex items-center gap-2 px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Refresh
+                </button>
+              </div>
+            </div>
+            
+            {productivity.length > 0 ? (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Items Picked</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Items / Hour</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Labels</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Shipped</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Errors</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Pick</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {productivity.map(entry => (
+                    <tr key={entry.username}>
+                      <td className="px-6 py-4 font-medium text-gray-900">{entry.username}</td>
+                      <td className="px-6 py-4 text-right">{entry.itemsPicked}</td>
+                      <td className="px-6 py-4 text-right">
+                        {entry.itemsPerHour}
+                        <span className="text-xs text-gray-500 ml-1">({entry.activeHours}h active)</span>
+                      </td>
+                      <td className="px-6 py-4 text-right">{entry.labelsCreated}</td>
+                      <td className="px-6 py-4 text-right">{entry.itemsShipped}</td>
+                      <td className={`px-6 py-4 text-right ${entry.errors + entry.shipmentErrors > 0 ? 'text-red-600 font-medium' : ''}`}>
+                        {entry.errors + entry.shipmentErrors}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {entry.lastPickAt ? new Date(entry.lastPickAt).toLocaleString() : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="p-12 text-center">
+                <Activity className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-600">No picking activity in this period</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Catalog Tab Content */}
+        {activeTab === 'catalog' && canPick && (
+          <div className="space-y-6">
+            {/* Add Product */}
+            {isAdmin && (
+              <div className="bg-white rounded-lg shadow-sm p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Add Product</h2>
+                
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    ['ean', 'EAN'],
+                    ['title', 'Title'],
+                    ['location', 'Bin location (e.g. A-12-3)'],
+                    ['imageUrl', 'Image URL'],
+                    ['weight', 'Weight (g)'],
+                    ['length', 'Length (mm)'],
+                    ['width', 'Width (mm)'],
+                    ['height', 'Height (mm)']
+                  ].map(([field, placeholder]) => (
+                    <input
+                      key={field}
+                      type={['weight', 'length', 'width', 'height'].includes(field) ? 'number' : 'text'}
+                      value={newProduct[field]}
+                      onChange={(e) => setNewProduct({ ...newProduct, [field]: e.target.value })}
+                      className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder={placeholder}
+                    />
+                  ))}
+                </div>
+                <button
+                  onClick={createProduct}
+                  disabled={!newProduct.ean}
+                  className="mt-4 bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                >
+                  <Boxes className="w-4 h-4" />
+                  Add Product
+                </button>
+              </div>
+            )}
+
+            {/* Import / Export */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">Import / Export</h2>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => downloadCatalog('csv')}
+                    className="border border-gray-300 px-3 py-1 rounded-md text-sm hover:bg-gray-50 flex items-center gap-1"
+                  >
+                    <Download className="w-4 h-4" />
+                    CSV
+                  </button>
+                  <button
+                    onClick={() => downloadCatalog('xlsx')}
+                    className="border border-gray-300 px-3 py-1 rounded-md text-sm hover:bg-gray-50 flex items-center gap-1"
+                  >
+                    <Download className="w-4 h-4" />
+                    Excel
+                  </button>
+                  {isAdmin && (
+                    <label className="bg-blue-600 text-white px-3 py-1 rounded-md text-sm hover:bg-blue-700 flex items-center gap-1 cursor-pointer">
+                      <Upload className="w-4 h-4" />
+                      Import file
+                      <input type="file" accept=".csv,.xlsx" onChange={handleCatalogFileSelect} className="hidden" />
+                    </label>
+                  )}
+                </div>
+              </div>
+              
+              {catalogImportResult && (
+                <div className="mt-4">
+                  <p className="text-sm text-gray-700 mb-3">
+                    <strong>{catalogImportResult.dryRun ? 'Preview' : 'Imported'}:</strong>{' '}
+                    {catalogImportResult.added} added, {catalogImportResult.changed} changed,{' '}
+                    {catalogImportResult.unchanged} unchanged, {catalogImportResult.errors} errors
+                  </p>
+                  
+                  {catalogImportFile && (
+                    <>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+                        {IMPORT_FIELDS.map(field => (
+                          <label key={field} className="text-sm text-gray-600">
+                            {field}
+                            <select
+                              value={catalogImportMapping[field] || ''}
+                              onChange={(e) => setCatalogImportMapping({ ...catalogImportMapping, [field]: e.target.value })}
+                              className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-md"
+                            >
+                              <option value="">(not imported)</option>
+                              {catalogImportResult.headers.filter(Boolean).map(header => (
+                                <option key={header} value={header}>{header}</option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+                      <div className="flex gap-2 mb-3">
+                        <button
+                          onClick={() => runCatalogImport(catalogImportFile, catalogImportMapping, true)}
+                          className="border border-gray-300 px-3 py-1 rounded-md text-sm hover:bg-gray-50"
+                        >
+                          Update Preview
+                        </button>
+                        <button
+                          onClick={() => runCatalogImport(catalogImportFile, catalogImportMapping, false)}
+                          disabled={catalogImportResult.added + catalogImportResult.changed === 0}
+                          className="bg-green-600 text-white px-3 py-1 rounded-md text-sm hover:bg-green-700 disabled:opacity-50"
+                        >
+                          Apply Import ({catalogImportResult.added + catalogImportResult.changed})
+                        </button>
+                      </div>
+                    </>
+                  )}
+                  
+                  <ul className="text-sm space-y-1 max-h-64 overflow-y-auto">
+                    {catalogImportResult.rows.filter(row => row.action !== 'unchanged').map(row => (
+                      <li key={row.row} className={row.action === 'error' ? 'text-red-600' : row.action === 'add' ? 'text-green-700' : 'text-blue-700'}>
+                        Row {row.row} · {row.ean || '(no EAN)'}: {
+                          row.action === 'error'
+                            ? row.error
+                            : `${row.action === 'add' ? 'add' : 'change'} ${Object.entries(row.changes)
+                              .map(([field, change]) => `${field} ${change.from ?? '-'} → ${change.to ?? '-'}`)
+                              .join(', ')}`
+                        }
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            {/* Product List */}
+            <div className="bg-white rounded-lg shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Product Catalog ({catalogProducts.length})
+                  {catalogProducts.some(product => !product.location) && (
+                    <span className="ml-2 text-sm font-normal text-orange-600">
+                      {catalogProducts.filter(product => !product.location).length} without location
+                    </span>
                   )}
-                  Fetch Orders
-                </button>
+                </h2>
+                <div className="flex items-center gap-2">
+                  <Search className="w-4 h-4 text-gray-400" />
+                  <input
+                    type="text"
+                    value={catalogFilter}
+                    onChange={(e) => setCatalogFilter(e.target.value)}
+                    className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+                    placeholder="Search EAN, title or location"
+                  />
+                </div>
+              </div>
+              
+              {catalogProducts.length > 0 ? (
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Weight</th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">L x W x H (mm)</th>
+                      <th className="px-6 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {catalogProducts
+                      .filter(product => {
+                        const filter = catalogFilter.trim().toLowerCase();
+                        return !filter || [product.ean, product.title, product.location]
+                          .some(value => (value || '').toLowerCase().includes(filter));
+                      })
+                      .map(product => editingProduct?.ean === product.ean ? (
+                        <tr key={product.ean} className="bg-blue-50">
+                          <td className="px-6 py-3">
+                            <p className="text-sm text-gray-500 mb-1">{product.ean}</p>
+                            <input
+                              type="text"
+                              value={editingProduct.title}
+                              onChange={(e) => setEditingProduct({ ...editingProduct, title: e.target.value })}
+                              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm mb-1"
+                              placeholder="Title"
+                            />
+                            <input
+                              type="text"
+                              value={editingProduct.imageUrl}
+                              onChange={(e) => setEditingProduct({ ...editingProduct, imageUrl: e.target.value })}
+                              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                              placeholder="Image URL"
+                            />
+                          </td>
+                          <td className="px-6 py-3">
+                            <input
+                              type="text"
+                              value={editingProduct.location}
+                              onChange={(e) => setEditingProduct({ ...editingProduct, location: e.target.value })}
+                              className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                              placeholder="A-12-3"
+                            />
+                          </td>
+                          <td className="px-6 py-3 text-right">
+                            <input
+                              type="number"
+                              value={editingProduct.weight}
+                              onChange={(e) => setEditingProduct({ ...editingProduct, weight: e.target.value })}
+                              className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                              placeholder="g"
+                            />
+                          </td>
+                          <td className="px-6 py-3 text-right whitespace-nowrap">
+                            {['length', 'width', 'height'].map(field => (
+                              <input
+                                key={field}
+                                type="number"
+                                value={editingProduct[field]}
+                                onChange={(e) => setEditingProduct({ ...editingProduct, [field]: e.target.value })}
+                                className="w-16 px-2 py-1 border border-gray-300 rounded-md text-sm ml-1"
+                                placeholder={field[0].toUpperCase()}
+                              />
+                            ))}
+                          </td>
+                          <td className="px-6 py-3 text-right whitespace-nowrap">
+                            <button
+                              onClick={saveProduct}
+                              className="bg-blue-600 text-white px-3 py-1 rounded text-sm font-medium hover:bg-blue-700"
+                            >
+                              Save
+                            </button>
+                            <button
+                              onClick={() => setEditingProduct(null)}
+                              className="ml-2 px-3 py-1 rounded text-sm text-gray-600 hover:text-gray-800"
+                            >
+                              Cancel
+                            </button>
+                          </td>
+                        </tr>
+                      ) : (
+                        <tr key={product.ean}>
+                          <td className="px-6 py-3">
+                            <div className="flex items-center gap-3">
+                              {product.imageUrl ? (
+                                <img src={product.imageUrl} alt="" className="w-10 h-10 object-contain rounded" />
+                              ) : (
+                                <div className="w-10 h-10 bg-gray-100 rounded flex items-center justify-center">
+                                  <Package className="w-5 h-5 text-gray-400" />
+                                </div>
+                              )}
+                              <div>
+                                <p className="font-medium text-gray-900">{product.title || 'Untitled product'}</p>
+                                <p className="text-sm text-gray-500">{product.ean}</p>
+                              </div>
+                            </div>
+                          </td>
+                          <td className="px-6 py-3">
+                            {product.location
+                              ? <span className="font-mono text-blue-600">{product.location}</span>
+                              : <span className="text-sm text-orange-600">No location</span>}
+                          </td>
+                          <td className="px-6 py-3 text-right">{product.weight ? `${product.weight} g` : '-'}</td>
+                          <td className="px-6 py-3 text-right text-sm text-gray-600">
+                            {product.length && product.width && product.height
+                              ? `${product.length} x ${product.width} x ${product.height}`
+                              : '-'}
+                          </td>
+                          <td className="px-6 py-3 text-right whitespace-nowrap">
+                            <button
+                              onClick={() => setEditingProduct({
+                                ean: product.ean,
+                                title: product.title || '',
+                                location: product.location || '',
+                                imageUrl: product.imageUrl || '',
+                                weight: product.weight || '',
+                                length: product.length || '',
+                                width: product.width || '',
+                                height: product.height || ''
+                              })}
+                              className="p-1 text-gray-500 hover:text-blue-600"
+                              title="Edit product"
+                            >
+                              <Pencil className="w-4 h-4" />
+                            </button>
+                            {isAdmin && (
+                              <button
+                                onClick={() => deleteProduct(product.ean)}
+                                className="p-1 ml-2 text-gray-500 hover:text-red-600"
+                                title="Remove product"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="p-12 text-center">
+                  <Boxes className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-600">No products yet. Products are added automatically when orders are fetched.</p>
+                </div>
               )}
+            </div>
+          </div>
+        )}
+
+        {/* Users Tab Content */}
+        {activeTab === 'users' && isAdmin && (
+          <div className="space-y-6">
+            {/* Create User */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Create User</h2>
               
-              {activeTab === 'prices' && (
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <input
+                  type="text"
+                  value={newUser.username}
+                  onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Username"
+                />
+                <input
+                  type="password"
+                  value={newUser.password}
+                  onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Password (min. 8 characters)"
+                />
+                <select
+                  value={newUser.role}
+                  onChange={(e) => setNewUser({ ...newUser, role: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {(availableRoles.length > 0 ? availableRoles : ['admin', 'picker', 'pricing_manager']).map(role => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
                 <button
-                  onClick={startPriceUpdate}
-                  disabled={updatingPrices}
-                  className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                  onClick={createUser}
+                  disabled={!newUser.username || !newUser.password}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
                 >
-                  {updatingPrices ? (
-                    <RefreshCw className="w-4 h-4 animate-spin" />
-                  ) : (
-                    <TrendingUp className="w-4 h-4" />
-                  )}
-                  Update Prices
+                  <UserPlus className="w-4 h-4" />
+                  Create User
                 </button>
-              )}
-              
-              <button
-                onClick={handleLogout}
-                className="text-gray-600 hover:text-gray-900 flex items-center gap-2"
-              >
-                <LogOut className="w-4 h-4" />
-                Logout
-              </button>
+              </div>
             </div>
-          </div>
-          
-          {/* Navigation Tabs */}
-          <div className="border-t border-gray-200">
-            <nav className="-mb-px flex space-x-8">
-              <button
-                onClick={() => setActiveTab('orders')}
-                className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                  activeTab === 'orders'
-                    ? 'border-blue-500 text-blue-600'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-              >
-                <Package className="w-4 h-4 inline mr-2" />
-                Orders & Picking
-              </button>
+
+            {/* User List */}
+            <div className="bg-white rounded-lg shadow-sm">
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">User Accounts</h2>
+              </div>
               
-              <button
-                onClick={() => setActiveTab('prices')}
-                className={`py-2 px-1 border-b-2 font-medium text-sm ${
-                  activeTab === 'prices'
-                    ? 'border-blue-500 text-blue-600'
-                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
-                }`}
-              >
-                <DollarSign className="w-4 h-4 inline mr-2" />
-                Price Updates
-              </button>
-            </nav>
+              <div className="divide-y divide-gray-200">
+                {userAccounts.map(account => (
+                  <div key={account.username} className="flex items-center justify-between px-6 py-4">
+                    <div>
+                      <div className="flex items-center gap-3">
+                        <span className="font-medium text-gray-900">{account.username}</span>
+                        <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-600">
+                          {account.role}
+                        </span>
+                        {account.disabled && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-600">
+                            Disabled
+                          </span>
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-500 mt-1">
+                        Last login: {account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleString() : 'never'}
+                      </p>
+                    </div>
+                    
+                    <div className="flex items-center gap-3">
+                      {(account.role === 'admin' || account.role === 'picker') && (
+                        <label className="flex items-center gap-2 text-sm text-gray-600" title="Register orders with BOL.com as soon as their last item is picked and labeled">
+                          Auto-ship
+                          <select
+                            value={account.autoShip === null || account.autoShip === undefined ? 'default' : account.autoShip ? 'on' : 'off'}
+                            onChange={(e) => setUserAutoShip(account.username, e.target.value === 'default' ? null : e.target.value === 'on')}
+                            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          >
+                            <option value="default">Default ({autoShipDefault ? 'on' : 'off'})</option>
+                            <option value="on">On</option>
+                            <option value="off">Off</option>
+                          </select>
+                        </label>
+                      )}
+                      
+                      {account.username !== currentUser?.username && (
+                        <button
+                          onClick={() => setUserDisabled(account.username, !account.disabled)}
+                          className={`px-3 py-1 rounded text-sm font-medium ${
+                            account.disabled
+                              ? 'bg-green-600 text-white hover:bg-green-700'
+                              : 'bg-red-600 text-white hover:bg-red-700'
+                          }`}
+                        >
+                          {account.disabled ? 'Enable' : 'Disable'}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
           </div>
-        </div>
-      </header>
+        )}
 
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Status Message */}
-        {message && (
-          <div className={`mb-6 p-4 rounded-md ${
-            message.includes('success') || message.includes('shipped') || message.includes('picked') || message.includes('downloaded') || message.includes('Label created') || message.includes('completed')
-              ? 'bg-green-100 text-green-700' 
-              : message.includes('Invalid') || message.includes('Failed') || message.includes('Error') || message.includes('failed')
-              ? 'bg-red-100 text-red-700'
-              : 'bg-blue-100 text-blue-700'
-          }`}>
-            {message}
+        {/* Shipment Queue Tab Content */}
+        {activeTab === 'queue' && isAdmin && (
+          <div className="bg-white rounded-lg shadow-sm">
+            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">Shipment Queue</h2>
+                <p className="text-sm text-gray-500 mt-1">
+                  Failed BOL.com registrations are retried with increasing delays. After {shipmentMaxAttempts} attempts they are given up (dead).
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <select
+                  value={shipmentJobFilter}
+                  onChange={(e) => setShipmentJobFilter(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="">All jobs</option>
+                  <option value="queued">Queued</option>
+                  <option value="dead">Dead</option>
+                  <option value="done">Done</option>
+                  <option value="discarded">Discarded</option>
+                </select>
+                <button
+                  onClick={loadShipmentJobs}
+                  className="px-3 py-2 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50 flex items-center gap-2"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Refresh
+                </button>
+              </div>
+            </div>
+            
+            <div className="divide-y divide-gray-200">
+              {shipmentJobs.map(job => (
+                <div key={job.id} className="flex items-center justify-between px-6 py-4">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3">
+                      <span className="font-medium text-gray-900">Order {job.orderId}</span>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        job.status === 'dead' ? 'bg-red-100 text-red-600'
+                          : job.status === 'queued' ? 'bg-yellow-100 text-yellow-800'
+                          : job.status === 'done' ? 'bg-green-100 text-green-600'
+                          : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {job.status}
+                      </span>
+                      <span className="text-sm text-gray-500">
+                        {job.attempts} attempt{job.attempts === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    {job.lastError && (
+                      <p className="text-sm text-red-600 mt-1">{job.lastError}</p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Queued {new Date(job.createdAt).toLocaleString()}{job.createdBy && ` by ${job.createdBy}`}
+                      {job.status === 'queued' && job.nextAttemptAt && ` · Next attempt ${new Date(job.nextAttemptAt).toLocaleString()}`}
+                      {job.status !== 'queued' && ` · Updated ${new Date(job.updatedAt).toLocaleString()}`}
+                    </p>
+                  </div>
+                  
+                  {(job.status === 'queued' || job.status === 'dead') && (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => updateShipmentJob(job.id, 'retry')}
+                        disabled={loading}
+                        className="px-3 py-1 rounded text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 flex items-center gap-1"
+                      >
+                        <RotateCcw className="w-4 h-4" />
+                        Retry Now
+                      </button>
+                      <button
+                        onClick={() => updateShipmentJob(job.id, 'discard')}
+                        disabled={loading}
+                        className="px-3 py-1 rounded text-sm font-medium text-red-600 border border-red-300 hover:bg-red-50 disabled:opacity-50"
+                      >
+                        Discard
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+              
+              {shipmentJobs.length === 0 && (
+                <div className="p-12 text-center text-gray-500">
+                  No shipment jobs{shipmentJobFilter && ` with status ${shipmentJobFilter}`}
+                </div>
+              )}
+            </div>
           </div>
         )}
 
@@ -818,26 +2776,239 @@ const App = () => {
               </div>
             </div>
 
+            {/* Waves */}
+            <div className="bg-white rounded-lg shadow-sm mb-8">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">Waves</h2>
+                {isAdmin && (
+                  <div className="flex items-center gap-2 text-sm">
+                    <label htmlFor="wave-date" className="text-gray-600">Ship by</label>
+                    <input
+                      id="wave-date"
+                      type="date"
+                      value={newWave.latestShipDate}
+                      onChange={(e) => setNewWave({ ...newWave, latestShipDate: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                    <label htmlFor="wave-size" className="text-gray-600">Max items</label>
+                    <input
+                      id="wave-size"
+                      type="number"
+                      min="1"
+                      value={newWave.maxItems}
+                      onChange={(e) => setNewWave({ ...newWave, maxItems: e.target.value })}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                    <select
+                      value={newWave.assignedTo}
+                      onChange={(e) => setNewWave({ ...newWave, assignedTo: e.target.value })}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    >
+                      <option value="">Unassigned</option>
+                      {pickerAccounts.map(account => (
+                        <option key={account.username} value={account.username}>{account.username}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={createWave}
+                      className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                    >
+                      Create Wave
+                    </button>
+                  </div>
+                )}
+              </div>
+              
+              {waveList.length > 0 ? (
+                <div className="divide-y divide-gray-200">
+                  {waveList.map(wave => (
+                    <div key={wave.id} className="px-6 py-3 flex items-center gap-4">
+                      <div className="w-56">
+                        <p className="font-medium text-gray-900">#{wave.id} {wave.name}</p>
+                        <p className="text-xs text-gray-500">{wave.orderCount} orders · {wave.itemCount} items</p>
+                      </div>
+                      <div className="flex-1">
+                        <div className="w-full bg-gray-200 rounded-full h-2">
+                          <div
+                            className={`h-2 rounded-full ${wave.status === 'done' ? 'bg-green-600' : 'bg-blue-600'}`}
+                            style={{ width: `${wave.itemCount > 0 ? (wave.pickedCount / wave.itemCount) * 100 : 0}%` }}
+                          />
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {wave.status === 'done' ? 'Done' : `${wave.pickedCount} of ${wave.itemCount} picked`}
+                        </p>
+                      </div>
+                      <div className="w-40 text-sm">
+                        {isAdmin ? (
+                          <select
+                            value={wave.assignedTo || ''}
+                            onChange={(e) => assignWave(wave.id, e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                          >
+                            <option value="">Unassigned</option>
+                            {pickerAccounts.map(account => (
+                              <option key={account.username} value={account.username}>{account.username}</option>
+                            ))}
+                          </select>
+                        ) : wave.assignedTo ? (
+                          <span className="flex items-center gap-1 text-gray-700">
+                            <User className="w-4 h-4" />
+                            {wave.assignedTo}
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => assignWave(wave.id, currentUser?.username)}
+                            className="px-3 py-1 border border-blue-600 text-blue-600 rounded-md hover:bg-blue-50"
+                          >
+                            Take Wave
+                          </button>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-2">
+                        {wave.status === 'open' && (!wave.assignedTo || wave.assignedTo === currentUser?.username) && (
+                          <button
+                            onClick={() => startWavePickRun(wave.id)}
+                            className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                          >
+                            <Footprints className="w-4 h-4" />
+                            Pick Run
+                          </button>
+                        )}
+                        {isAdmin && (
+                          <button
+                            onClick={() => deleteWave(wave.id)}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            title="Remove wave"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="px-6 py-4 text-sm text-gray-500">No waves. Everybody picks from the full order list.</p>
+              )}
+            </div>
+
             {/* Orders List */}
             <div className="bg-white rounded-lg shadow-sm">
-              <div className="px-6 py-4 border-b border-gray-200">
-                <h2 className="text-lg font-semibold text-gray-900">Orders</h2>
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Orders
+                  {selectedOrderIds.length > 0 && (
+                    <span className="ml-2 text-sm font-normal text-gray-500">({selectedOrderIds.length} selected)</span>
+                  )}
+                </h2>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={orderFilter}
+                    onChange={(e) => setOrderFilter(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="all">All orders</option>
+                    <option value="mine">My waves</option>
+                    <option value="unassigned">Not in a wave</option>
+                  </select>
+                  <button
+                    onClick={() => downloadMergedLabels('single')}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-md hover:bg-gray-50 flex items-center gap-2 text-sm"
+                    title={selectedOrderIds.length > 0 ? 'All labels of the selected orders in one PDF' : "All of today's labels in one PDF"}
+                  >
+                    <Download className="w-4 h-4" />
+                    Labels PDF
+                  </button>
+                  <button
+                    onClick={() => downloadMergedLabels('a4-4up')}
+                    className="border border-gray-300 text-gray-700 px-3 py-2 rounded-md hover:bg-gray-50 flex items-center gap-2 text-sm"
+                    title="Four labels per A4 sheet"
+                  >
+                    <FileText className="w-4 h-4" />
+                    4-up A4
+                  </button>
+                  <button
+                    onClick={() => createBatchLabels()}
+                    disabled={labelBatchRunning || unlabeledItemCount === 0}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2"
+                    title="Create labels for picked items that don't have one yet"
+                  >
+                    {labelBatchRunning ? <Loader className="w-4 h-4 animate-spin" /> : <Printer className="w-4 h-4" />}
+                    {labelBatchRunning ? 'Creating Labels...' : `Create Labels (${unlabeledItemCount})`}
+                  </button>
+                </div>
               </div>
               
+              {/* Batch label results */}
+              {labelBatchResults && labelBatchResults.results.length > 0 && (
+                <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-sm font-medium text-gray-900">
+                      Batch result: {labelBatchResults.labelsCreated} created, {labelBatchResults.labelsFailed} failed
+                    </p>
+                    <button
+                      onClick={() => setLabelBatchResults(null)}
+                      className="text-sm text-gray-500 hover:text-gray-700"
+                    >
+                      Close
+                    </button>
+                  </div>
+                  <ul className="space-y-1 text-sm">
+                    {labelBatchResults.results.map(result => (
+                      <li key={`${result.orderId}-${result.orderItemId}`} className={
+                        result.status === 'created' ? 'text-green-700' : result.status === 'failed' ? 'text-red-600' : 'text-gray-500'
+                      }>
+                        {result.orderId} · {result.productTitle}: {
+                          result.status === 'created' ? `📦 ${result.trackingNumber}` :
+                          result.status === 'failed' ? `Failed - ${result.error}` :
+                          'Skipped'
+                        }
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              
               <div className="divide-y divide-gray-200">
-                {orders.map(order => {
+                {visibleOrders.map(order => {
                   const status = getOrderStatus(order);
-                  const allItemsPicked = order.items.every(item => item.picked);
+                  const activeItems = order.items.filter(isActiveItem);
+                  const allItemsPicked = activeItems.length > 0 && activeItems.every(item => item.picked);
+                  const allItemsLabeled = activeItems.every(item => item.labelCreated);
+                  const anyItemLabeled = activeItems.some(item => item.labelCreated || item.shipped);
+                  // Picked and labeled items that can go ahead of the rest of the order
+                  const readyItems = activeItems.filter(item => !item.shipped && item.picked && item.labelCreated);
                   
                   return (
                     <div key={order.id} className="p-6">
                       <div className="flex items-start justify-between mb-4">
                         <div className="flex-1">
                           <div className="flex items-center gap-3 mb-2">
+                            {!order.shipped && (
+                              <input
+                                type="checkbox"
+                                checked={selectedOrderIds.includes(order.id)}
+                                onChange={() => toggleOrderSelected(order.id)}
+                                className="h-4 w-4"
+                                title="Select order for batch labels"
+                              />
+                            )}
                             <h3 className="text-lg font-semibold text-gray-900">{order.id}</h3>
                             <span className={`px-2 py-1 rounded-full text-xs font-medium ${status.bg} ${status.color}`}>
                               {status.text}
                             </span>
+                            {order.cancellationRequested && (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-600">
+                                Cancellation Requested
+                              </span>
+                            )}
+                            {order.waveId && (
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                                order.lockedTo ? 'bg-gray-200 text-gray-600' : 'bg-purple-100 text-purple-700'
+                              }`}>
+                                Wave {order.waveId}{order.lockedTo && ` · ${order.lockedTo}`}
+                              </span>
+                            )}
                           </div>
                           
                           <p className="text-gray-700 font-medium">{order.customer}</p>
@@ -845,6 +3016,36 @@ const App = () => {
                             <MapPin className="w-4 h-4" />
                             {order.address}
                           </div>
+                          {(order.company || order.addressExtra) && (
+                            <p className="text-gray-500 text-sm ml-5">
+                              {[order.company, order.addressExtra].filter(Boolean).join(' · ')}
+                            </p>
+                          )}
+                          
+                          {!order.shipped && !anyItemLabeled && order.countryCode === 'NL' ? (
+                            <div className="flex items-center gap-2 text-sm text-gray-600 mt-1">
+                              <Package className="w-4 h-4" />
+                              <label htmlFor={`parcels-${order.id}`}>Colli:</label>
+                              <select
+                                id={`parcels-${order.id}`}
+                                value={order.parcelCount || 1}
+                                onChange={(e) => setOrderParcels(order.id, parseInt(e.target.value, 10))}
+                                className="border border-gray-300 rounded-md px-2 py-0.5"
+                              >
+                                {Array.from({ length: maxParcelsPerOrder }, (_, index) => index + 1).map(count => (
+                                  <option key={count} value={count}>{count}</option>
+                                ))}
+                              </select>
+                              {order.parcelCount > 1 && (
+                                <span className="text-xs text-gray-500">One label set per order, normal package</span>
+                              )}
+                            </div>
+                          ) : order.parcelCount > 1 && (
+                            <div className="flex items-center gap-1 text-gray-600 text-sm mt-1">
+                              <Package className="w-4 h-4" />
+                              {order.parcelCount} colli
+                            </div>
+                          )}
                           
                           {order.trackingNumbers && order.trackingNumbers.length > 0 && (
                             <div className="mt-2 p-2 bg-green-50 rounded-md">
@@ -855,14 +3056,46 @@ const App = () => {
                           )}
                         </div>
                         
-                        {!order.shipped && allItemsPicked && (
+                        {!order.shipped && allItemsPicked && !allItemsLabeled && (
+                          <span className="text-sm text-orange-600">Waiting for labels</span>
+                        )}
+                        
+                        {!order.shipped && !allItemsPicked && readyItems.length > 0 && (
+                          <button
+                            onClick={() => {
+                              if (window.confirm(`Ship ${readyItems.length} ready items now and the rest of order ${order.id} later?`)) {
+                                shipOrder(order.id, readyItems.map(item => item.id));
+                              }
+                            }}
+                            disabled={loading}
+                            className="px-4 py-2 text-green-700 border border-green-600 rounded-md hover:bg-green-50 disabled:opacity-50 flex items-center gap-2"
+                            title="Register the picked and labeled items with BOL.com; the order stays open for the rest"
+                          >
+                            <Truck className="w-4 h-4" />
+                            Ship Ready Items ({readyItems.length})
+                          </button>
+                        )}
+                        
+                        {!order.shipped && allItemsPicked && allItemsLabeled && (
                           <button
                             onClick={() => shipOrder(order.id)}
                             disabled={loading}
                             className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
                           >
                             <Truck className="w-4 h-4" />
-                            Ship Order
+                            {order.bolShipmentFailed ? 'Retry Shipment' : 'Ship Order'}
+                          </button>
+                        )}
+                        
+                        {order.bolShipmentPending && (
+                          <button
+                            onClick={checkShipmentStatus}
+                            disabled={loading}
+                            className="px-3 py-2 text-sm text-gray-600 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 flex items-center gap-2"
+                            title="Ask BOL.com whether the shipment has been processed"
+                          >
+                            <RefreshCw className="w-4 h-4" />
+                            Check BOL.com
                           </button>
                         )}
                       </div>
@@ -881,9 +3114,77 @@ const App = () => {
                                   <span className="font-medium">{item.name}</span>
                                   <span className="text-sm text-gray-500">({item.sku})</span>
                                   <span className="text-sm text-gray-500">Qty: {item.quantity}</span>
+                                  {!item.picked && item.pickedQuantity > 0 && (
+                                    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                      {item.pickedQuantity} of {item.quantity} picked
+                                    </span>
+                                  )}
+                                  {estimatedItemWeight(item) && (
+                                    <span className="text-sm text-gray-500">{estimatedItemWeight(item)} g</span>
+                                  )}
                                 </div>
                                 <p className="text-sm text-blue-600 mt-1">Location: {item.location}</p>
                                 
+                                {(item.pickedBy || item.shippedBy) && (
+                                  <p className="text-xs text-gray-500 mt-1">
+                                    {item.pickedBy && `Picked by ${item.pickedBy}`}
+                                    {item.labelCreatedBy && item.labelCreatedBy !== item.pickedBy && ` · Label by ${item.labelCreatedBy}`}
+                                    {item.shippedBy && `${item.pickedBy ? ' · ' : ''}Shipped by ${item.shippedBy}`}
+                                  </p>
+                                )}
+                                
+                                {item.shipped && item.bolShipmentStatus === 'pending' && (
+                                  <p className="text-xs text-yellow-700 mt-1">
+                                    Waiting for BOL.com to confirm the shipment
+                                  </p>
+                                )}
+                                
+                                {item.bolShipmentId && (
+                                  <p className="text-xs text-gray-500 mt-1">
+                                    BOL.com shipment {item.bolShipmentId}
+                                  </p>
+                                )}
+                                
+                                {!item.shipped && item.bolShipmentStatus === 'failed' && (
+                                  <p className="text-xs text-red-600 mt-1">
+                                    BOL.com registration failed: {item.bolShipmentError || 'unknown error'}. Ship the order again to retry.
+                                  </p>
+                                )}
+                                
+                                {item.removedFromBol && !item.cancellationConfirmed && (
+                                  <p className="text-xs text-red-600 mt-1">
+                                    No longer open on BOL.com (cancelled or shipped elsewhere)
+                                  </p>
+                                )}
+                                
+                                {item.cancellationRequested && !item.cancellationConfirmed && !item.shipped && (
+                                  <p className="text-xs text-red-600 mt-1">
+                                    Customer requested cancellation - do not pick this item
+                                  </p>
+                                )}
+                                
+                                {item.cancellationStatus === 'pending' && (
+                                  <p className="text-xs text-orange-600 mt-1">Cancellation sent, waiting for BOL.com</p>
+                                )}
+                                
+                                {item.cancellationStatus === 'failed' && (
+                                  <p className="text-xs text-red-600 mt-1">
+                                    BOL.com rejected the cancellation: {item.cancellationError || 'unknown error'}
+                                  </p>
+                                )}
+                                
+                                {item.cancellationConfirmed && (
+                                  <p className="text-xs text-red-600 mt-1">Cancelled</p>
+                                )}
+                                
+                                {needsLabel(item) && (
+                                  <p className="text-xs text-orange-600 mt-1">Picked - no label yet</p>
+                                )}
+                                
+                                {item.lockedTo && !item.picked && (
+                                  <p className="text-xs text-gray-500 mt-1">In wave {item.waveId}, assigned to {item.lockedTo}</p>
+                                )}
+                                
                                 {/* Label status and download */}
                                 {item.picked && item.trackingNumber && (
                                   <div className="flex items-center gap-2 mt-2">
@@ -913,14 +3214,44 @@ const App = () => {
                                   </div>
                                 )}
                                 
-                                {!order.shipped && (
+                                {!item.shipped && item.cancellationRequested && item.cancellationStatus !== 'pending' && isActiveItem(item) && (
+                                  <button
+                                    onClick={() => confirmCancellation(order.id, item.id)}
+                                    disabled={loading}
+                                    className="px-3 py-1 rounded text-sm font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+                                  >
+                                    Confirm Cancellation
+                                  </button>
+                                )}
+                                
+                                {!item.shipped && !item.lockedTo && (item.picked || item.pickedQuantity > 0) && (
+                                  <button
+                                    onClick={() => unpickItem(order.id, item)}
+                                    className="px-2 py-1 text-xs text-gray-500 hover:text-red-600"
+                                    title={item.labelCreated ? 'Undo the pick and void its label' : 'Undo the pick'}
+                                  >
+                                    Undo
+                                  </button>
+                                )}
+                                
+                                {!order.shipped && isActiveItem(item) && !item.cancellationRequested && !item.picked && !item.lockedTo && item.quantity - item.pickedQuantity > 1 && (
+                                  <button
+                                    onClick={() => pickUnit(order.id, item.id)}
+                                    className="px-3 py-1 rounded text-sm font-medium border border-blue-600 text-blue-600 hover:bg-blue-50"
+                                    title="Pick one unit"
+                                  >
+                                    +1
+                                  </button>
+                                )}
+                                
+                                {!order.shipped && isActiveItem(item) && !item.cancellationRequested && (
                                   <button
                                     onClick={() => handlePickItemClick(order.id, item.id)}
-                                    disabled={item.picked || itemStatus === 'creating'}
+                                    disabled={item.picked || itemStatus === 'creating' || !!item.lockedTo}
                                     className={`px-3 py-1 rounded text-sm font-medium flex items-center gap-1 ${
                                       item.picked
                                         ? 'bg-green-100 text-green-800 cursor-not-allowed'
-                                        : itemStatus === 'creating'
+                                        : itemStatus === 'creating' || item.lockedTo
                                         ? 'bg-yellow-100 text-yellow-800 cursor-not-allowed'
                                         : 'bg-blue-600 text-white hover:bg-blue-700'
                                     }`}
@@ -941,12 +3272,12 @@ const App = () => {
                                         )}
                                       </>
                                     ) : (
-                                      'Pick Item'
+                                      item.pickedQuantity > 0 ? `Pick Remaining (${item.quantity - item.pickedQuantity})` : 'Pick Item'
                                     )}
                                   </button>
                                 )}
                                 
-                                {order.shipped && (
+                                {item.shipped && (
                                   <span className="flex items-center gap-1 text-green-600 text-sm">
                                     <CheckCircle className="w-4 h-4" />
                                     Shipped
@@ -991,21 +3322,82 @@ const App = () => {
             <div className="space-y-3">
               <button
                 onClick={() => handleProductCodeSelect('3085')}
-                className="w-full p-4 text-left border border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors"
+                autoFocus={suggestedPackage?.productCode === '3085'}
+                className={packageButtonClass('3085')}
               >
                 <div className="font-medium text-gray-900">Normal Package (3085)</div>
                 <div className="text-sm text-gray-600">Standard package delivery</div>
+                {suggestedPackage?.productCode === '3085' && (
+                  <div className="text-sm text-blue-600 mt-1">Suggested: {suggestedPackage.reason}</div>
+                )}
               </button>
               
-              <button
-                onClick={() => handleProductCodeSelect('2928')}
-                className="w-full p-4 text-left border border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors"
-              >
-                <div className="font-medium text-gray-900">Mailbox Package (2928)</div>
-                <div className="text-sm text-gray-600">Fits through mailbox</div>
-              </button>
+              {selectedOrderCountry === 'NL' && (
+                <button
+                  onClick={() => handleProductCodeSelect('2928')}
+                  autoFocus={suggestedPackage?.productCode === '2928'}
+                  className={packageButtonClass('2928')}
+                >
+                  <div className="font-medium text-gray-900">Mailbox Package (2928)</div>
+                  <div className="text-sm text-gray-600">Fits through mailbox</div>
+                  {suggestedPackage?.productCode === '2928' && (
+                    <div className="text-sm text-blue-600 mt-1">Suggested: {suggestedPackage.reason}</div>
+                  )}
+                  {selectedParcelWeight > MAILBOX_MAX_WEIGHT && (
+                    <div className="text-sm text-red-600 mt-1">
+                      ⚠️ Parcel weighs {selectedParcelWeight} g, over the {MAILBOX_MAX_WEIGHT} g mailbox limit
+                    </div>
+                  )}
+                </button>
+              )}
+            </div>
+            
+            {selectedOrderCountry !== 'NL' && (
+              <p className="mt-4 text-sm text-gray-600">
+                International order ({selectedOrderCountry}): shipped with the PostNL {selectedOrderCountry === 'BE' ? 'Belgium' : 'EU'} parcel product. Mailbox packages are only available within the Netherlands.
+              </p>
+            )}
+            
+            {(packingMode === 'order' || selectedOrderParcelCount > 1) && (
+              <p className="mt-4 text-sm text-gray-600">
+                {selectedOrderParcelCount > 1
+                  ? `This order ships in ${selectedOrderParcelCount} colli: the labels are created as normal packages when the last item is picked.`
+                  : 'One label per order: it is created when the last item of the order is picked.'}
+              </p>
+            )}
+            
+            <div className="mt-4">
+              <label htmlFor="pick-weight" className="block text-sm font-medium text-gray-700">Weight (grams)</label>
+              <input
+                id="pick-weight"
+                type="number"
+                min="1"
+                value={pickWeight}
+                onChange={(e) => setPickWeight(e.target.value)}
+                placeholder="Unknown - default weight is used"
+                className="mt-1 w-full border border-gray-300 rounded-md px-3 py-2"
+              />
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={saveProductWeight}
+                  onChange={(e) => setSaveProductWeight(e.target.checked)}
+                  className="h-4 w-4"
+                />
+                Remember as product weight
+              </label>
             </div>
             
+            <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={createLabelOnPick}
+                onChange={(e) => setCreateLabelOnPick(e.target.checked)}
+                className="h-4 w-4"
+              />
+              Create label now (uncheck to create labels later in a batch)
+            </label>
+            
             <button
               onClick={() => {
                 setShowProductCodeModal(false);
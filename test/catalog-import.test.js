@@ -0,0 +1,68 @@
+// test/catalog-import.test.js - Reading catalog CSV files
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCatalogFile, importCatalog } = require('../scripts/catalog-import.js');
+
+const csvFile = (text, filename = 'catalog.csv') => ({ filename, content: Buffer.from(text, 'utf8').toString('base64') });
+
+test('comma separated files are split into headers and rows', async () => {
+  const { format, headers, rows } = await parseCatalogFile(csvFile('EAN,Title,Location\n8712345678906,Book,A-01-1\n'));
+
+  assert.equal(format, 'csv');
+  assert.deepEqual(headers, ['EAN', 'Title', 'Location']);
+  assert.deepEqual(rows, [['8712345678906', 'Book', 'A-01-1']]);
+});
+
+test('the delimiter is taken from the header line', async () => {
+  const semicolons = await parseCatalogFile(csvFile('EAN;Title;Weight\n8712345678906;Book, paperback;12,5\n'));
+  assert.deepEqual(semicolons.headers, ['EAN', 'Title', 'Weight']);
+  assert.deepEqual(semicolons.rows, [['8712345678906', 'Book, paperback', '12,5']]);
+
+  const tabs = await parseCatalogFile(csvFile('EAN\tTitle\n8712345678906\tBook; paperback\n'));
+  assert.deepEqual(tabs.rows, [['8712345678906', 'Book; paperback']]);
+});
+
+test('quoted cells keep delimiters, escaped quotes and line breaks', async () => {
+  const { rows } = await parseCatalogFile(csvFile('EAN,Title\n8712345678906,"The ""Big"" Book, part 1"\n8712345678913,"Two\nlines"\n'));
+
+  assert.deepEqual(rows, [
+    ['8712345678906', 'The "Big" Book, part 1'],
+    ['8712345678913', 'Two\nlines']
+  ]);
+});
+
+test('a byte order mark and Windows line endings are handled', async () => {
+  const { headers, rows } = await parseCatalogFile(csvFile('\uFEFFEAN,Title\r\n8712345678906,Book\r\n8712345678913,Game'));
+
+  assert.deepEqual(headers, ['EAN', 'Title']);
+  assert.deepEqual(rows, [['8712345678906', 'Book'], ['8712345678913', 'Game']]);
+});
+
+test('header names are trimmed', async () => {
+  const { headers } = await parseCatalogFile(csvFile(' EAN , Title \n'));
+  assert.deepEqual(headers, ['EAN', 'Title']);
+});
+
+test('files that are not CSV or XLSX are refused', async () => {
+  await assert.rejects(parseCatalogFile(csvFile('EAN\n', 'catalog.txt')), /Unsupported file type: catalog\.txt\. Use a \.csv or \.xlsx file/);
+  await assert.rejects(parseCatalogFile(csvFile('EAN\n', '')), /Unsupported file type: \(no file name\)/);
+});
+
+test('an empty file or header row is refused', async () => {
+  await assert.rejects(parseCatalogFile({ filename: 'catalog.csv', content: '' }), /No file content received/);
+  await assert.rejects(parseCatalogFile(csvFile(',,\n8712345678906,Book,A-01-1\n')), /The file has no header row/);
+});
+
+test('the dry run reports invalid and duplicate EANs per spreadsheet row', async () => {
+  const result = await importCatalog(csvFile('EAN;Titel\n8712345678906;Book\n12AB;Game\n\n8712345678906;Book again\n'));
+
+  assert.equal(result.dryRun, true);
+  assert.deepEqual(result.mapping, { ean: 'EAN', title: 'Titel' });
+  assert.deepEqual(result.rows.map(({ row, action, error }) => ({ row, action, error })), [
+    { row: 2, action: 'add', error: undefined },
+    { row: 3, action: 'error', error: 'Invalid EAN: 12AB' },
+    { row: 5, action: 'error', error: 'Duplicate EAN, already on row 2' }
+  ]);
+});
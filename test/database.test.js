@@ -0,0 +1,77 @@
+// test/database.test.js - SQLite storage: migrations, field conversion and conditional updates
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../scripts/database.js');
+
+const item = (changes = {}) => ({
+  MessageID: 'A1',
+  OrderItemID: 'I1',
+  ProductTitle: 'Book',
+  EAN: '9781234567897',
+  quantity: 1,
+  picked: false,
+  ...changes
+});
+
+test.beforeEach(() => {
+  db.replacePickingList([item()]);
+});
+
+test('a new database is migrated to the latest schema', () => {
+  const connection = db.getDb();
+  const columns = table => connection.pragma(`table_info(${table})`).map(column => column.name);
+
+  assert.ok(connection.pragma('user_version', { simple: true }) > 0);
+  assert.ok(columns('order_items').includes('picked_quantity'));
+  assert.ok(columns('order_items').includes('cancellation_status'));
+  assert.ok(columns('labels').includes('group_tracking_number'));
+});
+
+test('picking item fields are stored with their column kind and read back', () => {
+  db.replacePickingList([item({ picked: 1, quantity: '3', price: '12.50', weight: null, ShipHouseNr: 12 })]);
+
+  const stored = db.findPickingItem('A1', 'I1');
+  assert.equal(stored.picked, true);
+  assert.equal(stored.quantity, 3);
+  assert.equal(stored.price, 12.5);
+  assert.equal(stored.weight, null);
+  assert.equal(stored.ShipHouseNr, '12');
+  assert.equal(stored.shipped, false);
+});
+
+test('numeric fields that do not parse are stored as 0', () => {
+  const updated = db.updatePickingItem('A1', 'I1', { weight: 'heavy', price: 'free' });
+  assert.equal(updated.weight, 0);
+  assert.equal(updated.price, 0);
+});
+
+test('unknown picking item fields are refused', () => {
+  assert.throws(() => db.updatePickingItem('A1', 'I1', { colour: 'red' }), /Unknown picking item field: colour/);
+  assert.throws(() => db.updatePickingItemIf('A1', 'I1', { colour: 'red' }, { picked: true }), /Unknown picking item field: colour/);
+});
+
+test('findPickingItem falls back to the EAN', () => {
+  assert.equal(db.findPickingItem('A1', '9781234567897').OrderItemID, 'I1');
+  assert.equal(db.findPickingItem('A1', 'unknown'), null);
+});
+
+test('updatePickingItemIf only updates while the expected values still match', () => {
+  const claimed = db.updatePickingItemIf('A1', 'I1', { picked: false, pickedQuantity: null }, { picked: true, pickedQuantity: 1 });
+  assert.equal(claimed.picked, true);
+  assert.equal(claimed.pickedQuantity, 1);
+
+  // A second claim read the item before the first one was written
+  assert.equal(db.updatePickingItemIf('A1', 'I1', { picked: false, pickedQuantity: null }, { picked: true, pickedQuantity: 1 }), null);
+  assert.equal(db.updatePickingItemIf('A1', 'I2', { picked: false }, { picked: true }), null);
+});
+
+test('transaction rolls back every change when it throws', () => {
+  assert.throws(() => db.transaction(() => {
+    db.updatePickingItem('A1', 'I1', { picked: true });
+    throw new Error('label failed');
+  }), /label failed/);
+
+  assert.equal(db.findPickingItem('A1', 'I1').picked, false);
+});
@@ -0,0 +1,114 @@
+// test/picking-list.test.js - Merging a re-fetched picking list into the local one
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergePickingList } = require('../scripts/bol-picking-list.js');
+
+const item = (orderItemId, changes = {}) => ({
+  MessageID: 'A1',
+  OrderItemID: orderItemId,
+  ProductTitle: `Product ${orderItemId}`,
+  location: 'A-01-1',
+  picked: false,
+  ...changes
+});
+
+const byId = pickingList => new Map(pickingList.map(entry => [entry.OrderItemID, entry]));
+
+test('new items are added and known items keep their local picking state', () => {
+  const existing = [item('I1', { picked: true, pickedBy: 'kees', trackingNumber: '3SABCD000000001', ProductTitle: 'Old title' })];
+  const fresh = [item('I1', { ProductTitle: 'New title' }), item('I2')];
+
+  const { pickingList, stats } = mergePickingList(existing, fresh);
+  const items = byId(pickingList);
+
+  assert.equal(stats.added, 1);
+  assert.equal(stats.updated, 1);
+  assert.equal(items.get('I1').ProductTitle, 'New title');
+  assert.equal(items.get('I1').picked, true);
+  assert.equal(items.get('I1').pickedBy, 'kees');
+  assert.equal(items.get('I1').trackingNumber, '3SABCD000000001');
+  assert.equal(items.get('I2').removedFromBol, false);
+});
+
+test('a confirmed location survives the re-fetch, an unconfirmed one is refreshed', () => {
+  const existing = [
+    item('I1', { location: 'B-02-2', locationConfirmed: true }),
+    item('I2', { location: 'B-02-3', locationConfirmed: false })
+  ];
+  const items = byId(mergePickingList(existing, [item('I1'), item('I2')]).pickingList);
+
+  assert.equal(items.get('I1').location, 'B-02-2');
+  assert.equal(items.get('I2').location, 'A-01-1');
+});
+
+test('unshipped items that left the open list are flagged, not dropped', () => {
+  const { pickingList, stats } = mergePickingList([item('I1', { picked: true })], []);
+
+  assert.equal(stats.removed, 1);
+  assert.equal(pickingList.length, 1);
+  assert.equal(pickingList[0].removedFromBol, true);
+  assert.ok(pickingList[0].removedAt);
+});
+
+test('a flagged item that is open again is restored', () => {
+  const existing = [item('I1', { removedFromBol: true, removedAt: '2026-01-01T00:00:00.000Z' })];
+  const { pickingList, stats } = mergePickingList(existing, [item('I1')]);
+
+  assert.equal(stats.restored, 1);
+  assert.equal(pickingList[0].removedFromBol, false);
+  assert.equal(pickingList[0].removedAt, null);
+});
+
+test('shipped items leave the list only once BOL.com confirmed the shipment', () => {
+  const shipped = { picked: true, shipped: true, trackingNumber: '3SABCD000000001' };
+  const existing = [
+    item('I1', { ...shipped, bolShipmentRegistered: true, bolShipmentStatus: 'confirmed' }),
+    item('I2', { ...shipped, bolShipmentStatus: 'pending' }),
+    item('I3', { picked: true, trackingNumber: '3SABCD000000002', bolShipmentStatus: 'failed', bolShipmentError: 'Invalid barcode' })
+  ];
+
+  const { pickingList, stats } = mergePickingList(existing, []);
+  const items = byId(pickingList);
+
+  assert.equal(stats.completed, 1);
+  assert.equal(items.has('I1'), false);
+  assert.deepEqual(items.get('I2'), existing[1]);
+  assert.deepEqual(items.get('I3'), existing[2]);
+});
+
+test('confirmed cancellations leave the list', () => {
+  const { pickingList, stats } = mergePickingList([item('I1', { cancellationConfirmed: true })], []);
+
+  assert.equal(stats.cancelled, 1);
+  assert.equal(pickingList.length, 0);
+});
+
+test('the items of an order whose details failed are kept as they are', () => {
+  const existing = [item('I1', { picked: true }), item('I2', { MessageID: 'A2' })];
+  const fresh = [{ MessageID: 'A1', OrderItemID: '', error: 'timeout' }, { MessageID: 'A3', OrderItemID: '', error: 'timeout' }];
+
+  const { pickingList, stats } = mergePickingList(existing, fresh);
+  const items = byId(pickingList);
+
+  assert.equal(stats.removed, 1);
+  assert.equal(items.get('I1').removedFromBol, undefined);
+  assert.equal(items.get('I2').removedFromBol, true);
+  // An unknown order keeps its error entry so it is visible
+  assert.ok(pickingList.some(entry => entry.MessageID === 'A3' && entry.error));
+});
+
+test('nothing is flagged when not every page of open orders was fetched', () => {
+  const existing = [item('I1'), item('I2', { shipped: true, bolShipmentRegistered: true, bolShipmentStatus: 'confirmed' })];
+  const { pickingList, stats } = mergePickingList(existing, [], { complete: false });
+
+  assert.equal(stats.removed, 0);
+  assert.equal(stats.completed, 0);
+  assert.deepEqual(pickingList, existing);
+});
+
+test('cancellation requests are counted', () => {
+  const { stats } = mergePickingList([], [item('I1', { cancellationRequested: true }), item('I2')]);
+  assert.equal(stats.cancellationRequests, 1);
+});
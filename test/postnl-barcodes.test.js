@@ -0,0 +1,121 @@
+// test/postnl-barcodes.test.js - PostNL barcode validation and generation
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { spawnSync } = require('child_process');
+
+const BARCODES_MODULE = require.resolve('../scripts/postnl-barcodes.js');
+
+const TEST_ENV = {
+  CUSTOMER_CODE: 'ABCD',
+  CUSTOMER_NUMBER: '11223344',
+  API_KEY: 'test-key',
+  BARCODE_TYPE: '3S',
+  BARCODE_SERIE: '000000000-999999999',
+  POSTNL_BARCODE_STUB: 'false'
+};
+
+// Load the module in a separate process, for settings that are read when it loads
+function runWithEnv(env, code) {
+  return spawnSync(process.execPath, ['-e', `const barcodes = require(${JSON.stringify(BARCODES_MODULE)}); ${code}`], {
+    env: { ...process.env, ...TEST_ENV, NODE_ENV: '', API_URL: '', ...env },
+    encoding: 'utf8',
+    timeout: 10000
+  });
+}
+
+// Fake PostNL Barcode API answering with the next queued response
+let barcodeResponses = [];
+let barcodeRequests = [];
+const server = http.createServer((req, res) => {
+  barcodeRequests.push(new URL(req.url, 'http://localhost'));
+  const { status = 200, body } = barcodeResponses.shift();
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+let barcodes;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, TEST_ENV, { BARCODE_API_URL: `http://127.0.0.1:${server.address().port}/shipment/v1_1/barcode` });
+  barcodes = require(BARCODES_MODULE);
+});
+
+test.after(() => {
+  server.close();
+});
+
+test.beforeEach(() => {
+  barcodeResponses = [];
+  barcodeRequests = [];
+});
+
+test('barcodes are the type, the customer code and the serial digits', () => {
+  assert.equal(barcodes.isValidBarcode('3SABCD123456789'), true);
+  assert.equal(barcodes.isValidBarcode('3SABCD000000001'), true);
+});
+
+test('barcodes of another customer, type or length are invalid', () => {
+  assert.equal(barcodes.isValidBarcode('3SWXYZ123456789'), false);
+  assert.equal(barcodes.isValidBarcode('KXABCD123456789'), false);
+  assert.equal(barcodes.isValidBarcode('3SABCD12345678'), false);
+  assert.equal(barcodes.isValidBarcode('3SABCD1234567890'), false);
+  assert.equal(barcodes.isValidBarcode('3SABCD12345678X'), false);
+  assert.equal(barcodes.isValidBarcode(''), false);
+  assert.equal(barcodes.isValidBarcode(null), false);
+  assert.equal(barcodes.isValidBarcode(3123456789), false);
+});
+
+test('assertValidBarcode names the expected format', () => {
+  assert.equal(barcodes.assertValidBarcode('3SABCD123456789'), '3SABCD123456789');
+  assert.throws(() => barcodes.assertValidBarcode('TRACK-1'), /Invalid PostNL barcode: TRACK-1\. Expected 3SABCD followed by 9 digits/);
+  assert.throws(() => barcodes.assertValidBarcode(undefined), /Invalid PostNL barcode: \(empty\)/);
+});
+
+test('generateBarcode asks PostNL for a barcode in our customer code range', async () => {
+  barcodeResponses.push({ body: { Barcode: '3SABCD000000042' } });
+
+  assert.equal(await barcodes.generateBarcode(), '3SABCD000000042');
+  assert.equal(barcodeRequests.length, 1);
+  assert.equal(barcodeRequests[0].searchParams.get('CustomerCode'), 'ABCD');
+  assert.equal(barcodeRequests[0].searchParams.get('CustomerNumber'), '11223344');
+  assert.equal(barcodeRequests[0].searchParams.get('Type'), '3S');
+  assert.equal(barcodeRequests[0].searchParams.get('Serie'), '000000000-999999999');
+});
+
+test('generateBarcode refuses a barcode PostNL returns in the wrong format', async () => {
+  barcodeResponses.push({ body: { Barcode: '3SWXYZ000000042' } });
+
+  await assert.rejects(barcodes.generateBarcode(), /PostNL barcode request failed: Invalid PostNL barcode: 3SWXYZ000000042/);
+});
+
+test('generateBarcode reports the PostNL fault', async () => {
+  barcodeResponses.push({ status: 401, body: { fault: { faultstring: 'Invalid ApiKey' } } });
+
+  await assert.rejects(barcodes.generateBarcode(), /PostNL barcode request failed: Invalid ApiKey/);
+});
+
+test('the stub generates valid, increasing barcodes without calling PostNL', () => {
+  const result = runWithEnv({ POSTNL_BARCODE_STUB: 'true', BARCODE_API_URL: 'http://127.0.0.1:9/unreachable' }, `
+    Promise.all([barcodes.generateBarcode(), barcodes.generateBarcode()])
+      .then(codes => console.log('RESULT ' + JSON.stringify(codes.map(code => [code, barcodes.isValidBarcode(code)]))));
+  `);
+
+  const [[first, firstValid], [second, secondValid]] = JSON.parse(result.stdout.match(/^RESULT (.*)$/m)[1]);
+  assert.equal(firstValid, true);
+  assert.equal(secondValid, true);
+  assert.notEqual(first, second);
+});
+
+test('the stub is refused in production unless the labels come from the PostNL sandbox', () => {
+  const production = runWithEnv({ POSTNL_BARCODE_STUB: 'true', NODE_ENV: 'production', API_URL: 'https://api.postnl.nl/shipment/v2_2/label' }, '');
+  assert.notEqual(production.status, 0);
+  assert.match(production.stderr, /POSTNL_BARCODE_STUB=true is only allowed with the PostNL sandbox API_URL or outside production/);
+
+  const sandbox = runWithEnv({ POSTNL_BARCODE_STUB: 'true', NODE_ENV: 'production', API_URL: 'https://api-sandbox.postnl.nl/shipment/v2_2/label' }, '');
+  assert.equal(sandbox.status, 0);
+
+  const development = runWithEnv({ POSTNL_BARCODE_STUB: 'true', API_URL: 'https://api.postnl.nl/shipment/v2_2/label' }, '');
+  assert.equal(development.status, 0);
+});
@@ -0,0 +1,156 @@
+// test/shipment-queue.test.js - Retry scheduling and dead-letter handling of failed BOL.com registrations
+process.env.DATABASE_PATH = ':memory:';
+process.env.SHIPMENT_QUEUE_MAX_ATTEMPTS = '4';
+process.env.SHIPMENT_QUEUE_BASE_DELAY = String(3 * 60 * 60);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../scripts/database.js');
+const shipmentQueue = require('../scripts/shipment-queue.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// Milliseconds from now until the job's next attempt
+const delayOf = job => new Date(job.nextAttemptAt).getTime() - Date.now();
+
+// Make a queued job due right away
+function makeDue(job) {
+  return db.updateShipmentJob(job.id, { ...job, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+}
+
+test.beforeEach(() => {
+  db.getDb().prepare('DELETE FROM shipment_jobs').run();
+});
+
+test('a failed order is queued with its first attempt counted', () => {
+  const job = shipmentQueue.enqueue('A1', { error: 'Service unavailable', username: 'kees' });
+
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.lastError, 'Service unavailable');
+  assert.equal(job.createdBy, 'kees');
+  assert.ok(Math.abs(delayOf(job) - 3 * HOUR) < 5000);
+});
+
+test('an order has one queued job: another failure keeps its schedule', () => {
+  const first = shipmentQueue.enqueue('A1', { error: 'Service unavailable' });
+  const second = shipmentQueue.enqueue('A1', { error: 'Gateway timeout' });
+
+  assert.equal(second.id, first.id);
+  assert.equal(second.nextAttemptAt, first.nextAttemptAt);
+  assert.equal(second.lastError, 'Gateway timeout');
+  assert.equal(shipmentQueue.listJobs('queued').length, 1);
+});
+
+test('a longer Retry-After from BOL.com is honoured', () => {
+  const job = shipmentQueue.enqueue('A1', { error: 'Too many requests', retryAfter: 5 * 60 * 60 });
+  assert.ok(Math.abs(delayOf(job) - 5 * HOUR) < 5000);
+});
+
+test('every failed retry waits twice as long, up to the maximum delay', async () => {
+  let job = makeDue(shipmentQueue.enqueue('A1', { error: 'Service unavailable' }));
+
+  [job] = await shipmentQueue.processDueJobs(async () => ({ done: false, error: 'Still unavailable' }));
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.lastError, 'Still unavailable');
+  assert.ok(Math.abs(delayOf(job) - 6 * HOUR) < 5000);
+
+  makeDue(job);
+  [job] = await shipmentQueue.processDueJobs(async () => ({ done: false, error: 'Still unavailable' }));
+  assert.equal(job.attempts, 3);
+  assert.ok(Math.abs(delayOf(job) - shipmentQueue.QUEUE_CONFIG.maxDelay) < 5000);
+});
+
+test('jobs that are not due yet are left alone', async () => {
+  shipmentQueue.enqueue('A1', { error: 'Service unavailable' });
+  let called = false;
+
+  const results = await shipmentQueue.processDueJobs(async () => {
+    called = true;
+    return { done: true };
+  });
+
+  assert.equal(called, false);
+  assert.deepEqual(results, []);
+});
+
+test('a successful retry marks the job done', async () => {
+  makeDue(shipmentQueue.enqueue('A1', { error: 'Service unavailable' }));
+  const shipped = [];
+
+  const [job] = await shipmentQueue.processDueJobs(async due => {
+    shipped.push({ orderId: due.orderId, attempts: due.attempts });
+    return { done: true };
+  });
+
+  assert.deepEqual(shipped, [{ orderId: 'A1', attempts: 2 }]);
+  assert.equal(job.status, 'done');
+  assert.equal(job.lastError, null);
+});
+
+test('an error thrown by the retry counts as a failed attempt', async () => {
+  makeDue(shipmentQueue.enqueue('A1', { error: 'Service unavailable' }));
+
+  const [job] = await shipmentQueue.processDueJobs(async () => {
+    throw new Error('socket hang up');
+  });
+
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.lastError, 'socket hang up');
+});
+
+test('a skipped job keeps its attempts and stays due', async () => {
+  const queued = makeDue(shipmentQueue.enqueue('A1', { error: 'Service unavailable' }));
+
+  const results = await shipmentQueue.processDueJobs(async () => ({ skipped: true }));
+  const [job] = shipmentQueue.listJobs('queued');
+
+  assert.deepEqual(results, []);
+  assert.equal(job.attempts, 1);
+  assert.equal(job.nextAttemptAt, queued.nextAttemptAt);
+});
+
+test('a job goes to the dead-letter list after the last attempt', async () => {
+  let job = shipmentQueue.enqueue('A1', { error: 'Service unavailable' });
+  for (let attempt = 2; attempt <= shipmentQueue.QUEUE_CONFIG.maxAttempts; attempt++) {
+    makeDue(job);
+    [job] = await shipmentQueue.processDueJobs(async () => ({ done: false, error: `Failure ${attempt}` }));
+  }
+
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, shipmentQueue.QUEUE_CONFIG.maxAttempts);
+  assert.equal(job.lastError, `Failure ${shipmentQueue.QUEUE_CONFIG.maxAttempts}`);
+  assert.deepEqual(shipmentQueue.listJobs('dead').map(dead => dead.id), [job.id]);
+});
+
+test('retrying a dead job gives it a fresh set of attempts right away', () => {
+  const job = shipmentQueue.enqueue('A1', { error: 'Service unavailable' });
+  db.updateShipmentJob(job.id, { ...job, status: 'dead', attempts: 4 });
+
+  const retried = shipmentQueue.retryJob(job.id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.attempts, 0);
+  assert.ok(delayOf(retried) <= 0);
+});
+
+test('resolve marks the queued job of an order done', () => {
+  shipmentQueue.enqueue('A1', { error: 'Service unavailable' });
+
+  assert.equal(shipmentQueue.resolve('A1').status, 'done');
+  assert.equal(shipmentQueue.resolve('A1'), null);
+});
+
+test('only queued and dead jobs can be retried or discarded', () => {
+  const job = shipmentQueue.enqueue('A1', { error: 'Service unavailable' });
+
+  assert.equal(shipmentQueue.discardJob(job.id).status, 'discarded');
+  assert.throws(() => shipmentQueue.retryJob(job.id), /Shipment job \d+ is discarded/);
+  assert.throws(() => shipmentQueue.discardJob(job.id), /Shipment job \d+ is discarded/);
+  assert.throws(() => shipmentQueue.retryJob(9999), /Shipment job 9999 not found/);
+});
+
+test('listJobs refuses an unknown status', () => {
+  assert.throws(() => shipmentQueue.listJobs('failed'), /Invalid status: failed/);
+});